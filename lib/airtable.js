@@ -0,0 +1,244 @@
+// lib/airtable.js
+/**
+ * RingStatus — shared Airtable REST client (tagger, washer, publisher)
+ *
+ *  const at = createAirtableClient({ token, baseId, apiUrl, timeoutMs, retry, rps });
+ *  at.list(table, { view, fields, pageSize })  -> [{ id, createdTime, fields }] (all pages)
+ *  at.get(table, id)                           -> { id, createdTime, fields }
+ *  at.update(table, id, fields)                single-record PATCH (merge)
+ *  at.batchUpdate(table, [{ id, fields }])     PATCH in groups of 10
+ *  at.create(table, [fields], { typecast })    POST in groups of 10 -> created records
+ *  at.stats                                    { requests, retries, throttledMs }
+ *
+ * Every request:
+ *  - waits its turn on the rate limiter (rps, default 5 = Airtable's per-base limit; 0 = off)
+ *  - aborts after timeoutMs, counted until the whole body has arrived (a stalled body is a timeout too)
+ *  - retries 429 (Retry-After honoured, capped at retry.maxMs) up to retry.attempts, linear backoff
+ *    from retry.baseMs with a little jitter
+ *  - retries 5xx, timeouts and transient network errors the same way for GET / PATCH only: a POST
+ *    (create) that failed that way may already have been applied, so it is never sent twice
+ *
+ * Failures throw AirtableError { status, type, op, table, detail }. type is Airtable's error type
+ * (UNKNOWN_FIELD_NAME, INVALID_REQUEST_UNKNOWN, NOT_FOUND, ...) or TIMEOUT / NETWORK_ERROR when
+ * no response came back.
+ */
+
+const TIMEOUT = "TIMEOUT";
+const NETWORK_ERROR = "NETWORK_ERROR";
+
+const BATCH_SIZE = 10;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+class AirtableError extends Error {
+  constructor(message, { status = 0, type = "", op = "", table = "", detail = "" } = {}) {
+    super(message);
+    this.name = "AirtableError";
+    this.status = status;
+    this.type = type;
+    this.op = op;
+    this.table = table;
+    this.detail = detail;
+  }
+}
+
+function isAirtableError(e, type) {
+  return e instanceof AirtableError && (type == null || e.type === type);
+}
+
+/**
+ * Spaces calls at least 1000/rps ms apart; concurrent callers queue on the same clock.
+ * -> async acquire() resolving to the ms it waited
+ */
+function createRateLimiter(rps) {
+  const gapMs = rps > 0 && Number.isFinite(rps) ? 1000 / rps : 0;
+  let nextSlotMs = 0;
+
+  return async function acquire() {
+    if (!gapMs) return 0;
+    const now = Date.now();
+    const at = Math.max(now, nextSlotMs);
+    nextSlotMs = at + gapMs;
+    if (at > now) await sleep(at - now);
+    return at - now;
+  };
+}
+
+function isRetryableFetchError(e) {
+  const name = String(e?.name || "");
+  const code = String(e?.code || e?.cause?.code || "");
+  const msg  = String(e?.message || "");
+
+  if (name === "AbortError") return true;
+  if (code === "UND_ERR_CONNECT_TIMEOUT") return true;
+  if (code === "UND_ERR_HEADERS_TIMEOUT") return true;
+  if (code === "UND_ERR_BODY_TIMEOUT") return true;
+  if (code === "ECONNRESET" || code === "ECONNREFUSED") return true;
+  if (/timeout/i.test(msg)) return true;
+  if (/fetch failed/i.test(msg)) return true;
+  return false;
+}
+
+// Airtable error bodies: { error: { type, message } } | { error: "NOT_FOUND" } | { errors: [{ error }] }
+function errorParts(json, text) {
+  const e = json?.error;
+  if (e && typeof e === "object") return { type: String(e.type || ""), message: String(e.message || "") };
+  if (typeof e === "string") return { type: e, message: String(json?.message || "") };
+  const first = Array.isArray(json?.errors) ? json.errors[0] : null;
+  if (first) return { type: String(first.error || first.type || ""), message: String(first.message || "") };
+  return { type: "", message: String(text || "").slice(0, 400) };
+}
+
+function createAirtableClient({
+  token,
+  baseId,
+  apiUrl = "https://api.airtable.com",
+  timeoutMs = 20000,
+  retry = {},
+  rps = 5,
+} = {}) {
+  const attempts = Math.max(1, Math.floor(Number(retry.attempts ?? 3)));
+  const baseMs   = Math.max(0, Math.floor(Number(retry.baseMs ?? 400)));
+  const maxMs    = Math.max(250, Math.floor(Number(retry.maxMs ?? 2000)));
+
+  const root = `${String(apiUrl).replace(/\/+$/, "")}/v0/${baseId}`;
+  const acquire = createRateLimiter(Number(rps));
+  const stats = { requests: 0, retries: 0, throttledMs: 0 };
+
+  const tableUrl = (table) => `${root}/${encodeURIComponent(table)}`;
+
+  // -> { status, ok, headers, text }; the body is read before the abort timer is cleared
+  async function fetchOnce(url, opts) {
+    stats.throttledMs += await acquire();
+    stats.requests++;
+    const ac = new AbortController();
+    const t = setTimeout(() => ac.abort(), timeoutMs);
+    try {
+      const res = await fetch(url, { ...opts, signal: ac.signal });
+      const text = await res.text();
+      return { status: res.status, ok: res.ok, headers: res.headers, text };
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  // -> parsed JSON body; throws AirtableError
+  async function request(op, table, where, url, { method = "GET", body } = {}) {
+    const opts = {
+      method,
+      headers: { Authorization: `Bearer ${token}`, ...(body ? { "Content-Type": "application/json" } : {}) },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    };
+
+    const replayable = method !== "POST";
+
+    for (let i = 1; ; i++) {
+      let res;
+      try {
+        res = await fetchOnce(url, opts);
+      } catch (e) {
+        if (!replayable || !isRetryableFetchError(e) || i >= attempts) {
+          const type = e?.name === "AbortError" ? TIMEOUT : NETWORK_ERROR;
+          const detail = type === TIMEOUT ? `no complete response in ${timeoutMs}ms` : String(e?.cause?.message || e?.message || e);
+          throw new AirtableError(`Airtable ${op} failed (${type}) ${where}: ${detail}`, { type, op, table, detail });
+        }
+        stats.retries++;
+        await sleep(Math.min(maxMs, baseMs * i + Math.floor(Math.random() * 250)));
+        continue;
+      }
+
+      if ((res.status === 429 || (res.status >= 500 && replayable)) && i < attempts) {
+        let waitMs = Math.min(maxMs, baseMs * i + Math.floor(Math.random() * 200));
+        const ra = Number(res.headers.get("retry-after"));
+        if (Number.isFinite(ra) && ra > 0) waitMs = Math.min(maxMs, ra * 1000);
+        stats.retries++;
+        await sleep(waitMs);
+        continue;
+      }
+
+      const text = res.text;
+      let json = null;
+      try {
+        json = text ? JSON.parse(text) : {};
+      } catch {
+        json = null;
+      }
+
+      if (!res.ok) {
+        const { type, message } = errorParts(json, text);
+        throw new AirtableError(`Airtable ${op} failed (${res.status}) ${where}: ${type} ${message}`.trim(), {
+          status: res.status, type, op, table, detail: message,
+        });
+      }
+      if (json == null) {
+        throw new AirtableError(`Airtable ${op} failed (${res.status}) ${where}: non-json response`, {
+          status: res.status, type: "NON_JSON", op, table, detail: text.slice(0, 200),
+        });
+      }
+      return json;
+    }
+  }
+
+  async function list(table, { view = null, fields = null, pageSize = 100 } = {}) {
+    const out = [];
+    let offset = null;
+
+    while (true) {
+      const url = new URL(tableUrl(table));
+      if (view) url.searchParams.set("view", view);
+      url.searchParams.set("pageSize", String(pageSize));
+      if (Array.isArray(fields)) for (const f of fields) url.searchParams.append("fields[]", f);
+      if (offset) url.searchParams.set("offset", offset);
+
+      const j = await request("list", table, `${table}/${view || "NO_VIEW"}`, url.toString());
+      out.push(...(j.records || []));
+      offset = j.offset || null;
+      if (!offset) break;
+    }
+
+    return out;
+  }
+
+  function get(table, recordId) {
+    return request("get", table, `${table}/${recordId}`, `${tableUrl(table)}/${recordId}`);
+  }
+
+  function update(table, recordId, fields) {
+    return request("patch", table, `${table}/${recordId}`, `${tableUrl(table)}/${recordId}`, {
+      method: "PATCH", body: { fields },
+    });
+  }
+
+  async function batchUpdate(table, updates) {
+    const out = [];
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+      const records = updates.slice(i, i + BATCH_SIZE).map(u => ({ id: u.id, fields: u.fields }));
+      const j = await request("patch", table, table, tableUrl(table), { method: "PATCH", body: { records } });
+      out.push(...(j.records || []));
+    }
+    return out;
+  }
+
+  async function create(table, fieldsList, { typecast = true } = {}) {
+    const out = [];
+    for (let i = 0; i < fieldsList.length; i += BATCH_SIZE) {
+      const records = fieldsList.slice(i, i + BATCH_SIZE).map(fields => ({ fields }));
+      const j = await request("create", table, table, tableUrl(table), { method: "POST", body: { records, typecast } });
+      out.push(...(j.records || []));
+    }
+    return out;
+  }
+
+  return { list, get, update, batchUpdate, create, stats };
+}
+
+module.exports = {
+  TIMEOUT,
+  NETWORK_ERROR,
+  BATCH_SIZE,
+  AirtableError,
+  isAirtableError,
+  createRateLimiter,
+  isRetryableFetchError,
+  createAirtableClient,
+};
@@ -0,0 +1,102 @@
+// lib/delta.js
+/**
+ * RingStatus — record-level delta feeds next to full snapshots (publisher.js)
+ *
+ *  docs/wef/schedule.json  ->  docs/wef/schedule.delta.json
+ *
+ *  {
+ *    key, id_field,
+ *    from,  version the diff starts at = the lane's previous delta "to" (null = no usable base)
+ *    to,    version of the snapshot published with it
+ *    reset, true when there is no usable base (previous snapshot missing/unreadable/unkeyed, or
+ *           no previous version) or the new rows cannot be keyed: added = every row
+ *    added:   [row],   rows whose id was not there before
+ *    changed: [row],   full new row for ids whose content differs
+ *    removed: [id],
+ *  }
+ *
+ * A client holding version `from` applies the delta to reach `to`; any other version (or reset)
+ * means it should fetch the full file. Order-only changes (view re-sort) are not in the delta.
+ * The delta never blocks the full snapshot: rows with a missing/duplicated id give a reset delta
+ * and a warning for the caller to log.
+ */
+
+const { stableStringify } = require("./formats");
+
+// "docs/wef/schedule.json.gz" -> "docs/wef/schedule.delta.json"
+function deltaPathFor(path) {
+  const p = String(path || "");
+  const stem = p.replace(/\.(json\.gz|json|ndjson|jsonl|csv)$/i, "");
+  return `${stem}.delta.json`;
+}
+
+// -> Map id -> row; throws when the id field is missing or repeated
+function indexRows(rows, idField, label) {
+  const byId = new Map();
+  let bad = 0;
+  for (const r of rows) {
+    const id = r?.[idField];
+    if (id === null || id === undefined || id === "" || byId.has(String(id))) {
+      bad++;
+      continue;
+    }
+    byId.set(String(id), r);
+  }
+  if (bad) throw new Error(`id field "${idField}" missing or duplicated on ${bad} ${label} row(s)`);
+  return byId;
+}
+
+function diffRows(prevRows, nextRows, idField) {
+  const next = indexRows(nextRows, idField, "new");
+  let prev;
+  try {
+    prev = indexRows(prevRows, idField, "previous");
+  } catch {
+    return null; // previous snapshot not keyable (e.g. id field just configured) -> reset
+  }
+
+  const added = [];
+  const changed = [];
+  for (const [id, row] of next) {
+    if (!prev.has(id)) added.push(row);
+    else if (stableStringify(prev.get(id)) !== stableStringify(row)) changed.push(row);
+  }
+  const removed = [];
+  for (const [id, row] of prev) if (!next.has(id)) removed.push(row[idField]);
+
+  return { added, changed, removed };
+}
+
+/**
+ * prevRows: previously published array, or null when there is none to diff against.
+ * -> { delta, warning } ; warning is set when the new rows could not be keyed (delta is a reset)
+ */
+function buildDelta({ key, idField, from, to, prevRows, nextRows }) {
+  const rows = Array.isArray(nextRows) ? nextRows : [];
+  let diff = null;
+  let warning = null;
+  try {
+    indexRows(rows, idField, "new");
+    if (Array.isArray(prevRows) && from != null) diff = diffRows(prevRows, rows, idField);
+  } catch (e) {
+    warning = String(e?.message || e);
+  }
+
+  const delta = {
+    key,
+    id_field: idField,
+    from: diff ? from : null,
+    to,
+    reset: !diff,
+    added: diff ? diff.added : rows,
+    changed: diff ? diff.changed : [],
+    removed: diff ? diff.removed : [],
+  };
+  return { delta, warning };
+}
+
+module.exports = {
+  deltaPathFor,
+  diffRows,
+  buildDelta,
+};
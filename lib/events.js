@@ -0,0 +1,49 @@
+// lib/events.js
+/**
+ * RingStatus — temperature transition events
+ *
+ * Event (webhook body is { events: [...] }):
+ *  {
+ *    type: "temp_transition",
+ *    table, record_id,
+ *    from, to,                  // previous temp (null on first tag) -> new temp
+ *    target_epoch,              // parsed start/go time the temp was computed from (null if unparseable)
+ *    show: { id, name },
+ *    mode, epoch                // tagger mode + server clock epoch of the pass
+ *  }
+ */
+
+function buildTransitionEvent({ id, from, to, targetEpoch, table, show, mode, nowEpoch, showNameField = "name" }) {
+  return {
+    type: "temp_transition",
+    table,
+    record_id: id,
+    from: from ?? null,
+    to,
+    target_epoch: targetEpoch ?? null,
+    show: { id: show?.id ?? null, name: show?.fields?.[showNameField] ?? null },
+    mode,
+    epoch: nowEpoch,
+  };
+}
+
+// Flat row for an events table.
+function eventToTableFields(e) {
+  return {
+    type: e.type,
+    table: e.table,
+    record_id: e.record_id,
+    from_temp: e.from,
+    to_temp: e.to,
+    target_epoch: e.target_epoch,
+    show_id: e.show.id,
+    show_name: e.show.name,
+    mode: e.mode,
+    epoch: e.epoch,
+  };
+}
+
+module.exports = {
+  buildTransitionEvent,
+  eventToTableFields,
+};
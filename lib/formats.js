@@ -0,0 +1,173 @@
+// lib/formats.js
+/**
+ * RingStatus — published file formats (publisher.js)
+ *
+ *  json      pretty JSON + "\n"                     application/json      (default; *.json)
+ *  ndjson    one compact JSON row per line          application/x-ndjson  (*.ndjson, *.jsonl)
+ *  csv       header = keys in first-seen order      text/csv              (*.csv)
+ *  json.gz   gzipped pretty JSON                    application/gzip      (*.json.gz)
+ *
+ * A path's format comes from its extension; the lane's format setting only applies to paths without a
+ * known extension ("docs/wef/schedule-sheet"). A lane format that contradicts an extension
+ * (format=csv for "x.json") is an error, so CSV bytes are never published under a .json name.
+ *
+ * No-change detection compares what a consumer would read, not bytes: JSON / NDJSON / JSON.gz are
+ * parsed and compared key-order-insensitively (gzip headers and whitespace never count as a change);
+ * CSV is compared as text with line endings normalised. A live file that cannot be decoded counts
+ * as changed. contentHash() hashes that same comparable form, so a stored hash and a live compare
+ * agree on what "unchanged" means.
+ */
+
+const zlib = require("zlib");
+const crypto = require("crypto");
+
+const FORMATS = {
+  "json":    { contentType: "application/json" },
+  "ndjson":  { contentType: "application/x-ndjson" },
+  "csv":     { contentType: "text/csv" },
+  "json.gz": { contentType: "application/gzip" },
+};
+
+// "JSON.GZ" / "gz" / "jsonl" -> canonical name; unknown -> null
+function normalizeFormat(s) {
+  const f = String(s ?? "").trim().toLowerCase().replace(/^\./, "");
+  if (!f) return null;
+  if (f === "gz" || f === "json-gz" || f === "jsongz") return "json.gz";
+  if (f === "jsonl") return "ndjson";
+  return Object.prototype.hasOwnProperty.call(FORMATS, f) ? f : null;
+}
+
+// known extension -> format; anything else -> null
+function formatOfExtension(path) {
+  const p = String(path || "").toLowerCase();
+  if (p.endsWith(".json.gz")) return "json.gz";
+  if (p.endsWith(".ndjson") || p.endsWith(".jsonl")) return "ndjson";
+  if (p.endsWith(".csv")) return "csv";
+  if (p.endsWith(".json")) return "json";
+  return null;
+}
+
+// Throws when the lane format contradicts the path's extension.
+function formatForPath(path, laneFormat = null) {
+  const byExtension = formatOfExtension(path);
+  const forced = normalizeFormat(laneFormat);
+  if (byExtension && forced && forced !== byExtension) {
+    throw new Error(`format "${laneFormat}" conflicts with the extension of ${path} (${byExtension})`);
+  }
+  return byExtension || forced || "json";
+}
+
+function stableStringify(obj) {
+  const seen = new WeakSet();
+  function sorter(x) {
+    if (x === null || typeof x !== "object") return x;
+    if (seen.has(x)) return null;
+    seen.add(x);
+    if (Array.isArray(x)) return x.map(sorter);
+    const out = {};
+    for (const k of Object.keys(x).sort()) out[k] = sorter(x[k]);
+    return out;
+  }
+  return JSON.stringify(sorter(obj));
+}
+
+const asRows = (contentObj) => (Array.isArray(contentObj) ? contentObj : [contentObj]);
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = Array.isArray(v) ? v.map(x => (x !== null && typeof x === "object" ? JSON.stringify(x) : String(x))).join(", ")
+    : (typeof v === "object" ? JSON.stringify(v) : String(v));
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(contentObj) {
+  const rows = asRows(contentObj);
+  const cols = [];
+  for (const r of rows) for (const k of Object.keys(r || {})) if (!cols.includes(k)) cols.push(k);
+  const lines = [cols.map(csvCell).join(",")];
+  for (const r of rows) lines.push(cols.map(c => csvCell(r?.[c])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+function toNdjson(contentObj) {
+  return asRows(contentObj).map(r => JSON.stringify(r)).join("\n") + "\n";
+}
+
+function toPrettyJson(contentObj) {
+  return JSON.stringify(contentObj, null, 2) + "\n";
+}
+
+/**
+ * -> { format, contentType, buffer }
+ */
+function renderContent(format, contentObj) {
+  const f = normalizeFormat(format) || "json";
+  let buffer;
+  if (f === "csv") buffer = Buffer.from(toCsv(contentObj), "utf8");
+  else if (f === "ndjson") buffer = Buffer.from(toNdjson(contentObj), "utf8");
+  else if (f === "json.gz") buffer = zlib.gzipSync(Buffer.from(toPrettyJson(contentObj), "utf8"));
+  else buffer = Buffer.from(toPrettyJson(contentObj), "utf8");
+  return { format: f, contentType: FORMATS[f].contentType, buffer };
+}
+
+/**
+ * Live body (as fetched) -> the published value (ndjson -> array of rows).
+ * Throws when it cannot be decoded; CSV has no types to recover, so it always throws.
+ */
+function decodeContent(format, body) {
+  const buf = Buffer.isBuffer(body) ? body : Buffer.from(body || "");
+  if (format === "csv") throw new Error("csv content cannot be decoded to rows");
+  if (format === "json.gz") {
+    // a proxy may already have decoded it (Content-Encoding: gzip)
+    const raw = buf[0] === 0x1f && buf[1] === 0x8b ? zlib.gunzipSync(buf) : buf;
+    return JSON.parse(raw.toString("utf8"));
+  }
+  const text = buf.toString("utf8");
+  if (format === "ndjson") return text.split(/\r?\n/).filter(l => l.trim()).map(l => JSON.parse(l));
+  return JSON.parse(text);
+}
+
+// Live body -> comparable form; throws when it cannot be decoded.
+function decodeLive(format, body) {
+  if (format === "csv") {
+    const text = (Buffer.isBuffer(body) ? body : Buffer.from(body || "")).toString("utf8");
+    return text.replace(/\r\n?/g, "\n").replace(/\n*$/, "\n");
+  }
+  return stableStringify(decodeContent(format, body));
+}
+
+function expectedForm(format, contentObj) {
+  if (format === "csv") return toCsv(contentObj).replace(/\r\n?/g, "\n");
+  if (format === "ndjson") return stableStringify(asRows(contentObj));
+  return stableStringify(contentObj);
+}
+
+// "sha256:<hex>" of format + comparable form
+function contentHash(format, contentObj) {
+  const f = normalizeFormat(format) || "json";
+  return `sha256:${crypto.createHash("sha256").update(`${f}\n${expectedForm(f, contentObj)}`).digest("hex")}`;
+}
+
+/**
+ * -> { same: boolean, reason? } ; reason is set when the live body could not be decoded
+ */
+function sameContent(format, liveBody, contentObj) {
+  const f = normalizeFormat(format) || "json";
+  try {
+    return { same: decodeLive(f, liveBody) === expectedForm(f, contentObj) };
+  } catch {
+    return { same: false, reason: `invalid_${f.replace(".", "_")}` };
+  }
+}
+
+module.exports = {
+  FORMATS,
+  normalizeFormat,
+  formatOfExtension,
+  formatForPath,
+  stableStringify,
+  renderContent,
+  decodeContent,
+  contentHash,
+  sameContent,
+};
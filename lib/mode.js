@@ -0,0 +1,90 @@
+// lib/mode.js
+/**
+ * RingStatus — DAY / NIGHT / HOLDOVER derivation from the show clock
+ *
+ * Inputs are show-local: localDate "YYYY-MM-DD", localMin = minutes since local midnight.
+ * Boundaries mirror the SMS worker (DAY_END_MIN = 5:00 PM hard switch):
+ *
+ *  - outside the show's date range (and not the eve of day one) -> HOLDOVER
+ *  - dayStartMin <= localMin < dayEndMin on a show day           -> DAY
+ *  - before dayStartMin on a show day                            -> NIGHT
+ *  - from dayEndMin when tomorrow is a show day                  -> NIGHT (covers the eve of day one)
+ *  - from dayEndMin on the last show day                         -> HOLDOVER
+ *
+ * A missing start/end date leaves that side of the range open.
+ */
+
+const VALID_MODES = ["DAY", "NIGHT", "HOLDOVER"];
+
+function normalizeMode(v) {
+  const s = String(v ?? "").trim().toUpperCase();
+  return VALID_MODES.includes(s) ? s : "HOLDOVER";
+}
+
+// "" / null / unknown -> null (no override)
+function parseModeOverride(v) {
+  const s = String(v ?? "").trim().toUpperCase();
+  return VALID_MODES.includes(s) ? s : null;
+}
+
+function addDaysIso(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) return null;
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function inRange(isoDate, startDate, endDate) {
+  if (!isoDate) return false;
+  if (startDate && isoDate < startDate) return false;
+  if (endDate && isoDate > endDate) return false;
+  return true;
+}
+
+function fmtMin(min) {
+  const h = Math.floor(min / 60);
+  const m = min % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+/**
+ * -> { mode, reason }  (reason is a short human string, written back to shows)
+ *
+ * The reason names the rule, never the current clock: it only changes when the mode or the show's
+ * dates do, so the shows write-back (which fires Airtable automations) stays a once-per-change PATCH.
+ */
+function deriveMode({ localDate, localMin, startDate = null, endDate = null, dayStartMin, dayEndMin }) {
+  const range = `${startDate || "…"}..${endDate || "…"}`;
+  const today = inRange(localDate, startDate, endDate);
+  const tomorrow = inRange(addDaysIso(localDate, 1), startDate, endDate);
+
+  if (localMin >= dayEndMin) {
+    if (tomorrow) return { mode: "NIGHT", reason: `after ${fmtMin(dayEndMin)} before show day (show ${range})` };
+    return { mode: "HOLDOVER", reason: `after ${fmtMin(dayEndMin)}, no show day tomorrow (show ${range})` };
+  }
+
+  if (!today) return { mode: "HOLDOVER", reason: `outside show dates (show ${range})` };
+
+  if (localMin < dayStartMin) return { mode: "NIGHT", reason: `before ${fmtMin(dayStartMin)} on show day (show ${range})` };
+  return { mode: "DAY", reason: `show day ${fmtMin(dayStartMin)}-${fmtMin(dayEndMin)} (show ${range})` };
+}
+
+/**
+ * Show-local date + minutes from a UTC epoch and the clock's offset (minutes east of UTC).
+ */
+function localPartsFromEpoch(nowEpoch, tzOffsetMinutes) {
+  const d = new Date((nowEpoch + tzOffsetMinutes * 60) * 1000);
+  return {
+    localDate: d.toISOString().slice(0, 10),
+    localMin: d.getUTCHours() * 60 + d.getUTCMinutes(),
+  };
+}
+
+module.exports = {
+  VALID_MODES,
+  normalizeMode,
+  parseModeOverride,
+  deriveMode,
+  localPartsFromEpoch,
+  addDaysIso,
+};
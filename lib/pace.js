@@ -0,0 +1,70 @@
+// lib/pace.js
+/**
+ * RingStatus — pace-based projected go time for a trip
+ *
+ * Same idea as the SMS worker (derivePerTripLiveMs / derivePerTripSchedMs / choosePerTripMs):
+ *  - live pace:  (now - class actual start) / completed trips
+ *  - sched pace: (class estimated end - estimated start) / total trips
+ *  - paces at or below minPaceSec are treated as noise (worker uses 150s)
+ *  - live wins, sched is the fallback
+ *
+ * Projection (class underway only: actual start known, 0 < completed):
+ *  ahead = order - 1 - completed  (trips still to go before this one)
+ *  projected go = now + max(0, ahead) * pace
+ *
+ * All inputs are epoch seconds / counts; callers resolve local times first.
+ */
+
+function livePaceSec({ nowEpoch, actualStartEpoch, completed }) {
+  if (actualStartEpoch == null || !(completed > 0)) return null;
+  const diff = nowEpoch - actualStartEpoch;
+  if (!(diff > 0)) return null;
+  return diff / completed;
+}
+
+function schedPaceSec({ estStartEpoch, estEndEpoch, total }) {
+  if (estStartEpoch == null || estEndEpoch == null || !(total > 0)) return null;
+  const diff = estEndEpoch - estStartEpoch;
+  if (!(diff > 0)) return null;
+  return diff / total;
+}
+
+/**
+ * -> { projectedEpoch, paceSec, paceSource: "live"|"sched", ahead } or null when not projectable.
+ */
+function projectGoEpoch({
+  nowEpoch,
+  order,
+  completed,
+  total,
+  actualStartEpoch,
+  estStartEpoch,
+  estEndEpoch,
+  minPaceSec = 150,
+}) {
+  if (!(order > 0) || actualStartEpoch == null || !(completed > 0)) return null;
+  if (total > 0 && completed >= total) return null;
+
+  const live = livePaceSec({ nowEpoch, actualStartEpoch, completed });
+  const sched = schedPaceSec({ estStartEpoch, estEndEpoch, total });
+
+  let paceSec = null;
+  let paceSource = null;
+  if (live != null && live > minPaceSec) { paceSec = live; paceSource = "live"; }
+  else if (sched != null && sched > minPaceSec) { paceSec = sched; paceSource = "sched"; }
+  if (paceSec == null) return null;
+
+  const ahead = order - 1 - completed;
+  return {
+    projectedEpoch: Math.round(nowEpoch + Math.max(0, ahead) * paceSec),
+    paceSec: Math.round(paceSec),
+    paceSource,
+    ahead,
+  };
+}
+
+module.exports = {
+  livePaceSec,
+  schedPaceSec,
+  projectGoEpoch,
+};
@@ -0,0 +1,198 @@
+// lib/policy.js
+/**
+ * RingStatus — tagger temperature + cadence policy
+ *
+ * File (default: config/tagger-policy.json, override with TAGGER_POLICY):
+ *  {
+ *    "version": "2026.03-1",                       // required, logged with every tag pass
+ *    "default": {
+ *      "thresholds": {                             // per mode; "*" = any mode
+ *        "*":   [{ "temp": "HOT", "maxTillSec": 1800 }, { "temp": "WARM", "maxTillSec": 3600 }],
+ *        "DAY": [{ "temp": "NOW", "bucket": "HOT", "maxTillSec": 600 }, ...]
+ *      },
+ *      "fallback": "COLD",                          // past every threshold, or time unparseable
+ *      "intervals": {                               // per mode -> temp -> seconds (null = no next_due)
+ *        "DAY": { "HOT": 180, "DONE": null, "*": 300 }
+ *      }
+ *    },
+ *    "tables": {                                    // per-table overrides of "default"
+ *      "watch_trips": { "thresholds": { "DAY": [...] }, "intervals": { "DAY": { "WARM": 240 } } }
+ *    }
+ *  }
+ *
+ * Rules:
+ *  - First threshold (sorted by maxTillSec) with till <= maxTillSec wins; till <= 0 hits the first rule.
+ *  - A threshold may name a bucket different from its temp (extra buckets); bucket defaults to temp.
+ *  - Table thresholds replace default thresholds per mode key; intervals merge per mode, then per temp.
+ *  - Interval lookup: intervals[mode] (else "*"), then [temp] (else "*"), else null.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, "..", "config", "tagger-policy.json");
+
+// Used only when no policy file exists; same values as config/tagger-policy.json.
+const BUILTIN_POLICY = {
+  version: "builtin",
+  default: {
+    thresholds: {
+      "*": [
+        { temp: "HOT", maxTillSec: 1800 },
+        { temp: "WARM", maxTillSec: 3600 },
+      ],
+    },
+    fallback: "COLD",
+    intervals: {
+      DAY: { COLD: 1200, WARM: 300, HOT: 180, LIVE: 180, DONE: null, "*": 300 },
+      NIGHT: { HOT: 300, LIVE: 300, DONE: null, "*": 1200 },
+    },
+  },
+  tables: {},
+};
+
+function fail(where, msg) {
+  throw new Error(`policy invalid (${where}): ${msg}`);
+}
+
+function normalizeThresholds(where, raw) {
+  const out = {};
+  if (raw == null) return out;
+  if (typeof raw !== "object" || Array.isArray(raw)) fail(where, "thresholds must be an object keyed by mode");
+
+  for (const [modeKey, rules] of Object.entries(raw)) {
+    if (!Array.isArray(rules)) fail(`${where}.${modeKey}`, "threshold list must be an array");
+
+    out[modeKey.toUpperCase()] = rules
+      .map((r, i) => {
+        const temp = String(r?.temp ?? "").trim().toUpperCase();
+        const maxTillSec = Number(r?.maxTillSec);
+        if (!temp) fail(`${where}.${modeKey}[${i}]`, "temp is required");
+        if (!Number.isFinite(maxTillSec)) fail(`${where}.${modeKey}[${i}]`, "maxTillSec must be a number");
+        const bucket = String(r?.bucket ?? temp).trim().toUpperCase() || temp;
+        return { temp, bucket, maxTillSec };
+      })
+      .sort((a, b) => a.maxTillSec - b.maxTillSec);
+  }
+
+  return out;
+}
+
+function normalizeIntervals(where, raw) {
+  const out = {};
+  if (raw == null) return out;
+  if (typeof raw !== "object" || Array.isArray(raw)) fail(where, "intervals must be an object keyed by mode");
+
+  for (const [modeKey, byTemp] of Object.entries(raw)) {
+    if (!byTemp || typeof byTemp !== "object") fail(`${where}.${modeKey}`, "must map temp -> seconds");
+
+    const m = {};
+    for (const [tempKey, sec] of Object.entries(byTemp)) {
+      if (sec === null) { m[tempKey.toUpperCase()] = null; continue; }
+      const n = Number(sec);
+      if (!Number.isFinite(n) || n <= 0) fail(`${where}.${modeKey}.${tempKey}`, "seconds must be > 0 or null");
+      m[tempKey.toUpperCase()] = Math.floor(n);
+    }
+    out[modeKey.toUpperCase()] = m;
+  }
+
+  return out;
+}
+
+function normalizeSection(where, raw) {
+  const s = raw || {};
+  return {
+    thresholds: normalizeThresholds(`${where}.thresholds`, s.thresholds),
+    fallback: s.fallback == null ? null : String(s.fallback).trim().toUpperCase(),
+    intervals: normalizeIntervals(`${where}.intervals`, s.intervals),
+  };
+}
+
+function normalizePolicy(raw, source) {
+  if (!raw || typeof raw !== "object") fail(source, "not an object");
+  const version = String(raw.version ?? "").trim();
+  if (!version) fail(source, "version is required");
+
+  const def = normalizeSection("default", raw.default);
+  if (!def.fallback) def.fallback = "COLD";
+
+  const tables = {};
+  for (const [tableName, section] of Object.entries(raw.tables || {})) {
+    tables[tableName] = normalizeSection(`tables.${tableName}`, section);
+  }
+
+  return { version, source, default: def, tables };
+}
+
+/**
+ * Loads and validates a policy file. No path given and no default file -> builtin policy;
+ * an explicit path that does not exist, or an invalid file -> throws.
+ */
+function loadPolicy(filePath) {
+  const abs = path.resolve(filePath || DEFAULT_POLICY_PATH);
+  if (!fs.existsSync(abs)) {
+    if (filePath) fail(abs, "file not found");
+    return normalizePolicy(BUILTIN_POLICY, "builtin");
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(abs, "utf8"));
+  } catch (e) {
+    fail(abs, `unreadable JSON (${String(e?.message || e).slice(0, 120)})`);
+  }
+  return normalizePolicy(raw, abs);
+}
+
+/**
+ * Flattens default + table overrides for one table/mode:
+ *  -> { version, thresholds: [{ temp, bucket, maxTillSec }], fallback, intervals: { TEMP: sec|null, "*": ... } }
+ */
+function resolveRules(policy, tableName, mode) {
+  const def = policy.default;
+  const tbl = policy.tables[tableName] || { thresholds: {}, fallback: null, intervals: {} };
+  const m = String(mode || "").toUpperCase();
+
+  const pickThresholds = (sec) => sec.thresholds[m] || sec.thresholds["*"] || null;
+  const thresholds = pickThresholds(tbl) || pickThresholds(def) || [];
+
+  const intervals = {
+    ...(def.intervals["*"] || {}),
+    ...(def.intervals[m] || {}),
+    ...(tbl.intervals["*"] || {}),
+    ...(tbl.intervals[m] || {}),
+  };
+
+  return {
+    version: policy.version,
+    thresholds,
+    fallback: tbl.fallback || def.fallback,
+    intervals,
+  };
+}
+
+function classifyTill(rules, tillSec) {
+  if (tillSec != null && Number.isFinite(tillSec)) {
+    for (const r of rules.thresholds) {
+      if (tillSec <= r.maxTillSec) return { temp: r.temp, bucket: r.bucket };
+    }
+  }
+  return { temp: rules.fallback, bucket: rules.fallback };
+}
+
+function intervalFor(rules, temp) {
+  const t = String(temp || "").toUpperCase();
+  if (Object.prototype.hasOwnProperty.call(rules.intervals, t)) return rules.intervals[t];
+  if (Object.prototype.hasOwnProperty.call(rules.intervals, "*")) return rules.intervals["*"];
+  return null;
+}
+
+module.exports = {
+  DEFAULT_POLICY_PATH,
+  BUILTIN_POLICY,
+  loadPolicy,
+  normalizePolicy,
+  resolveRules,
+  classifyTill,
+  intervalFor,
+};
@@ -0,0 +1,240 @@
+// lib/projection.js
+/**
+ * RingStatus — allowed_fields projection for published rows (publisher.js)
+ *
+ * Each allowed_fields entry (comma/newline separated, no spaces inside an entry):
+ *   field                              copy as is (missing -> null)
+ *   field:name                         rename            latestStatus:status
+ *   field:name|type|default=v          coerce, default   total_trips:total|number|default=0
+ *   name=expr                          computed          trips_left=total_trips-completed_trips
+ *   name=expr|type|default=v                            trips_left=total_trips-completed_trips|default=0
+ *
+ * Types (applied left to right; a one-element lookup array is unwrapped first):
+ *   number   finite number, else null          int      rounded number, else null
+ *   boolean  true/1/yes/x/checked -> true; everything else (incl. missing checkbox) -> false
+ *   string   String(v)                         iso      epoch s/ms or zoned date-time -> ISO 8601 UTC;
+ *                                                       date "2026-03-07" stays a date;
+ *                                                       clock "9:05 AM" / "09:05" -> "09:05:00"
+ *   iso=<IANA zone>  same, but a date-time without a zone ("2026-03-07 10:20") is read as wall time
+ *            in that zone (lib/tz.js, DST-correct). Plain `iso` returns null for such values, so the
+ *            runner's own time zone never leaks into published timestamps.
+ *   default=v  only when the value is still null/""; v is JSON when it parses ("0", "true", "\"TBD\"")
+ *
+ * expr: field names, numbers, + - * / and parentheses. Any missing/non-numeric operand, or a
+ * division by zero, makes the result null.
+ */
+
+const { isValidZone, localPartsToEpochSeconds } = require("./tz");
+
+const TYPES = ["number", "int", "boolean", "string", "iso"];
+
+// "2026-03-07", "2026-03-07T10:20", "2026-03-07 10:20:30.5" (no zone)
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/;
+const HAS_ZONE = /(?:Z|[+-]\d{2}:?\d{2}|\b(?:GMT|UTC))$/i;
+
+function unwrap(v) {
+  return Array.isArray(v) && v.length === 1 ? v[0] : v;
+}
+
+function toNumber(v) {
+  const x = unwrap(v);
+  if (x === null || x === undefined || x === "" || typeof x === "boolean" || Array.isArray(x)) return null;
+  const num = Number(x);
+  return Number.isFinite(num) ? num : null;
+}
+
+function toBoolean(v) {
+  const x = unwrap(v);
+  if (typeof x === "boolean") return x;
+  if (typeof x === "number") return x !== 0;
+  return /^(true|1|yes|y|x|checked)$/i.test(String(x ?? "").trim());
+}
+
+function toIso(v, zone = null) {
+  const x = unwrap(v);
+  if (x === null || x === undefined || x === "") return null;
+  if (typeof x === "number" || /^\d+$/.test(String(x).trim())) {
+    const num = Number(x);
+    const ms = num < 1e12 ? num * 1000 : num;
+    const d = new Date(ms);
+    return Number.isFinite(d.getTime()) ? d.toISOString() : null;
+  }
+  const s = String(x).trim();
+  const clock = s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+  if (clock) {
+    let h = Number(clock[1]);
+    const ap = (clock[4] || "").toUpperCase();
+    if (ap === "PM" && h < 12) h += 12;
+    if (ap === "AM" && h === 12) h = 0;
+    if (h > 23) return null;
+    return `${String(h).padStart(2, "0")}:${clock[2]}:${clock[3] || "00"}`;
+  }
+  const local = s.match(LOCAL_DATE_TIME);
+  if (local) {
+    const [, y, mo, d, h, mi, se] = local.map(Number);
+    if (local[4] === undefined) return `${local[1]}-${local[2]}-${local[3]}`; // a calendar date, no instant
+    if (!zone) return null;
+    return new Date(localPartsToEpochSeconds({ y, mo, d, h, mi, se: se || 0 }, { zone }) * 1000).toISOString();
+  }
+  if (!HAS_ZONE.test(s)) return null;
+  const ms = Date.parse(s);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function parseDefault(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+//////////////////////
+// Computed expressions
+//////////////////////
+function tokenize(expr, spec) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w.]*)|([-+*/()]))/y;
+  let i = 0;
+  while (i < expr.length) {
+    re.lastIndex = i;
+    const m = re.exec(expr);
+    if (!m) throw new Error(`allowed_fields: bad expression in "${spec}"`);
+    if (m[1] !== undefined) tokens.push({ num: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ field: m[2] });
+    else tokens.push({ op: m[3] });
+    i = re.lastIndex;
+  }
+  return tokens;
+}
+
+// -> AST: { num } | { field } | { op, a, b }
+function parseExpression(expr, spec) {
+  const tokens = tokenize(expr, spec);
+  let pos = 0;
+  const fail = () => { throw new Error(`allowed_fields: bad expression in "${spec}"`); };
+
+  function primary() {
+    const t = tokens[pos++];
+    if (!t) fail();
+    if (t.num !== undefined || t.field !== undefined) return t;
+    if (t.op === "(") {
+      const e = sum();
+      if (tokens[pos++]?.op !== ")") fail();
+      return e;
+    }
+    if (t.op === "-") return { op: "-", a: { num: 0 }, b: primary() };
+    return fail();
+  }
+  function product() {
+    let e = primary();
+    while (tokens[pos]?.op === "*" || tokens[pos]?.op === "/") e = { op: tokens[pos++].op, a: e, b: primary() };
+    return e;
+  }
+  function sum() {
+    let e = product();
+    while (tokens[pos]?.op === "+" || tokens[pos]?.op === "-") e = { op: tokens[pos++].op, a: e, b: product() };
+    return e;
+  }
+
+  const ast = sum();
+  if (pos !== tokens.length) fail();
+  return ast;
+}
+
+function evaluate(node, fields) {
+  if (node.num !== undefined) return node.num;
+  if (node.field !== undefined) return toNumber(fields[node.field]);
+  const a = evaluate(node.a, fields);
+  const b = evaluate(node.b, fields);
+  if (a == null || b == null) return null;
+  if (node.op === "+") return a + b;
+  if (node.op === "-") return a - b;
+  if (node.op === "*") return a * b;
+  return b === 0 ? null : a / b;
+}
+
+function expressionFields(node, out = []) {
+  if (node.field !== undefined) out.push(node.field);
+  if (node.a) expressionFields(node.a, out);
+  if (node.b) expressionFields(node.b, out);
+  return out;
+}
+
+//////////////////////
+// Specs
+//////////////////////
+/**
+ * "total_trips:total|number|default=0" -> { name, source, expr, transforms: [{ type } | { default }] }
+ */
+function parseFieldSpec(spec) {
+  const [head, ...rest] = String(spec).split("|");
+  const transforms = rest.map((t) => {
+    const s = t.trim();
+    if (s.startsWith("default=")) return { default: parseDefault(s.slice("default=".length)) };
+    if (/^iso=/i.test(s)) {
+      const zone = s.slice("iso=".length);
+      if (!isValidZone(zone)) throw new Error(`allowed_fields: unknown time zone "${zone}" in "${spec}"`);
+      return { type: "iso", zone };
+    }
+    if (TYPES.includes(s.toLowerCase())) return { type: s.toLowerCase() };
+    throw new Error(`allowed_fields: unknown transform "${s}" in "${spec}"`);
+  });
+
+  const eq = head.indexOf("=");
+  if (eq > 0) {
+    const name = head.slice(0, eq).trim();
+    const expr = parseExpression(head.slice(eq + 1), spec);
+    return { name, source: null, expr, transforms };
+  }
+
+  const [source, rename] = head.split(":").map(x => x.trim());
+  if (!source) throw new Error(`allowed_fields: empty field in "${spec}"`);
+  return { name: rename || source, source, expr: null, transforms };
+}
+
+function parseAllowedFields(list) {
+  return list.map(parseFieldSpec);
+}
+
+// Airtable field names a projection reads (for fields[]).
+function sourceFields(specs) {
+  const out = new Set();
+  for (const s of specs) {
+    if (s.source) out.add(s.source);
+    if (s.expr) for (const f of expressionFields(s.expr)) out.add(f);
+  }
+  return [...out];
+}
+
+function applyTransforms(value, transforms) {
+  let v = value;
+  for (const t of transforms) {
+    if (t.type === "number") v = toNumber(v);
+    else if (t.type === "int") v = toNumber(v) == null ? null : Math.round(toNumber(v));
+    else if (t.type === "boolean") v = toBoolean(v);
+    else if (t.type === "string") v = (v === null || v === undefined) ? null : String(unwrap(v));
+    else if (t.type === "iso") v = toIso(v, t.zone);
+    else if ("default" in t && (v === null || v === undefined || v === "")) v = t.default;
+  }
+  return v;
+}
+
+function projectRecord(fields, specs) {
+  const src = fields || {};
+  const obj = {};
+  for (const s of specs) {
+    const raw = s.expr ? evaluate(s.expr, src) : (s.source in src ? src[s.source] : null);
+    const v = applyTransforms(raw, s.transforms);
+    obj[s.name] = v === undefined ? null : v;
+  }
+  return obj;
+}
+
+module.exports = {
+  TYPES,
+  parseFieldSpec,
+  parseAllowedFields,
+  sourceFields,
+  projectRecord,
+};
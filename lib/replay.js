@@ -0,0 +1,100 @@
+// lib/replay.js
+/**
+ * RingStatus — recorded show days for time-travel replay (tagger.js replay)
+ *
+ * Recording (JSON):
+ *  {
+ *    show: { id, fields: { name, start_date, end_date, mode_override, ... } },  // optional, drives mode
+ *    time_zone: "America/New_York",                                           // optional IANA fallback
+ *    frames: [
+ *      { clock: <ring payload>, schedule: [records], trips: [records] },      // or at: "<iso>" instead of clock
+ *      { at: "2026-03-07T15:05:00Z" },                                        // no snapshot -> previous one
+ *      ...
+ *    ]
+ *  }
+ * A bare array is read as frames. Records are Airtable-shaped ({ id, fields }).
+ *
+ * Timeline row (one per record per frame):
+ *  frame, at, epoch, mode, table, record_id, temp, bucket, target_epoch, till_sec, next_due_epoch, write, due
+ *  write = changed | heartbeat | unchanged | skipped (HOLDOVER frame); due = stored next_due had passed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const TIMELINE_COLUMNS = [
+  "frame", "at", "epoch", "mode", "table", "record_id",
+  "temp", "bucket", "target_epoch", "till_sec", "next_due_epoch", "write", "due",
+];
+
+function loadRecording(filePath) {
+  const abs = path.resolve(filePath);
+  const raw = JSON.parse(fs.readFileSync(abs, "utf8"));
+  const rec = Array.isArray(raw) ? { frames: raw } : raw;
+
+  if (!rec || !Array.isArray(rec.frames) || !rec.frames.length) {
+    throw new Error(`recording invalid (${abs}): no frames`);
+  }
+  rec.frames.forEach((f, i) => {
+    if (!f || (!f.clock && !f.at)) throw new Error(`recording invalid (${abs}): frame ${i} has no clock or at`);
+  });
+  if (!Array.isArray(rec.frames[0].schedule) && !Array.isArray(rec.frames[0].trips)) {
+    throw new Error(`recording invalid (${abs}): first frame has no schedule/trips snapshot`);
+  }
+
+  return { ...rec, source: abs };
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function timelineToCsv(rows) {
+  const lines = [TIMELINE_COLUMNS.join(",")];
+  for (const r of rows) lines.push(TIMELINE_COLUMNS.map(c => csvCell(r[c])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Per-frame bucket membership, for the console and the JSON output.
+ */
+function summarizeFrames(rows) {
+  const frames = new Map();
+  for (const r of rows) {
+    let f = frames.get(r.frame);
+    if (!f) {
+      f = { frame: r.frame, at: r.at, mode: r.mode, buckets: {}, writes: 0, due: 0 };
+      frames.set(r.frame, f);
+    }
+    const b = String(r.bucket ?? "-");
+    f.buckets[b] = (f.buckets[b] || 0) + 1;
+    if (r.write === "changed" || r.write === "heartbeat") f.writes++;
+    if (r.due) f.due++;
+  }
+  return [...frames.values()];
+}
+
+// .json -> { kind, recording, policy, frames, rows }; anything else -> CSV rows.
+function writeTimeline(filePath, rows, meta) {
+  const abs = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+
+  const body = abs.toLowerCase().endsWith(".json")
+    ? JSON.stringify({ kind: "replay_timeline", ...meta, frames: summarizeFrames(rows), rows }, null, 2) + "\n"
+    : timelineToCsv(rows);
+
+  const tmp = `${abs}.tmp`;
+  fs.writeFileSync(tmp, body);
+  fs.renameSync(tmp, abs);
+  return abs;
+}
+
+module.exports = {
+  TIMELINE_COLUMNS,
+  loadRecording,
+  timelineToCsv,
+  summarizeFrames,
+  writeTimeline,
+};
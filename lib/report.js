@@ -0,0 +1,144 @@
+// lib/report.js
+/**
+ * RingStatus — tagger run reports
+ *
+ * One JSON report per tag pass (every show in it), for auditing cadence and finding bad data:
+ *  {
+ *    kind: "tag_pass", started_at, finished_at, duration_ms,
+ *    store, policy, dry_run, force_mode,
+ *    totals: { records, changed, heartbeat, unchanged, unparseable, temps: {HOT: n}, buckets: {...} },
+ *    events,                                     // temp transitions emitted
+ *    airtable_retries,
+ *    shows: [{ id, name, status: tagged|holdover|no_clock, mode, mode_source, reason,
+ *              now_epoch, tz_zone, offset_min, schedule: <tally>, trips: <tally>, events }],
+ *    unassigned: { schedule, trips }
+ *  }
+ *
+ * Tally = { records, changed, heartbeat, unchanged, unparseable, unparseable_ids (first N), temps, buckets }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const UNPARSEABLE_ID_LIMIT = 20;
+
+function newTally() {
+  return {
+    records: 0,
+    changed: 0,
+    heartbeat: 0,
+    unchanged: 0,
+    unparseable: 0,
+    unparseable_ids: [],
+    temps: {},
+    buckets: {},
+  };
+}
+
+function bump(obj, key) {
+  const k = String(key ?? "?");
+  obj[k] = (obj[k] || 0) + 1;
+}
+
+/**
+ * kind = changed | heartbeat | unchanged (see diffUpdate in tagger.js)
+ */
+function tallyRecord(tally, recordId, tag, kind) {
+  tally.records++;
+  tally[kind]++;
+  bump(tally.temps, tag.temp);
+  bump(tally.buckets, tag.bucket);
+  if (tag.unparseable) {
+    tally.unparseable++;
+    if (tally.unparseable_ids.length < UNPARSEABLE_ID_LIMIT) tally.unparseable_ids.push(recordId);
+  }
+}
+
+function mergeTally(into, t) {
+  for (const k of ["records", "changed", "heartbeat", "unchanged", "unparseable"]) into[k] += t[k];
+  for (const [k, n] of Object.entries(t.temps)) into.temps[k] = (into.temps[k] || 0) + n;
+  for (const [k, n] of Object.entries(t.buckets)) into.buckets[k] = (into.buckets[k] || 0) + n;
+  return into;
+}
+
+function startPassReport(meta) {
+  return {
+    kind: "tag_pass",
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    ...meta,
+    totals: null,
+    events: 0,
+    airtable_retries: 0,
+    shows: [],
+    unassigned: { schedule: 0, trips: 0 },
+    _startedMs: Date.now(),
+  };
+}
+
+function finishPassReport(report, { airtableRetries = 0 } = {}) {
+  const totals = newTally();
+  for (const s of report.shows) {
+    if (s.schedule) mergeTally(totals, s.schedule);
+    if (s.trips) mergeTally(totals, s.trips);
+  }
+  delete totals.unparseable_ids;
+
+  const out = { ...report };
+  delete out._startedMs;
+  out.finished_at = new Date().toISOString();
+  out.duration_ms = Date.now() - report._startedMs;
+  out.totals = totals;
+  out.events = report.shows.reduce((n, s) => n + (s.events || 0), 0);
+  out.airtable_retries = airtableRetries;
+  return out;
+}
+
+/**
+ * Short one-line summary for the console.
+ */
+function summarizeReport(r) {
+  const t = r.totals;
+  const temps = Object.entries(t.temps).map(([k, n]) => `${k}=${n}`).join(",") || "-";
+  return (
+    `run report | shows=${r.shows.length} records=${t.records} changed=${t.changed} hb=${t.heartbeat}` +
+    ` unparseable=${t.unparseable} temps=${temps} events=${r.events} retries=${r.airtable_retries} duration=${r.duration_ms}ms`
+  );
+}
+
+// NDJSON: one report per line, append-only.
+function appendReportFile(filePath, report) {
+  const abs = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.appendFileSync(abs, JSON.stringify(report) + "\n");
+}
+
+/**
+ * Flat fields for a run-log table row; the full report goes in as JSON text.
+ */
+function reportToRunLogFields(r) {
+  return {
+    kind: r.kind,
+    started_at: r.started_at,
+    duration_ms: r.duration_ms,
+    shows: r.shows.length,
+    records: r.totals.records,
+    changed: r.totals.changed,
+    unparseable: r.totals.unparseable,
+    events: r.events,
+    airtable_retries: r.airtable_retries,
+    policy: r.policy,
+    report: JSON.stringify(r),
+  };
+}
+
+module.exports = {
+  newTally,
+  tallyRecord,
+  startPassReport,
+  finishPassReport,
+  summarizeReport,
+  appendReportFile,
+  reportToRunLogFields,
+};
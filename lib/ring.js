@@ -0,0 +1,112 @@
+// lib/ring.js
+/**
+ * RingStatus — upstream ring API (same endpoint and headers as the SMS worker)
+ *
+ *  GET {base}/ring/{ring_id}?show_date=YYYY-MM-DD&date=YYYY-MM-DD&customer_id=15[&show_id=..]
+ *   -> { ring: { ring_name }, time_zone_date_time: {...}, class_groups: [{
+ *        class_group_id, group_name, group_sequence, cancelled,
+ *        total_trips, completed_trips, actual_start_time, estimated_start_time, estimated_end_time,
+ *        start_time_default }] }
+ *
+ * A record is matched to its class group by class_group_id; ring_number -> ring_id uses RING_IDS
+ * (the worker's RINGS table) unless the record carries the ring id itself.
+ */
+
+// ring_number -> ring_id (utils/js/twil_worker_last.js RINGS)
+const RING_IDS = {
+  1: 51, 2: 9, 3: 37, 4: 52, 5: 49, 6: 25, 7: 56, 8: 57, 9: 58, 10: 53, 11: 22, 12: 30, 13: 38, 14: 2, 15: 10,
+};
+
+// "1:51,2:9" -> { 1: 51, 2: 9 }; blank -> RING_IDS
+function parseRingIds(s) {
+  const raw = String(s ?? "").trim();
+  if (!raw) return { ...RING_IDS };
+  const out = {};
+  for (const pair of raw.split(/[,\n]/)) {
+    const m = pair.trim().match(/^(\d+)\s*:\s*(\d+)$/);
+    if (m) out[Number(m[1])] = Number(m[2]);
+  }
+  return out;
+}
+
+function upstreamHeaders({ token = "", cookie = "" } = {}) {
+  const h = {
+    Accept: "application/json",
+    "User-Agent": "Mozilla/5.0",
+    "sgl-request-origin": "SGL-API",
+    Origin: "https://www.wellingtoninternational.com",
+    Referer: "https://www.wellingtoninternational.com/",
+  };
+  if (token) h.Authorization = `Bearer ${token}`;
+  if (cookie) h.Cookie = cookie;
+  return h;
+}
+
+function ringPayloadUrl({ base, ringId, showDate, customerId = "15", showId = "" }) {
+  const url = new URL(`${String(base).replace(/\/+$/, "")}/ring/${encodeURIComponent(ringId)}`);
+  url.searchParams.set("show_date", showDate);
+  url.searchParams.set("date", showDate);
+  url.searchParams.set("customer_id", String(customerId));
+  if (showId) url.searchParams.set("show_id", String(showId));
+  return url.toString();
+}
+
+function isBlankClock(v) {
+  const s = String(v ?? "").trim();
+  return !s || s === "00:00:00";
+}
+
+function findClassGroup(payload, classGroupId) {
+  const groups = Array.isArray(payload?.class_groups) ? payload.class_groups : [];
+  const want = String(classGroupId ?? "").trim();
+  if (!want) return null;
+  return groups.find(g => String(g?.class_group_id ?? "").trim() === want) || null;
+}
+
+// Statuses after which a class group never changes again: no next_due, no more upstream reads.
+const TERMINAL_STATUSES = ["Completed", "Cancelled"];
+
+/**
+ * Status the tagger understands (it keys on "Completed" / "Cancelled" / "Underway"), from trip counts.
+ */
+function groupStatus(g) {
+  const total = Number(g?.total_trips ?? 0);
+  const gone = Number(g?.completed_trips ?? 0);
+  if (Number(g?.cancelled ?? 0) !== 0) return "Cancelled";
+  if (total > 0 && gone >= total) return "Completed";
+  if (!isBlankClock(g?.actual_start_time) && gone > 0) return "Underway";
+  return "Upcoming";
+}
+
+function isTerminalStatus(status) {
+  const s = String(status ?? "").trim().toLowerCase();
+  return TERMINAL_STATUSES.some(t => t.toLowerCase() === s);
+}
+
+/**
+ * -> { status, completed, total, estStart, estEnd, actualStart } (times as posted; blanks -> null)
+ */
+function groupSnapshot(g) {
+  const clock = (v) => (isBlankClock(v) ? null : String(v).trim());
+  const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : null);
+  return {
+    status: groupStatus(g),
+    completed: num(g?.completed_trips),
+    total: num(g?.total_trips),
+    estStart: clock(g?.estimated_start_time) || clock(g?.start_time_default),
+    estEnd: clock(g?.estimated_end_time),
+    actualStart: clock(g?.actual_start_time),
+  };
+}
+
+module.exports = {
+  RING_IDS,
+  parseRingIds,
+  upstreamHeaders,
+  ringPayloadUrl,
+  findClassGroup,
+  TERMINAL_STATUSES,
+  groupStatus,
+  isTerminalStatus,
+  groupSnapshot,
+};
@@ -0,0 +1,131 @@
+// lib/schedule.js
+/**
+ * RingStatus — washer tick planning across bucket lanes
+ *
+ *  - lane:    a due record's bucket (LIVE, HOT, WARM, COLD; anything else -> "*")
+ *  - weights: LANE_WEIGHTS "LIVE:8,HOT:8,WARM:3,COLD:1"; a lane without a weight gets the "*" weight (1)
+ *  - slots:   how many records a tick may take at most, from the Airtable request budget
+ *             (rps * tick seconds, minus the list pages already spent, / requests per record).
+ *             An estimate: the caller also checks what the tick has actually spent (lease
+ *             renewals, claim re-reads, failure writes) before each record (budgetAllows).
+ *
+ * Selection is strict by tier: priority lanes (LIVE, HOT) are drained first; the other lanes
+ * only share what is left. Within a tier it is smooth weighted round-robin: each pick adds every
+ * waiting lane's weight to its credit, takes the lane with the most credit and charges it the
+ * total. Credits carry over between ticks, so once the priority lanes are clear a COLD lane with
+ * weight 1 of 4 still gets one pick in every 4 however deep the WARM backlog is. Within a lane,
+ * oldest next_due first. Records come out one at a time (next()), so a tick that runs out of
+ * budget leaves the rest unpicked and uncharged.
+ */
+
+const DEFAULT_WEIGHTS = "LIVE:8,HOT:8,WARM:3,COLD:1";
+
+// "LIVE:8,HOT:8" -> { LIVE: 8, HOT: 8, "*": 1 }; blank -> DEFAULT_WEIGHTS
+function parseLaneWeights(s) {
+  const raw = String(s ?? "").trim() || DEFAULT_WEIGHTS;
+  const out = { "*": 1 };
+  for (const pair of raw.split(/[,\n]/)) {
+    const m = pair.trim().match(/^([A-Za-z*]+)\s*:\s*(\d+(?:\.\d+)?)$/);
+    if (m && Number(m[2]) > 0) out[m[1].toUpperCase()] = Number(m[2]);
+  }
+  return out;
+}
+
+function laneOf(bucket, weights) {
+  const b = String(bucket ?? "").trim().toUpperCase();
+  return b && Object.prototype.hasOwnProperty.call(weights, b) ? b : "*";
+}
+
+/**
+ * Records a tick can afford. Never below 1 while anything is due (the request limiter still
+ * spaces the calls; a starved budget just means one record per tick).
+ */
+function tickSlots({ rps, tickSeconds, listRequests, perRecord, max }) {
+  if (!(perRecord > 0)) return max;
+  const left = Math.floor(rps * tickSeconds) - listRequests;
+  return Math.max(1, Math.min(max, Math.floor(left / perRecord)));
+}
+
+/**
+ * Room for one more record: the first record of a tick always runs; after that the requests the
+ * tick has actually spent plus one record's estimate must stay within rps * tick seconds.
+ */
+function budgetAllows({ rps, tickSeconds, spent, perRecord, taken }) {
+  if (taken === 0 || !(perRecord > 0)) return true;
+  return spent + perRecord <= Math.floor(rps * tickSeconds);
+}
+
+/**
+ * -> pick(due, slots) -> { picked, byLane: { lane: { due, picked } } }
+ *    pick.start(due)  -> { next() -> record | null, picked, byLane } (one record per call)
+ * due: [{ lane, nextDue, ... }]. Keeps its credits between calls.
+ */
+function createFairPicker(weights, priorityLanes = ["LIVE", "HOT"]) {
+  const credit = {};
+
+  function start(due) {
+    const queues = new Map();
+    for (const d of due) {
+      if (!queues.has(d.lane)) queues.set(d.lane, []);
+      queues.get(d.lane).push(d);
+    }
+    for (const q of queues.values()) q.sort((a, b) => a.nextDue - b.nextDue);
+
+    const byLane = {};
+    for (const [lane, q] of queues) byLane[lane] = { due: q.length, picked: 0 };
+
+    const picked = [];
+    const next = () => {
+      let waiting = [...queues.keys()].filter(l => queues.get(l).length);
+      if (!waiting.length) return null;
+      const priority = waiting.filter(l => priorityLanes.includes(l));
+      if (priority.length) waiting = priority;
+
+      let total = 0;
+      let best = null;
+      for (const lane of waiting) {
+        const w = weights[lane] ?? weights["*"] ?? 1;
+        credit[lane] = (credit[lane] || 0) + w;
+        total += w;
+        if (best == null || credit[lane] > credit[best]) best = lane;
+      }
+      credit[best] -= total;
+      const d = queues.get(best).shift();
+      byLane[best].picked++;
+      picked.push(d);
+      return d;
+    };
+
+    return { next, picked, byLane };
+  }
+
+  function pick(due, slots) {
+    const plan = start(due);
+    while (plan.picked.length < slots) {
+      if (!plan.next()) break;
+    }
+    return { picked: plan.picked, byLane: plan.byLane };
+  }
+  pick.start = start;
+
+  return pick;
+}
+
+// { HOT: { due: 3, picked: 2 }, COLD: { due: 5, picked: 1 } } -> "HOT=2/3 COLD=1/5"
+function formatLanes(byLane, weights) {
+  const order = Object.keys(weights).filter(l => l !== "*");
+  return Object.keys(byLane)
+    .sort((a, b) => (order.indexOf(a) + 1 || 99) - (order.indexOf(b) + 1 || 99))
+    .map(l => `${l}=${byLane[l].picked}/${byLane[l].due}`)
+    .join(" ");
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  parseLaneWeights,
+  laneOf,
+  tickSlots,
+  budgetAllows,
+  createFairPicker,
+  formatLanes,
+};
@@ -0,0 +1,320 @@
+// lib/store.js
+/**
+ * RingStatus — record stores for the tagger
+ *
+ * A store is any object with:
+ *  - kind                              ("airtable" | "json" | "sqlite")
+ *  - list(tableName, viewName)         -> [{ id, createdTime, fields }]
+ *  - batchUpdate(tableName, updates)   updates = [{ id, fields }] (merged, like Airtable PATCH)
+ *  - create(tableName, fieldsList)     appends new records (e.g. run-log rows) -> [{ id, fields }]
+ *
+ * The Airtable store is built by the caller (it owns the HTTP/retry plumbing).
+ * This module provides the local backends:
+ *
+ *  - json:   one JSON file
+ *      {
+ *        "tables": {
+ *          "watch_trips": {
+ *            "records": [{ "id": "rec1", "createdTime": "...", "fields": { ... } }],
+ *            "views":   { "epoch": ["rec1", "rec2"] }      // optional: order + filter
+ *          }
+ *        }
+ *      }
+ *    A view that is not listed returns every record of the table in file order.
+ *
+ *  - sqlite: node:sqlite database (Node 22.5+; 22.5-22.12 also need --experimental-sqlite), same
+ *    semantics as json.
+ *      records(tbl, id, created_time, fields)   fields = JSON text
+ *      view_members(tbl, view, id, pos)
+ *    Tables/views are created on open.
+ *
+ * Both local stores also have isEmpty(), importTable(table, records, views) and importJsonFile(path).
+ * An import replaces the imported records' fields, so seedIfEmpty() only loads a seed file into a
+ * store that has no records yet; a seed never overwrites tags written by earlier passes.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const STORE_KINDS = ["airtable", "json", "sqlite"];
+
+// blank -> "airtable"; anything unknown throws (a typo must never fall through to the live base)
+function normalizeStoreKind(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  if (!s) return "airtable";
+  if (!STORE_KINDS.includes(s)) throw new Error(`unknown STORE_BACKEND "${v}" (${STORE_KINDS.join("|")})`);
+  return s;
+}
+
+function cloneFields(f) {
+  return JSON.parse(JSON.stringify(f || {}));
+}
+
+function newRecordId() {
+  return `rec${crypto.randomBytes(7).toString("hex")}`;
+}
+
+function viewOrder(viewIds, records) {
+  const byId = new Map(records.map(r => [r.id, r]));
+  return viewIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+//////////////////////
+// JSON file store
+//////////////////////
+function createJsonStore(filePath) {
+  if (!filePath) throw new Error("json store: missing file path");
+  const abs = path.resolve(filePath);
+
+  function load() {
+    if (!fs.existsSync(abs)) return { tables: {} };
+    const j = JSON.parse(fs.readFileSync(abs, "utf8"));
+    if (!j.tables || typeof j.tables !== "object") j.tables = {};
+    return j;
+  }
+
+  function save(db) {
+    // write-then-rename so a crash mid-write never leaves a half file behind
+    const tmp = `${abs}.tmp-${process.pid}`;
+    fs.writeFileSync(tmp, JSON.stringify(db, null, 2) + "\n");
+    fs.renameSync(tmp, abs);
+  }
+
+  async function list(tableName, viewName) {
+    const db = load();
+    const t = db.tables[tableName];
+    if (!t) throw new Error(`json store: unknown table ${tableName}`);
+
+    const records = Array.isArray(t.records) ? t.records : [];
+    const viewIds = viewName && t.views ? t.views[viewName] : null;
+    const rows = Array.isArray(viewIds) ? viewOrder(viewIds, records) : records;
+
+    return rows.map(r => ({ id: r.id, createdTime: r.createdTime || null, fields: cloneFields(r.fields) }));
+  }
+
+  async function batchUpdate(tableName, updates) {
+    if (!updates.length) return;
+
+    const db = load();
+    const t = db.tables[tableName];
+    if (!t) throw new Error(`json store: unknown table ${tableName}`);
+
+    const byId = new Map((t.records || []).map(r => [r.id, r]));
+    for (const u of updates) {
+      if (!byId.has(u.id)) throw new Error(`json store: record not found ${tableName}/${u.id}`);
+    }
+    for (const u of updates) {
+      const rec = byId.get(u.id);
+      rec.fields = { ...(rec.fields || {}), ...cloneFields(u.fields) };
+    }
+
+    save(db);
+  }
+
+  // Unknown tables are created on first write (run-log tables need no setup).
+  async function create(tableName, fieldsList) {
+    if (!fieldsList.length) return [];
+
+    const db = load();
+    const t = db.tables[tableName] || (db.tables[tableName] = { records: [] });
+    if (!Array.isArray(t.records)) t.records = [];
+
+    const created = fieldsList.map(fields => ({
+      id: newRecordId(),
+      createdTime: new Date().toISOString(),
+      fields: cloneFields(fields),
+    }));
+    t.records.push(...created);
+
+    save(db);
+    return created.map(r => ({ id: r.id, fields: cloneFields(r.fields) }));
+  }
+
+  function isEmpty() {
+    return !Object.values(load().tables).some(t => Array.isArray(t?.records) && t.records.length);
+  }
+
+  // Load/replace a table snapshot (records by id, listed views replaced).
+  function importTable(tableName, records, views = {}) {
+    const db = load();
+    const t = db.tables[tableName] || (db.tables[tableName] = { records: [] });
+    if (!Array.isArray(t.records)) t.records = [];
+
+    const byId = new Map(t.records.map(r => [r.id, r]));
+    for (const r of records) {
+      const rec = { id: r.id, createdTime: r.createdTime || null, fields: cloneFields(r.fields) };
+      if (byId.has(r.id)) Object.assign(byId.get(r.id), rec);
+      else t.records.push(rec);
+    }
+    if (Object.keys(views || {}).length) t.views = { ...(t.views || {}), ...views };
+
+    save(db);
+  }
+
+  function importJsonFile(jsonPath) {
+    const j = JSON.parse(fs.readFileSync(path.resolve(jsonPath), "utf8"));
+    for (const [tableName, t] of Object.entries(j.tables || {})) {
+      importTable(tableName, t.records || [], t.views || {});
+    }
+  }
+
+  return { kind: "json", path: abs, list, batchUpdate, create, isEmpty, importTable, importJsonFile };
+}
+
+//////////////////////
+// SQLite store (node:sqlite)
+//////////////////////
+function loadNodeSqlite() {
+  try {
+    // eslint-disable-next-line global-require
+    return require("node:sqlite");
+  } catch {
+    throw new Error(`sqlite store: node:sqlite unavailable in Node ${process.versions.node} (needs 22.5+); use STORE_BACKEND=json`);
+  }
+}
+
+function createSqliteStore(filePath) {
+  if (!filePath) throw new Error("sqlite store: missing file path");
+  const { DatabaseSync } = loadNodeSqlite();
+  const db = new DatabaseSync(path.resolve(filePath));
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      tbl TEXT NOT NULL,
+      id TEXT NOT NULL,
+      created_time TEXT,
+      fields TEXT NOT NULL DEFAULT '{}',
+      PRIMARY KEY (tbl, id)
+    );
+    CREATE TABLE IF NOT EXISTS view_members (
+      tbl TEXT NOT NULL,
+      view TEXT NOT NULL,
+      id TEXT NOT NULL,
+      pos INTEGER NOT NULL,
+      PRIMARY KEY (tbl, view, id)
+    );
+  `);
+
+  const qHasView = db.prepare("SELECT 1 FROM view_members WHERE tbl = ? AND view = ? LIMIT 1");
+  const qHasTable = db.prepare("SELECT 1 FROM records WHERE tbl = ? LIMIT 1");
+  const qAny = db.prepare("SELECT 1 FROM records LIMIT 1");
+  const qView = db.prepare(`
+    SELECT r.id, r.created_time, r.fields FROM view_members v
+    JOIN records r ON r.tbl = v.tbl AND r.id = v.id
+    WHERE v.tbl = ? AND v.view = ? ORDER BY v.pos
+  `);
+  const qAll = db.prepare("SELECT id, created_time, fields FROM records WHERE tbl = ? ORDER BY rowid");
+  const qGet = db.prepare("SELECT fields FROM records WHERE tbl = ? AND id = ?");
+  const qSet = db.prepare("UPDATE records SET fields = ? WHERE tbl = ? AND id = ?");
+  const qUpsert = db.prepare(`
+    INSERT INTO records (tbl, id, created_time, fields) VALUES (?, ?, ?, ?)
+    ON CONFLICT (tbl, id) DO UPDATE SET created_time = excluded.created_time, fields = excluded.fields
+  `);
+  const qClearView = db.prepare("DELETE FROM view_members WHERE tbl = ? AND view = ?");
+  const qAddView = db.prepare("INSERT INTO view_members (tbl, view, id, pos) VALUES (?, ?, ?, ?)");
+
+  function inTx(fn) {
+    db.exec("BEGIN");
+    try {
+      fn();
+      db.exec("COMMIT");
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+  }
+
+  async function list(tableName, viewName) {
+    if (!qHasTable.get(tableName)) throw new Error(`sqlite store: unknown table ${tableName}`);
+
+    const rows = (viewName && qHasView.get(tableName, viewName))
+      ? qView.all(tableName, viewName)
+      : qAll.all(tableName);
+
+    return rows.map(r => ({ id: r.id, createdTime: r.created_time || null, fields: JSON.parse(r.fields || "{}") }));
+  }
+
+  async function batchUpdate(tableName, updates) {
+    if (!updates.length) return;
+
+    inTx(() => {
+      for (const u of updates) {
+        const row = qGet.get(tableName, u.id);
+        if (!row) throw new Error(`sqlite store: record not found ${tableName}/${u.id}`);
+        const merged = { ...JSON.parse(row.fields || "{}"), ...cloneFields(u.fields) };
+        qSet.run(JSON.stringify(merged), tableName, u.id);
+      }
+    });
+  }
+
+  async function create(tableName, fieldsList) {
+    if (!fieldsList.length) return [];
+
+    const created = fieldsList.map(fields => ({ id: newRecordId(), fields: cloneFields(fields) }));
+    inTx(() => {
+      for (const r of created) qUpsert.run(tableName, r.id, new Date().toISOString(), JSON.stringify(r.fields));
+    });
+    return created;
+  }
+
+  function isEmpty() {
+    return !qAny.get();
+  }
+
+  // Load/replace a table snapshot, e.g. from a JSON store file or an Airtable export.
+  function importTable(tableName, records, views = {}) {
+    inTx(() => {
+      for (const r of records) {
+        qUpsert.run(tableName, r.id, r.createdTime || null, JSON.stringify(r.fields || {}));
+      }
+      for (const [viewName, ids] of Object.entries(views || {})) {
+        qClearView.run(tableName, viewName);
+        ids.forEach((id, i) => qAddView.run(tableName, viewName, id, i));
+      }
+    });
+  }
+
+  // Seed from a json-store file (same layout as createJsonStore).
+  function importJsonFile(jsonPath) {
+    const j = JSON.parse(fs.readFileSync(path.resolve(jsonPath), "utf8"));
+    for (const [tableName, t] of Object.entries(j.tables || {})) {
+      importTable(tableName, t.records || [], t.views || {});
+    }
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return { kind: "sqlite", path: path.resolve(filePath), list, batchUpdate, create, isEmpty, importTable, importJsonFile, close };
+}
+
+/**
+ * Loads a json-store seed file into a local store that has no records yet.
+ * -> "seeded" | "skipped" (the store already holds records, e.g. tags from earlier passes)
+ */
+function seedIfEmpty(store, seedPath) {
+  if (!store.isEmpty()) return "skipped";
+  store.importJsonFile(seedPath);
+  return "seeded";
+}
+
+/**
+ * Opens a local store. Airtable is not handled here; callers pass their own.
+ */
+function openLocalStore(kind, filePath) {
+  const k = normalizeStoreKind(kind);
+  if (k === "json") return createJsonStore(filePath);
+  if (k === "sqlite") return createSqliteStore(filePath);
+  throw new Error(`openLocalStore: ${kind} is not a local store`);
+}
+
+module.exports = {
+  STORE_KINDS,
+  normalizeStoreKind,
+  createJsonStore,
+  createSqliteStore,
+  openLocalStore,
+  seedIfEmpty,
+};
@@ -0,0 +1,91 @@
+// lib/tz.js
+/**
+ * RingStatus — show-local time -> UTC epoch, DST-correct
+ *
+ * A tz context is { zone, offsetMinutes }:
+ *  - zone:          IANA name ("America/New_York"); when valid, every local date/time is
+ *                   resolved with the offset in force on THAT date (not "now").
+ *  - offsetMinutes: fixed offset east of UTC (ring payload time_zone_offset); used only when
+ *                   zone is missing/invalid (legacy behaviour).
+ *
+ * Local times inside a spring-forward gap resolve to the post-transition instant (02:30 -> 03:30);
+ * repeated fall-back times resolve to the first (daylight) occurrence.
+ */
+
+const dtfCache = new Map();
+
+function formatterFor(zone) {
+  let f = dtfCache.get(zone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone: zone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    dtfCache.set(zone, f);
+  }
+  return f;
+}
+
+function isValidZone(zone) {
+  if (!zone || typeof zone !== "string") return false;
+  try {
+    formatterFor(zone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset (minutes east of UTC) of an IANA zone at a UTC instant.
+ */
+function zoneOffsetMinutes(zone, utcMs) {
+  const parts = {};
+  for (const p of formatterFor(zone).formatToParts(new Date(utcMs))) parts[p.type] = p.value;
+
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second);
+  const wholeSecMs = Math.floor(utcMs / 1000) * 1000;
+  return Math.round((asUtc - wholeSecMs) / 60000);
+}
+
+/**
+ * Offset in force at a UTC epoch (seconds) for a tz context.
+ */
+function offsetAt(tz, epochSec) {
+  if (tz && isValidZone(tz.zone)) return zoneOffsetMinutes(tz.zone, epochSec * 1000);
+  return Number(tz?.offsetMinutes) || 0;
+}
+
+/**
+ * Wall-clock parts (already 24h, already rolled over) -> UTC epoch seconds.
+ */
+function localPartsToEpochSeconds({ y, mo, d, h, mi, se }, tz) {
+  const wallMs = Date.UTC(y, mo - 1, d, h, mi, se);
+
+  if (!tz || !isValidZone(tz.zone)) {
+    return Math.floor((wallMs - (Number(tz?.offsetMinutes) || 0) * 60_000) / 1000);
+  }
+
+  // Candidates from the offsets in force a day either side of the wall time; keep those that map
+  // back to the requested wall time. Repeated (fall-back) times -> the earlier one; a spring-forward
+  // gap has none -> the later candidate, which is the post-transition instant.
+  const DAY_MS = 86_400_000;
+  const offsets = [...new Set([zoneOffsetMinutes(tz.zone, wallMs - DAY_MS), zoneOffsetMinutes(tz.zone, wallMs + DAY_MS)])];
+  const candidates = offsets.map(off => wallMs - off * 60_000);
+  const valid = candidates.filter((ms, i) => zoneOffsetMinutes(tz.zone, ms) === offsets[i]);
+  const ms = valid.length ? Math.min(...valid) : Math.max(...candidates);
+  return Math.floor(ms / 1000);
+}
+
+module.exports = {
+  isValidZone,
+  zoneOffsetMinutes,
+  offsetAt,
+  localPartsToEpochSeconds,
+};
@@ -1,5 +1,5 @@
 /**
- * publisher.js (FULL DROP) — RingStatus Data Publisher + Per-Tenant Manifest (NO table_view2)
+ * publisher.js (FULL DROP) — RingStatus Data Publisher + Per-Tenant Manifest (multi-lane)
  *
  * INTENT
  * - Code/templates live in repo: sportdogfood/ringstatus
@@ -8,16 +8,39 @@
  * RUNS OUTSIDE AIRTABLE (Task Scheduler heartbeat or manual):
  * - Reads publish_queue (optionally via a view; default: all_active)
  * - Processes only rows where dirty=true
- * - Each row publishes ONE lane (table_view1 -> paths1). No table_view2 is used.
- * - allowed_fields is taken from publish_queue row (comma/newline separated)
- * - Preflight GET of published JSON and SKIP commit if no change
+ * - Each row publishes one or more LANES: lane N = table_viewN -> pathsN with allowed_fieldsN
+ *   (else the row's allowed_fields). Any N works (1, 2, 3, ...); a lane needs a view or paths.
+ *   e.g. lane 1 = full view -> schedule.json, lane 2 = "today" view -> schedule-today.json
+ * - allowed_fields is taken from publish_queue row (comma/newline separated). Entries can rename,
+ *   coerce, default and compute: "latestStatus:status", "total_trips:total|number|default=0",
+ *   "trips_left=total_trips-completed_trips" (see lib/projection.js); only source fields are read.
+ * - Lanes publish (and commit) independently; one failing lane does not stop the others.
+ *   dirty is cleared only when every lane succeeded; dirty_reason reports each lane on a
+ *   multi-lane row ("published | lane1 commit(1), lane2 skip(no_change)").
+ * - Each path is written as JSON, CSV, NDJSON or JSON.gz by its extension (.json, .csv, .ndjson/.jsonl,
+ *   .json.gz); the lane's formatN field sets the format of paths without one. A formatN that
+ *   contradicts a path's extension fails the lane (see lib/formats.js)
+ * - Change detection without network reads: a content hash per path (lib/formats.js contentHash)
+ *   is kept in the row's published_hashes field; a path whose hash matches is skipped, one whose
+ *   hash differs is committed. Only a path with no stored hash yet is compared against the live
+ *   file (preflight GET), and VERIFY_PUBLISHED=1 compares every path live (catches edits made
+ *   outside the publisher). Hashes are stored after a successful commit or a live match.
+ * - delta_keyN (else delta_key) = id field of the published rows: every commit of that lane also
+ *   writes {first path}.delta.json with added/changed/removed rows from the previous snapshot,
+ *   from = the previous delta's "to" (each lane chains its own versions), to = this publish
+ *   (see lib/delta.js). The previous snapshot and its version come from PUBLISH_STATE_FILE (written
+ *   after each delta commit), used only while its content hash still matches published_hashes;
+ *   otherwise the delta is a reset. No live read is involved unless VERIFY_PUBLISHED=1, which
+ *   takes the base from the live snapshot and the live .delta.json instead.
  * - Commits changed paths via /docs/commit-bulk on ringstatus-proxy
  * - Clears dirty; stamps last_publish_epoch ONLY when a commit happens
  *
  * MANIFEST
- * - Any dataset_key starting with "manifest" publishes a tenant manifest to its paths1.
+ * - Any dataset_key starting with "manifest" publishes a tenant manifest to its lane paths.
  * - Tenant is inferred from manifest path: docs/{tenant}/manifest.json
- * - Manifest includes ONLY datasets whose paths1 are under docs/{tenant}/...
+ * - Manifest includes ONLY dataset paths (any lane) under docs/{tenant}/...
+ * - A path whose lane has a delta feed carries "delta": its .delta.json path
+ * - Committed only when "datasets" changed: a new epoch alone does not recommit it
  *
  * Requires env:
  *   AIRTABLE_TOKEN
@@ -30,9 +53,24 @@
  *   PUBLISHED_BASE      (default: https://ringstatus-proxy.gombcg.workers.dev/)
  *   FORCE_PUSH          (default: 1)
  *   DRY_RUN             (default: 0)
+ *   VERIFY_PUBLISHED    (default: 0)   // 1 = preflight GET every path even when its hash matches
+ *   PUBLISH_STATE_FILE  (default: .publisher-state.json)   // delta bases, one per delta path
  *   SHOWTIME_URL        (optional; used only to stamp epoch; falls back to local time)
+ *   AIRTABLE_API_URL    (default: https://api.airtable.com; point at test/mock-server.js offline)
+ *   AIRTABLE_RPS        (default: 5; shared client rate limit, see lib/airtable.js)
+ *   AT_RETRY_ATTEMPTS / AT_RETRY_BASE_MS / AT_RETRY_MAX_MS  (429/5xx/timeout retries; 3 / 400 / 2000)
  */
 
+const fs = require("fs");
+const path = require("path");
+
+const { createAirtableClient, isAirtableError } = require("./lib/airtable");
+const { parseAllowedFields, sourceFields, projectRecord } = require("./lib/projection");
+const {
+  FORMATS, normalizeFormat, formatForPath, renderContent, decodeContent, contentHash, sameContent,
+} = require("./lib/formats");
+const { deltaPathFor, buildDelta } = require("./lib/delta");
+
 //////////////////////
 // 0) Env + constants
 //////////////////////
@@ -49,8 +87,16 @@ const PUBLISH_QUEUE_VIEW  = (process.env.PUBLISH_QUEUE_VIEW ?? "all_active").tri
 const PUBLISH_URI    = process.env.PUBLISH_URI    || "https://ringstatus-proxy.gombcg.workers.dev/docs/commit-bulk";
 const PUBLISHED_BASE = process.env.PUBLISHED_BASE || "https://ringstatus-proxy.gombcg.workers.dev/";
 
+const AIRTABLE_API_URL = (process.env.AIRTABLE_API_URL || "https://api.airtable.com").replace(/\/+$/, "");
+const AIRTABLE_RPS     = Number(process.env.AIRTABLE_RPS || "5");
+const AT_RETRY_ATTEMPTS = Number(process.env.AT_RETRY_ATTEMPTS || "3");
+const AT_RETRY_BASE_MS  = Number(process.env.AT_RETRY_BASE_MS  || "400");
+const AT_RETRY_MAX_MS   = Number(process.env.AT_RETRY_MAX_MS   || "2000");
+
 const FORCE_PUSH     = String(process.env.FORCE_PUSH ?? "1") === "1";
 const DRY_RUN        = String(process.env.DRY_RUN ?? "0") === "1";
+const VERIFY_PUBLISHED = String(process.env.VERIFY_PUBLISHED ?? "0") === "1";
+const PUBLISH_STATE_FILE = path.resolve(process.env.PUBLISH_STATE_FILE || ".publisher-state.json");
 const SHOWTIME_URL   = process.env.SHOWTIME_URL || "";
 
 // publish_queue field names (must match Airtable field names)
@@ -60,11 +106,12 @@ const PQ_DIRTY_REASON       = "dirty_reason";
 const PQ_DIRTY_EPOCH        = "dirty_epoch";         // optional
 const PQ_LAST_PUBLISH_EPOCH = "last_publish_epoch";
 const PQ_TABLE_NAME         = "table_name";
-const PQ_VIEW1              = "table_view1";         // ONLY view used
-const PQ_PATHS1             = "paths1";              // ONLY paths used
-const PQ_ALLOWED_FIELDS     = "allowed_fields";      // comma/newline list
-
-const CONTENT_TYPE = "application/json";
+const PQ_VIEW_PREFIX        = "table_view";          // table_view1, table_view2, ...
+const PQ_PATHS_PREFIX       = "paths";               // paths1, paths2, ...
+const PQ_ALLOWED_FIELDS     = "allowed_fields";      // comma/newline list; allowed_fieldsN per lane
+const PQ_FORMAT_PREFIX      = "format";              // format1, format2, ... (optional; json|csv|ndjson|json.gz)
+const PQ_DELTA_KEY          = "delta_key";           // id field of published rows; delta_keyN per lane (optional)
+const PQ_PUBLISHED_HASHES   = "published_hashes";    // long text, JSON { path: "sha256:..." } (written by publisher)
 
 //////////////////////
 // 1) Dataset defaults (fallback only if allowed_fields is blank)
@@ -126,24 +173,6 @@ function parsePaths(s) {
   return parseListFlexible(s).map(normalizePath);
 }
 
-function toBase64Utf8(str) {
-  return Buffer.from(String(str), "utf8").toString("base64");
-}
-
-function stableStringify(obj) {
-  const seen = new WeakSet();
-  function sorter(x) {
-    if (x === null || typeof x !== "object") return x;
-    if (seen.has(x)) return null;
-    seen.add(x);
-    if (Array.isArray(x)) return x.map(sorter);
-    const out = {};
-    for (const k of Object.keys(x).sort()) out[k] = sorter(x[k]);
-    return out;
-  }
-  return JSON.stringify(sorter(obj));
-}
-
 function isManifestKey(k) {
   return String(k || "").trim().toLowerCase().startsWith("manifest");
 }
@@ -185,84 +214,41 @@ async function getEpochSec() {
 //////////////////////
 // 3) Airtable REST
 //////////////////////
-const AT_BASE = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}`;
-
-function atHeaders() {
-  return {
-    Authorization: `Bearer ${AIRTABLE_TOKEN}`,
-    "Content-Type": "application/json",
-  };
-}
+// lib/airtable.js: timeouts, retries on 429/5xx, AIRTABLE_RPS limit, typed errors
+const airtable = createAirtableClient({
+  token: AIRTABLE_TOKEN,
+  baseId: AIRTABLE_BASE_ID,
+  apiUrl: AIRTABLE_API_URL,
+  timeoutMs: 20000,
+  retry: { attempts: AT_RETRY_ATTEMPTS, baseMs: AT_RETRY_BASE_MS, maxMs: AT_RETRY_MAX_MS },
+  rps: AIRTABLE_RPS,
+});
 
+// fields:
+// - null => do not send fields[] (safe for schema drift)
+// - []   => do not send fields[] (treat as null)
+// - [..] => send fields[] to reduce payload
 async function airtableListAll({ table, view, fields = null }) {
-  // fields:
-  // - null => do not send fields[] (safe for schema drift)
-  // - []   => do not send fields[] (treat as null)
-  // - [..] => send fields[] to reduce payload
-  const out = [];
-  let offset = null;
-
-  while (true) {
-    const url = new URL(`${AT_BASE}/${encodeURIComponent(table)}`);
-    if (view) url.searchParams.set("view", view);
-
-    if (Array.isArray(fields) && fields.length) {
-      for (const f of fields) url.searchParams.append("fields[]", f);
-    }
-
-    if (offset) url.searchParams.set("offset", offset);
-
-    const res = await fetchWithTimeout(url.toString(), { method: "GET", headers: atHeaders() }, 20000);
-    const j = await res.json().catch(() => ({}));
-
-    if (!res.ok) {
-      const msg = (j && j.error && j.error.message) ? j.error.message : JSON.stringify(j).slice(0, 400);
-      const type = (j && j.error && j.error.type) ? j.error.type : "";
-      const err = new Error(`Airtable list failed (${table}/${view || "NO_VIEW"}): ${res.status} ${type} ${msg}`);
-      err._airtable_status = res.status;
-      err._airtable_type = type;
-      err._airtable_message = msg;
-      throw err;
-    }
-
-    if (Array.isArray(j.records)) out.push(...j.records);
-    offset = j.offset || null;
-    if (!offset) break;
-  }
-
-  return out;
+  return airtable.list(table, { view, fields: Array.isArray(fields) && fields.length ? fields : null });
 }
 
 async function airtablePatchRecord({ table, recordId, fields }) {
-  const url = `${AT_BASE}/${encodeURIComponent(table)}/${recordId}`;
-  const res = await fetchWithTimeout(
-    url,
-    { method: "PATCH", headers: atHeaders(), body: JSON.stringify({ fields }) },
-    20000
-  );
-  const j = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    const msg = (j && j.error && j.error.message) ? j.error.message : JSON.stringify(j).slice(0, 400);
-    const type = (j && j.error && j.error.type) ? j.error.type : "";
-    throw new Error(`Airtable patch failed (${table}/${recordId}): ${res.status} ${type} ${msg}`);
-  }
-  return j;
+  return airtable.update(table, recordId, fields);
 }
 
 //////////////////////
 // 4) Preflight GET
 //////////////////////
-async function preflightGetJson(url) {
+let liveReads = 0;
+
+// -> { ok, status, body: Buffer } ; the caller decodes per format (lib/formats.js)
+async function preflightGet(url) {
+  liveReads++;
   try {
     const res = await fetchWithTimeout(url, { method: "GET" }, 15000);
-    const txt = await res.text();
-    if (!res.ok) return { ok: false, status: res.status, reason: txt.slice(0, 200) };
-    try {
-      const json = JSON.parse(txt);
-      return { ok: true, status: res.status, json };
-    } catch {
-      return { ok: false, status: res.status, reason: "invalid_json" };
-    }
+    const body = Buffer.from(await res.arrayBuffer());
+    if (!res.ok) return { ok: false, status: res.status, reason: body.toString("utf8").slice(0, 200) };
+    return { ok: true, status: res.status, body };
   } catch (e) {
     return { ok: false, status: "fetch_error", reason: String(e?.message || e).slice(0, 200) };
   }
@@ -323,51 +309,135 @@ async function commitBulk({ message, files, force = true }) {
 //////////////////////
 // 6) Publish primitives
 //////////////////////
-function buildRowsFromRecords(records, allowedFields) {
+// Live body has the same changeOf part as the content behind `hash` (undecodable -> false)
+function sameChange(format, liveBody, changeOf, hash) {
+  try {
+    return contentHash(format, changeOf(decodeContent(format, liveBody))) === hash;
+  } catch {
+    return false;
+  }
+}
+
+function buildRowsFromRecords(records, specs) {
   // Preserve view order (Airtable view controls sorting)
-  return records.map(r => {
-    const src = r.fields || {};
-    const obj = {};
-    for (const f of allowedFields) obj[f] = (f in src) ? src[f] : null;
-    return obj;
-  });
+  return records.map(r => projectRecord(r.fields, specs));
 }
 
-async function publishContentToPaths({ datasetKey, contentObj, paths, epochSec }) {
+// format:      lane format for paths without a known extension (a conflicting extension throws)
+// delta:       { key, path, idField } -> also commit a record-level delta when anything changed
+// knownHashes: { path: hash } last published; -> result.hashes = paths now known to be live
+// changeOf:    obj -> the part that counts as a change (hashes and live compares use only that part)
+async function publishContentToPaths({
+  datasetKey,
+  contentObj,
+  paths,
+  epochSec,
+  format = null,
+  delta = null,
+  knownHashes = {},
+  changeOf = null,
+}) {
   if (!paths.length) return { ok: true, skipped: true, reason: "no_paths", committed: 0 };
+  if (format && !normalizeFormat(format)) {
+    throw new Error(`unknown format "${format}" (${Object.keys(FORMATS).join("|")})`);
+  }
+  for (const p of paths) formatForPath(p, format); // conflicts fail the lane before any read
 
-  const contentText = JSON.stringify(contentObj, null, 2) + "\n";
+  const rendered = new Map(); // format -> { contentType, buffer }
   const changedFiles = [];
+  const hashes = {};          // path -> hash, for paths confirmed live
+  const pendingHashes = {};   // path -> hash, live once the commit lands
   let anyChange = false;
+  let previous; // VERIFY_PUBLISHED: first live snapshot that decodes to rows (delta base)
 
-  for (const p of paths) {
-    const publishedUrl = `${PUBLISHED_BASE}${normalizePath(p)}`;
-    const pre = await preflightGetJson(publishedUrl);
+  const tryPrevious = (fmt, pre) => {
+    if (previous !== undefined || !pre.ok) return;
+    try {
+      previous = decodeContent(fmt, pre.body);
+    } catch {
+      // csv or unreadable: try the next path
+    }
+  };
 
-    if (pre.ok) {
-      const same = stableStringify(pre.json) === stableStringify(contentObj);
-      if (!same) {
+  for (const p of paths) {
+    const path = normalizePath(p);
+    const fmt = formatForPath(p, format);
+    if (!rendered.has(fmt)) rendered.set(fmt, renderContent(fmt, contentObj));
+    const out = rendered.get(fmt);
+    const hash = contentHash(fmt, changeOf ? changeOf(contentObj) : contentObj);
+    const file = { path, content_type: out.contentType, content_base64: out.buffer.toString("base64") };
+
+    // Stored hash decides without a network read (unless verifying)
+    if (knownHashes[path] && !VERIFY_PUBLISHED) {
+      if (knownHashes[path] === hash) {
+        hashes[path] = hash;
+      } else {
         anyChange = true;
-        changedFiles.push({
-          path: normalizePath(p),
-          content_type: CONTENT_TYPE,
-          content_base64: toBase64Utf8(contentText),
-        });
+        changedFiles.push(file);
+        pendingHashes[path] = hash;
       }
-    } else {
-      // If preflight fails, commit for safety.
+      continue;
+    }
+
+    const pre = await preflightGet(`${PUBLISHED_BASE}${path}`);
+    if (delta && VERIFY_PUBLISHED) tryPrevious(fmt, pre);
+
+    // If preflight fails (or the live file does not decode), commit for safety.
+    if (!pre.ok || !(changeOf ? sameChange(fmt, pre.body, changeOf, hash) : sameContent(fmt, pre.body, contentObj).same)) {
       anyChange = true;
-      changedFiles.push({
-        path: normalizePath(p),
-        content_type: CONTENT_TYPE,
-        content_base64: toBase64Utf8(contentText),
-      });
+      changedFiles.push(file);
+      pendingHashes[path] = hash;
+    } else {
+      hashes[path] = hash;
+    }
+  }
+
+  if (!anyChange) return { ok: true, skipped: true, reason: "no_change", committed: 0, hashes };
+
+  // Delta base { from, rows }: stored state by default; the live files only when verifying
+  let deltaBase = null;
+  if (delta && VERIFY_PUBLISHED) {
+    if (previous === undefined) {
+      for (const p of paths) {
+        const fmt = formatForPath(p, format);
+        if (fmt === "csv") continue;
+        tryPrevious(fmt, await preflightGet(`${PUBLISHED_BASE}${normalizePath(p)}`));
+        if (previous !== undefined) break;
+      }
+    }
+    // from = the lane's previous delta "to": it was committed with the snapshot read above
+    const last = await preflightGet(`${PUBLISHED_BASE}${normalizePath(delta.path)}`);
+    try {
+      const to = last.ok ? JSON.parse(last.body.toString("utf8"))?.to : null;
+      if (typeof to === "number" && Number.isFinite(to) && previous !== undefined) deltaBase = { from: to, rows: previous };
+    } catch {
+      // unreadable previous delta -> reset
     }
+  } else if (delta) {
+    deltaBase = storedDeltaBase(delta.path, paths, format, knownHashes);
+    if (!deltaBase) console.log(`delta: ${datasetKey} has no stored base matching published_hashes -> reset`);
   }
 
-  if (!anyChange) return { ok: true, skipped: true, reason: "no_change", committed: 0 };
+  if (delta) {
+    const { delta: d, warning } = buildDelta({
+      key: delta.key,
+      idField: delta.idField,
+      from: deltaBase ? deltaBase.from : null,
+      to: epochSec,
+      prevRows: deltaBase ? deltaBase.rows : null,
+      nextRows: contentObj,
+    });
+    if (warning) console.log(`warn: ${datasetKey} delta is a reset | ${warning}`);
+    changedFiles.push({
+      path: normalizePath(delta.path),
+      content_type: FORMATS.json.contentType,
+      content_base64: Buffer.from(JSON.stringify(d, null, 2) + "\n", "utf8").toString("base64"),
+    });
+  }
 
-  if (DRY_RUN) return { ok: true, skipped: true, reason: "dry_run", committed: 0, wouldCommit: changedFiles.length };
+  if (DRY_RUN) {
+    return { ok: true, skipped: true, reason: "dry_run", committed: 0, wouldCommit: changedFiles.length, hashes };
+  }
 
   const msg = `chore: publish ${datasetKey} @${epochSec}`;
   const res = await commitBulk({ message: msg, files: changedFiles, force: FORCE_PUSH });
@@ -378,10 +448,20 @@ async function publishContentToPaths({ datasetKey, contentObj, paths, epochSec }
       status: res.status,
       errorText: String(res.text || "").slice(0, 500),
       committed: 0,
+      hashes,
     };
   }
 
-  return { ok: true, skipped: false, reason: "published", committed: changedFiles.length, status: res.status };
+  if (delta) saveDeltaBase(delta.path, epochSec, contentObj);
+
+  return {
+    ok: true,
+    skipped: false,
+    reason: "published",
+    committed: changedFiles.length,
+    status: res.status,
+    hashes: { ...hashes, ...pendingHashes },
+  };
 }
 
 async function publishDataset({
@@ -391,38 +471,75 @@ async function publishDataset({
   paths,
   allowedFields,
   epochSec,
+  format = null,
+  delta = null,
+  knownHashes = {},
 }) {
   if (!tableName || !viewName) return { ok: true, skipped: true, reason: "missing_table_or_view", committed: 0 };
   if (!paths.length) return { ok: true, skipped: true, reason: "no_paths", committed: 0 };
   if (!allowedFields.length) return { ok: true, skipped: true, reason: "no_allowed_fields", committed: 0 };
 
+  const specs = parseAllowedFields(allowedFields);
+
   // Try with fields[] first; if Airtable complains about unknown field, retry without fields[].
   let records;
   try {
-    records = await airtableListAll({ table: tableName, view: viewName, fields: allowedFields });
+    records = await airtableListAll({ table: tableName, view: viewName, fields: sourceFields(specs) });
   } catch (e) {
-    const status = e && e._airtable_status;
-    const type   = e && e._airtable_type;
-    const msg    = (e && e._airtable_message) ? String(e._airtable_message) : String(e?.message || e);
-
-    if (status === 422 && String(type).toUpperCase() === "UNKNOWN_FIELD_NAME") {
-      console.log(`warn: ${datasetKey} unknown field in fields[]; retrying without fields[] | ${msg}`);
+    if (isAirtableError(e, "UNKNOWN_FIELD_NAME")) {
+      console.log(`warn: ${datasetKey} unknown field in fields[]; retrying without fields[] | ${e.detail}`);
       records = await airtableListAll({ table: tableName, view: viewName, fields: null });
     } else {
       throw e;
     }
   }
 
-  const rows = buildRowsFromRecords(records, allowedFields);
+  const rows = buildRowsFromRecords(records, specs);
 
   return await publishContentToPaths({
     datasetKey: `${datasetKey} (${tableName}/${viewName})`,
     contentObj: rows,
     paths,
     epochSec,
+    format,
+    delta,
+    knownHashes,
   });
 }
 
+/**
+ * publish_queue row -> [{ lane, name, viewName, paths, allowedRaw, format, deltaKey, deltaPath }]
+ * ordered by lane number. deltaPath sits next to the lane's first path (null without a delta key).
+ */
+function lanesFromQueueRow(f) {
+  const nums = new Set();
+  const re = new RegExp(`^(?:${PQ_VIEW_PREFIX}|${PQ_PATHS_PREFIX}|${PQ_ALLOWED_FIELDS})(\\d+)$`);
+  for (const k of Object.keys(f || {})) {
+    const m = k.match(re);
+    if (m && Number(m[1]) > 0) nums.add(Number(m[1]));
+  }
+
+  const lanes = [];
+  for (const lane of [...nums].sort((a, b) => a - b)) {
+    const viewName = String(f[`${PQ_VIEW_PREFIX}${lane}`] || "").trim();
+    const paths = parsePaths(f[`${PQ_PATHS_PREFIX}${lane}`]);
+    if (!viewName && !paths.length) continue;
+    const own = f[`${PQ_ALLOWED_FIELDS}${lane}`];
+    const format = String(f[`${PQ_FORMAT_PREFIX}${lane}`] || "").trim() || null;
+    const deltaKey = String(f[`${PQ_DELTA_KEY}${lane}`] || f[PQ_DELTA_KEY] || "").trim() || null;
+    const deltaPath = deltaKey && paths.length ? deltaPathFor(paths[0]) : null;
+    lanes.push({
+      lane, name: `lane${lane}`, viewName, paths, allowedRaw: own || f[PQ_ALLOWED_FIELDS], format, deltaKey, deltaPath,
+    });
+  }
+  return lanes;
+}
+
+function laneResultText(res) {
+  if (res.error) return `error: ${res.error}`;
+  return res.skipped ? `skip(${res.reason})` : `commit(${res.committed || 0})`;
+}
+
 function pickAllowedFields(datasetKey, pqAllowedFieldsRaw) {
   const fromQueue = parseListFlexible(pqAllowedFieldsRaw);
   if (fromQueue.length) return fromQueue;
@@ -434,6 +551,13 @@ function pickAllowedFields(datasetKey, pqAllowedFieldsRaw) {
 //////////////////////
 // 7) Manifest
 //////////////////////
+// Dataset version = last_publish_epoch of its queue row (null before the first publish)
+function versionOf(f) {
+  const raw = f[PQ_LAST_PUBLISH_EPOCH];
+  const version = (raw === undefined || raw === null || raw === "") ? null : Number(raw);
+  return Number.isFinite(version) ? version : null;
+}
+
 function buildTenantManifestFromQueue(pqRecords, epochSec, tenant) {
   const datasets = [];
 
@@ -449,20 +573,19 @@ function buildTenantManifestFromQueue(pqRecords, epochSec, tenant) {
     if (!key) continue;
     if (isManifestKey(key)) continue;
 
-    const paths = parsePaths(f[PQ_PATHS1]).filter(Boolean);
-    // ONLY include paths under docs/{tenant}/...
-    const tenantPaths = paths.filter(p => String(p).toLowerCase().startsWith(tenantPrefix));
-    if (!tenantPaths.length) continue;
+    const version = versionOf(f);
 
-    const rawVer = f[PQ_LAST_PUBLISH_EPOCH];
-    const version = (rawVer === undefined || rawVer === null || rawVer === "") ? null : Number(rawVer);
-
-    for (const p of tenantPaths) {
-      datasets.push({
-        key,
-        path: normalizePath(p),
-        version: Number.isFinite(version) ? version : null,
-      });
+    for (const lane of lanesFromQueueRow(f)) {
+      // ONLY include paths under docs/{tenant}/...
+      const tenantPaths = lane.paths.filter(p => p && String(p).toLowerCase().startsWith(tenantPrefix));
+      for (const p of tenantPaths) {
+        datasets.push({
+          key,
+          path: normalizePath(p),
+          version,
+          ...(lane.deltaPath ? { delta: normalizePath(lane.deltaPath) } : {}),
+        });
+      }
     }
   }
 
@@ -476,36 +599,121 @@ function buildTenantManifestFromQueue(pqRecords, epochSec, tenant) {
 }
 
 //////////////////////
-// 8) Dirty clearing (success vs error)
+// 8) Published hashes
+//////////////////////
+let hashesFieldMissing = false;
+
+// published_hashes -> { path: hash }; unreadable -> {} (those paths are compared live again)
+function parseHashes(raw) {
+  if (!raw) return {};
+  try {
+    const j = JSON.parse(String(raw));
+    return j && typeof j === "object" && !Array.isArray(j) ? j : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Stored hashes for the row's current paths, overlaid with what this run confirmed live.
+ * -> JSON text to store, or null when nothing changed.
+ */
+function hashesPatch(raw, known, results, paths) {
+  const keep = new Set(paths.map(normalizePath));
+  const next = {};
+  for (const [p, h] of Object.entries(known)) if (keep.has(p)) next[p] = h;
+  for (const res of results) Object.assign(next, res?.hashes || {});
+
+  const entries = Object.entries(next).sort(([a], [b]) => a.localeCompare(b));
+  if (!entries.length && !raw) return null;
+  const text = JSON.stringify(Object.fromEntries(entries));
+  return text === String(raw || "") ? null : text;
+}
+
+//////////////////////
+// 8b) Delta state (PUBLISH_STATE_FILE)
 //////////////////////
-async function clearDirtySuccess({ recordId, committedAny, epochSec, reason }) {
+// { deltas: { "<delta path>": { to, rows } } }: the snapshot each lane's last delta led to
+function loadPublishState() {
+  try {
+    const j = JSON.parse(fs.readFileSync(PUBLISH_STATE_FILE, "utf8"));
+    return j && typeof j.deltas === "object" && j.deltas ? j : { deltas: {} };
+  } catch {
+    return { deltas: {} };
+  }
+}
+
+function saveDeltaBase(deltaPath, to, rows) {
+  const state = loadPublishState();
+  state.deltas[normalizePath(deltaPath)] = { to, rows };
+  // write-then-rename so a crash mid-write never leaves a half file behind
+  const tmp = `${PUBLISH_STATE_FILE}.tmp-${process.pid}`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(state) + "\n");
+    fs.renameSync(tmp, PUBLISH_STATE_FILE);
+  } catch (e) {
+    console.log(`warn: delta state not saved (${PUBLISH_STATE_FILE}) | ${String(e?.message || e).slice(0, 200)}`);
+  }
+}
+
+/**
+ * Stored base for a lane's delta -> { from, rows } or null. Used only while the stored rows hash to
+ * what published_hashes says is live on the lane's first path (a publish from elsewhere, or a lost
+ * state file, gives a reset instead of a wrong diff).
+ */
+function storedDeltaBase(deltaPath, paths, format, knownHashes) {
+  const s = loadPublishState().deltas[normalizePath(deltaPath)];
+  if (!s || !Array.isArray(s.rows) || typeof s.to !== "number") return null;
+  const first = normalizePath(paths[0]);
+  return knownHashes[first] && knownHashes[first] === contentHash(formatForPath(paths[0], format), s.rows)
+    ? { from: s.to, rows: s.rows }
+    : null;
+}
+
+// PATCH a queue row; a base without the published_hashes field still gets dirty/reason stamped.
+async function patchQueueRow(recordId, fields) {
+  const out = { ...fields };
+  if (hashesFieldMissing) delete out[PQ_PUBLISHED_HASHES];
+  try {
+    await airtablePatchRecord({ table: PUBLISH_QUEUE_TABLE, recordId, fields: out });
+  } catch (e) {
+    if (!(PQ_PUBLISHED_HASHES in out) || !isAirtableError(e, "UNKNOWN_FIELD_NAME")) throw e;
+    hashesFieldMissing = true;
+    console.log(`warn: ${PUBLISH_QUEUE_TABLE} has no ${PQ_PUBLISHED_HASHES} field; hashes not stored (every run reads live files)`);
+    delete out[PQ_PUBLISHED_HASHES];
+    await airtablePatchRecord({ table: PUBLISH_QUEUE_TABLE, recordId, fields: out });
+  }
+}
+
+//////////////////////
+// 9) Dirty clearing (success vs error)
+//////////////////////
+async function clearDirtySuccess({ recordId, committedAny, epochSec, reason, hashes = null }) {
   const fields = {
     [PQ_DIRTY]: false,
     [PQ_DIRTY_REASON]: reason,
   };
   if (committedAny) fields[PQ_LAST_PUBLISH_EPOCH] = epochSec;
+  if (hashes != null) fields[PQ_PUBLISHED_HASHES] = hashes;
 
-  await airtablePatchRecord({
-    table: PUBLISH_QUEUE_TABLE,
-    recordId,
-    fields,
-  });
+  await patchQueueRow(recordId, fields);
 }
 
-async function stampDirtyError({ recordId, msg }) {
-  await airtablePatchRecord({
-    table: PUBLISH_QUEUE_TABLE,
-    recordId,
-    fields: { [PQ_DIRTY_REASON]: `error: ${msg}` },
-  }).catch(() => {});
+// committedAny: some lanes of a failing row still published -> stamp their version.
+async function stampDirtyError({ recordId, msg, committedAny = false, epochSec = null, hashes = null }) {
+  const fields = { [PQ_DIRTY_REASON]: `error: ${msg}` };
+  if (committedAny) fields[PQ_LAST_PUBLISH_EPOCH] = epochSec;
+  if (hashes != null) fields[PQ_PUBLISHED_HASHES] = hashes;
+
+  await patchQueueRow(recordId, fields).catch(() => {});
 }
 
 //////////////////////
-// 9) Main
+// 10) Main
 //////////////////////
 async function main() {
   const epochSec = await getEpochSec();
-  console.log(`publisher start | epoch=${epochSec} dry_run=${DRY_RUN}`);
+  console.log(`publisher start | epoch=${epochSec} dry_run=${DRY_RUN} verify=${VERIFY_PUBLISHED}`);
 
   // IMPORTANT: do NOT pass fields[] here to avoid 422 when schema changes.
   const pqRecords = await airtableListAll({
@@ -522,14 +730,15 @@ async function main() {
 
     const datasetKey = String(f[PQ_DATASET_KEY] || "").trim() || "unknown";
     const tableName  = String(f[PQ_TABLE_NAME] || "").trim();
-    const viewName   = String(f[PQ_VIEW1] || "").trim();
-    const paths      = parsePaths(f[PQ_PATHS1]);
+    const lanes      = lanesFromQueueRow(f);
+    const knownHashes = parseHashes(f[PQ_PUBLISHED_HASHES]);
 
-    console.log(`job=${datasetKey} table=${tableName || "-"} view=${viewName || "-"} paths=${paths.length}`);
+    console.log(`job=${datasetKey} table=${tableName || "-"} lanes=${lanes.map(l => `${l.lane}:${l.viewName || "-"}`).join(",") || "-"}`);
 
     try {
       // MANIFEST job
       if (isManifestKey(datasetKey)) {
+        const paths = lanes.flatMap(l => l.paths);
         const tenant = inferTenantFromManifestPath(paths);
         const manifest = buildTenantManifestFromQueue(pqRecords, epochSec, tenant);
 
@@ -538,6 +747,8 @@ async function main() {
           contentObj: manifest,
           paths,
           epochSec,
+          knownHashes,
+          changeOf: m => m?.datasets ?? null, // epoch alone is not a change
         });
 
         if (!resM.ok) throw new Error(`manifest publish failed (${resM.status || "?"}) ${resM.errorText || ""}`);
@@ -546,29 +757,65 @@ async function main() {
 
         const committedAny = !resM.skipped && (resM.committed || 0) > 0;
         const reason = resM.reason === "no_change" ? "skipped: no change" : (DRY_RUN ? "dry_run" : "published");
-        await clearDirtySuccess({ recordId: r.id, committedAny, epochSec, reason });
+        const hashes = hashesPatch(f[PQ_PUBLISHED_HASHES], knownHashes, [resM], paths);
+        await clearDirtySuccess({ recordId: r.id, committedAny, epochSec, reason, hashes });
         continue;
       }
 
-      // Normal dataset job
-      const allowedFields = pickAllowedFields(datasetKey, f[PQ_ALLOWED_FIELDS]);
+      // Normal dataset job: every lane on its own
+      if (!lanes.length) {
+        console.log(`job done: ${datasetKey} | skip(0) no lanes`);
+        await clearDirtySuccess({ recordId: r.id, committedAny: false, epochSec, reason: "skipped: no lanes" });
+        continue;
+      }
 
-      const res = await publishDataset({
-        datasetKey,
-        tableName,
-        viewName,
-        paths,
-        allowedFields,
-        epochSec,
-      });
+      const results = [];
+      for (const lane of lanes) {
+        let res;
+        const laneKey = lanes.length > 1 ? `${datasetKey}/${lane.name}` : datasetKey;
+        try {
+          res = await publishDataset({
+            datasetKey: laneKey,
+            tableName,
+            viewName: lane.viewName,
+            paths: lane.paths,
+            allowedFields: pickAllowedFields(datasetKey, lane.allowedRaw),
+            epochSec,
+            format: lane.format,
+            knownHashes,
+            delta: lane.deltaPath
+              ? { key: laneKey, path: lane.deltaPath, idField: lane.deltaKey }
+              : null,
+          });
+          if (!res.ok) res = { ...res, error: `publish failed (${res.status || "?"}) ${res.errorText || ""}`.trim() };
+        } catch (e) {
+          res = { ok: false, committed: 0, error: String(e?.message || e).slice(0, 240) };
+        }
+        results.push({ lane, res });
+        console.log(`  ${lane.name} view=${lane.viewName || "-"} paths=${lane.paths.length} | ${laneResultText(res)}`);
+      }
 
-      if (!res.ok) throw new Error(`publish failed (${res.status || "?"}) ${res.errorText || ""}`);
+      const committed = results.reduce((a, x) => a + (x.res.ok && !x.res.skipped ? (x.res.committed || 0) : 0), 0);
+      const committedAny = committed > 0;
+      const failedLanes = results.filter(x => !x.res.ok);
+      const perLane = results.map(x => `${x.lane.name} ${laneResultText(x.res)}`).join(", ");
+      const hashes = hashesPatch(
+        f[PQ_PUBLISHED_HASHES], knownHashes, results.map(x => x.res), lanes.flatMap(l => l.paths)
+      );
+
+      if (failedLanes.length) {
+        const msg = lanes.length > 1 ? perLane : failedLanes[0].res.error;
+        console.log(`job error: ${datasetKey} | ${msg}`);
+        await stampDirtyError({ recordId: r.id, msg: msg.slice(0, 500), committedAny, epochSec, hashes });
+        continue;
+      }
 
-      console.log(`job done: ${datasetKey} | ${res.skipped ? "skip" : "commit"}(${res.committed || 0})`);
+      console.log(`job done: ${datasetKey} | ${committedAny ? "commit" : "skip"}(${committed})`);
 
-      const committedAny = !res.skipped && (res.committed || 0) > 0;
-      const reason = res.reason === "no_change" ? "skipped: no change" : (DRY_RUN ? "dry_run" : "published");
-      await clearDirtySuccess({ recordId: r.id, committedAny, epochSec, reason });
+      const allSame = results.every(x => x.res.reason === "no_change");
+      let reason = allSame ? "skipped: no change" : (DRY_RUN ? "dry_run" : "published");
+      if (lanes.length > 1) reason = `${reason} | ${perLane}`;
+      await clearDirtySuccess({ recordId: r.id, committedAny, epochSec, reason, hashes });
     } catch (e) {
       const msg = String(e?.message || e).slice(0, 240);
       console.log(`job error: ${datasetKey} | ${msg}`);
@@ -577,7 +824,7 @@ async function main() {
     }
   }
 
-  console.log("publisher done");
+  console.log(`publisher done | live_reads=${liveReads}${VERIFY_PUBLISHED ? " (verify)" : ""}`);
 }
 
 main().catch(err => {
@@ -1,31 +1,107 @@
 // tagger.js (FULL DROP)
 /**
- * RingStatus — Epoch Tagger (external clock, Airtable as state store)
+ * RingStatus — Epoch Tagger (external clock, pluggable state store; Airtable by default)
  *
  * Reads:
- *  - shows (view: epoch) -> newest record by created_time -> mode: HOLDOVER|DAY|NIGHT
+ *  - shows (view: epoch) -> every record is an active show, tagged independently with its own
+ *      clock (showtime_url, else SHOWTIME_URL) and mode: HOLDOVER|DAY|NIGHT
+ *      MODE_SOURCE=derive (default): mode_override if set, else derived from the show's clock,
+ *      start_date/end_date and DAY_START_MIN/DAY_END_MIN; mode + mode_reason are written back.
+ *      MODE_SOURCE=field: shows.mode as typed (legacy).
  *  - watch_schedule (view: epoch)
  *  - watch_trips (view: epoch)
+ *    both grouped by their linked show (SCHED_SHOW_LINK / TRIP_SHOW_LINK); with exactly one
+ *    active show, unlinked records belong to it.
  *
  * Writes ONLY these fields on schedule/trips (unless DRY_RUN=1):
  *  - epoch
  *  - temp
  *  - bucket
  *  - next_due_epoch
+ *  - projected_go_epoch (trips only; PACE_PROJECTION=1)
+ * and, with MODE_SOURCE=derive, shows.mode + shows.mode_reason.
+ *
+ * Projected go (trips):
+ *  - Once a class is underway, go time = now + trips ahead * pace (live pace from actual start and
+ *    completed trips, else scheduled pace; see lib/pace.js). It drives the temp and is written to
+ *    projected_go_epoch; without a projection the static latest/go/start fields are used.
+ *
+ * Change-only writes:
+ *  - A record is PATCHed only when temp/bucket differ, or its stored next_due_epoch
+ *    is no longer valid (missing, already due, or later than the new cadence allows).
+ *  - Unchanged records get an epoch-only heartbeat write per EPOCH_HEARTBEAT_SEC:
+ *      0 = never, N = when stored epoch is N+ seconds old (default 3600).
+ *
+ * Run modes:
+ *  - one-shot (default): cron drumbeat; DAY adds a second pass after DAY_SECOND_PASS_DELAY_SEC.
+ *  - daemon (TAGGER_DAEMON=1 or --daemon): stays up and schedules passes from mode + smallest
+ *    next_due_epoch (DAEMON_MIN/MAX_SEC_DAY|NIGHT, DAEMON_IDLE_SEC); SIGTERM stops after the pass.
+ *
+ * CLI (no subcommand = tag):
+ *  - tag [--daemon]                  the passes above
+ *  - explain <recordId>              one schedule/trip record step by step: date/time field chosen
+ *                                    (latest vs go vs start fallback), target epoch, till, temp, interval
+ *  - simulate --at <iso>             every active show against a hypothetical clock; no writes
+ *  - replay <recording> --out <file> a recorded show day (clock readings + snapshots, see lib/replay.js)
+ *                                    through the same temp/cadence code -> per-record timeline
+ *                                    (.json, else CSV); no store needed. Pair with TAGGER_POLICY to try
+ *                                    a candidate policy against a real day before rolling it out.
+ *    explain/simulate/replay also take --mode DAY|NIGHT|HOLDOVER (beats FORCE_MODE) and --tz <IANA zone>.
+ *
+ * Time zone:
+ *  - Schedule/trip local times resolve with the IANA zone from the ring payload (else TIME_ZONE),
+ *    using the DST offset in force on each record's own date (24:xx rolls to the next day first).
+ *  - No zone anywhere -> the payload's current time_zone_offset is applied to every record (legacy).
+ *
+ * Policy (TAGGER_POLICY, default config/tagger-policy.json; a TAGGER_POLICY path that does not exist is an error):
+ *  - HOT/WARM/COLD cut-offs and per-mode cadence, per table; see lib/policy.js.
+ *  - Policy version is logged with every tag pass.
+ *
+ * State store (STORE_BACKEND):
+ *  - airtable (default when blank) live base via REST; an unknown value is a fatal config error (no reads)
+ *  - json     STORE_PATH=./state.json  (offline passes, replaying a show day)
+ *  - sqlite   STORE_PATH=./state.db    (Node 22.5+)
+ *  STORE_SEED_JSON=<json store file> loads a json or sqlite store on first start only (while it has no
+ *  records); later starts log "seed skipped" and keep the tags earlier passes wrote.
+ *  See lib/store.js for the local file layouts.
+ *
+ * Run reports:
+ *  - Every pass builds a JSON report (temp/bucket counts, changes, unparseable date/times, clock
+ *    offset, duration, Airtable retries) -> RUN_LOG_FILE (NDJSON) and/or RUN_LOG_TABLE.
+ *
+ * Transition events:
+ *  - When a record's temp changes (e.g. WARM->HOT), an event { record_id, from, to, target_epoch, show }
+ *    goes to EVENTS_WEBHOOK_URL and/or EVENTS_TABLE after the write lands. Not sent in DRY_RUN.
+ *    The pass logs how many events each sink actually accepted (`events: N transition(s) | sent webhook=.. table=..`).
  *
  * Overrides:
- *  - FORCE_MODE=DAY|NIGHT|HOLDOVER  (test without changing shows.mode)
+ *  - FORCE_MODE=DAY|NIGHT|HOLDOVER  (test without changing shows.mode: no mode write-back while set)
  *  - DRY_RUN=1 (no Airtable writes; logs sample)
  *
  * Reliability:
- *  - Retries Airtable GET/PATCH on transient failures (timeouts/AbortError/429/5xx).
+ *  - Airtable goes through lib/airtable.js: timeouts, retries on 429/5xx/transient errors
+ *    (AT_RETRY_*), AIRTABLE_RPS rate limit, batches of 10.
  *  - If Airtable mode fetch fails, exits cleanly (no writes) so next drumbeat can recover.
- *  - If SHOWTIME_URL clock fetch fails, exits cleanly (no writes) for that pass.
+ *  - If a show's clock fetch fails, that show is skipped (no writes) for that pass; other shows still run.
  *  - Optional: set UNDICI_CONNECT_TIMEOUT_MS to override default connect timeout for fetch.
  */
 
+const { normalizeStoreKind, openLocalStore, seedIfEmpty } = require("./lib/store");
+const { isTerminalStatus } = require("./lib/ring");
+const { normalizeMode, parseModeOverride, deriveMode, localPartsFromEpoch } = require("./lib/mode");
+const { isValidZone, offsetAt, localPartsToEpochSeconds } = require("./lib/tz");
+const {
+  newTally, tallyRecord, startPassReport, finishPassReport, summarizeReport, appendReportFile, reportToRunLogFields
+} = require("./lib/report");
+const { buildTransitionEvent, eventToTableFields } = require("./lib/events");
+const { projectGoEpoch } = require("./lib/pace");
+const { loadPolicy, resolveRules, classifyTill, intervalFor } = require("./lib/policy");
+const { loadRecording, summarizeFrames, writeTimeline } = require("./lib/replay");
+const { createAirtableClient } = require("./lib/airtable");
+
 const AIRTABLE_TOKEN   = process.env.AIRTABLE_TOKEN || "";
 const AIRTABLE_BASE_ID = process.env.AIRTABLE_BASE_ID || "";
+const AIRTABLE_API_URL = (process.env.AIRTABLE_API_URL || "https://api.airtable.com").replace(/\/+$/, ""); // mock server in tests
 
 const TABLE_SHOWS      = process.env.TABLE_SHOWS || "shows";
 const TABLE_SCHEDULE   = process.env.TABLE_SCHEDULE || "watch_schedule";
@@ -36,8 +112,21 @@ const VIEW_SCHEDULE    = process.env.VIEW_SCHEDULE || "epoch";
 const VIEW_TRIPS       = process.env.VIEW_TRIPS || "epoch";
 
 const SHOWTIME_URL     = process.env.SHOWTIME_URL || ""; // ring endpoint (customer_id=15)
-
-const FIELD_MODE       = process.env.FIELD_MODE || "mode";
+const TIME_ZONE        = (process.env.TIME_ZONE || "").trim(); // IANA fallback when the ring payload has no zone
+
+const FIELD_MODE          = process.env.FIELD_MODE || "mode";                   // derived mode is written here
+const FIELD_MODE_REASON   = process.env.FIELD_MODE_REASON || "mode_reason";
+const FIELD_MODE_OVERRIDE = process.env.FIELD_MODE_OVERRIDE || "mode_override"; // manual DAY|NIGHT|HOLDOVER wins
+const FIELD_SHOW_START    = process.env.FIELD_SHOW_START || "start_date";
+const FIELD_SHOW_END      = process.env.FIELD_SHOW_END || "end_date";
+const FIELD_SHOW_NAME     = process.env.FIELD_SHOW_NAME || "name";
+const FIELD_SHOW_CLOCK_URL = process.env.FIELD_SHOW_CLOCK_URL || "showtime_url"; // per-show clock; blank -> SHOWTIME_URL
+const FIELD_SHOW_TIME_ZONE = process.env.FIELD_SHOW_TIME_ZONE || "time_zone";   // per-show IANA fallback; blank -> TIME_ZONE
+
+// Mode source: derive (show clock + show dates + boundaries) | field (legacy: read shows.mode as typed)
+const MODE_SOURCE   = (process.env.MODE_SOURCE || "derive").trim().toLowerCase() === "field" ? "field" : "derive";
+const DAY_START_MIN = Number(process.env.DAY_START_MIN || String(6 * 60));  // 6:00 AM
+const DAY_END_MIN   = Number(process.env.DAY_END_MIN || String(17 * 60));   // 5:00 PM (same as SMS worker)
 
 // Output tag fields (exist in both schedule + trips)
 const FIELD_EPOCH      = process.env.FIELD_EPOCH || "epoch";
@@ -50,6 +139,7 @@ const SCHED_SHOW_DATE   = process.env.SCHED_SHOW_DATE || "show_date";
 const SCHED_TIME_LATEST = process.env.SCHED_TIME_LATEST || "latest_estimated_start_time";
 const SCHED_TIME_BASE   = process.env.SCHED_TIME_BASE || "estimated_start_time";
 const SCHED_STATUS      = process.env.SCHED_STATUS || "latestStatus";
+const SCHED_SHOW_LINK   = process.env.SCHED_SHOW_LINK || "show"; // linked shows record
 
 // Trips input fields
 const TRIP_DT           = process.env.TRIP_DT || "dt";
@@ -58,15 +148,39 @@ const TRIP_GO_BASE      = process.env.TRIP_GO_BASE || "estimated_go_time";
 const TRIP_START_FALLB  = process.env.TRIP_START_FALLB || "estimated_start_time";
 const TRIP_STATUS       = process.env.TRIP_STATUS || "latestStatus";
 const TRIP_GONEIN       = process.env.TRIP_GONEIN || "lastGonein";
+const TRIP_SHOW_LINK    = process.env.TRIP_SHOW_LINK || "show";  // linked shows record
+
+// Trips: class progress (usually lookups from the class) for pace-based projected go times
+const TRIP_ORDER              = process.env.TRIP_ORDER || "order_of_go";
+const TRIP_CLASS_COMPLETED    = process.env.TRIP_CLASS_COMPLETED || "completed_trips";
+const TRIP_CLASS_TOTAL        = process.env.TRIP_CLASS_TOTAL || "total_trips";
+const TRIP_CLASS_ACTUAL_START = process.env.TRIP_CLASS_ACTUAL_START || "actual_start_time";
+const TRIP_CLASS_EST_END      = process.env.TRIP_CLASS_EST_END || "estimated_end_time";
+const FIELD_PROJECTED_GO      = process.env.FIELD_PROJECTED_GO || "projected_go_epoch"; // trips only
+
+const PACE_PROJECTION            = (process.env.PACE_PROJECTION || "1") === "1";
+const PACE_MIN_SEC               = Number(process.env.PACE_MIN_SEC || "150");  // same floor as the SMS worker
+const PROJECTED_GO_TOLERANCE_SEC = Number(process.env.PROJECTED_GO_TOLERANCE_SEC || "60");
 
 // Controls
 const DAY_SECOND_PASS_DELAY_SEC = Number(process.env.DAY_SECOND_PASS_DELAY_SEC || "180"); // 3 minutes
 const HTTP_TIMEOUT_MS = Number(process.env.HTTP_TIMEOUT_MS || "20000");
+// Daemon mode (TAGGER_DAEMON=1 or --daemon): pass cadence bounds per mode, in seconds
+const DAEMON = (process.env.TAGGER_DAEMON || "0") === "1" || process.argv.includes("--daemon");
+const DAEMON_MIN_SEC_DAY   = Number(process.env.DAEMON_MIN_SEC_DAY   || "15");
+const DAEMON_MAX_SEC_DAY   = Number(process.env.DAEMON_MAX_SEC_DAY   || "60");
+const DAEMON_MIN_SEC_NIGHT = Number(process.env.DAEMON_MIN_SEC_NIGHT || "60");
+const DAEMON_MAX_SEC_NIGHT = Number(process.env.DAEMON_MAX_SEC_NIGHT || "600");
+const DAEMON_IDLE_SEC      = Number(process.env.DAEMON_IDLE_SEC      || "300");
+
+const TAGGER_POLICY = process.env.TAGGER_POLICY || ""; // blank -> config/tagger-policy.json
+const EPOCH_HEARTBEAT_SEC = Math.max(0, Number(process.env.EPOCH_HEARTBEAT_SEC ?? "3600") || 0);
 
 // Airtable retry controls
 const AT_RETRY_ATTEMPTS = Number(process.env.AT_RETRY_ATTEMPTS || "3");
 const AT_RETRY_BASE_MS  = Number(process.env.AT_RETRY_BASE_MS  || "400");
 const AT_RETRY_MAX_MS   = Number(process.env.AT_RETRY_MAX_MS   || "2000");
+const AIRTABLE_RPS      = Number(process.env.AIRTABLE_RPS      || "5");
 
 // Optional: override undici connect timeout (helps with 10s connect timeouts seen in logs)
 const UNDICI_CONNECT_TIMEOUT_MS = Number(process.env.UNDICI_CONNECT_TIMEOUT_MS || "0");
@@ -75,20 +189,30 @@ const UNDICI_CONNECT_TIMEOUT_MS = Number(process.env.UNDICI_CONNECT_TIMEOUT_MS |
 const FORCE_MODE = (process.env.FORCE_MODE || "").trim().toUpperCase(); // DAY|NIGHT|HOLDOVER
 const DRY_RUN    = (process.env.DRY_RUN || "0") === "1";
 
+// Run reports (one JSON report per tag pass; see lib/report.js)
+const RUN_LOG_FILE  = process.env.RUN_LOG_FILE || "";   // NDJSON file, appended
+const RUN_LOG_TABLE = process.env.RUN_LOG_TABLE || "";  // table in the active store, one row per pass
+
+// Temperature transition events (COLD->WARM->HOT->LIVE->DONE); see lib/events.js
+const EVENTS_WEBHOOK_URL     = process.env.EVENTS_WEBHOOK_URL || "";
+const EVENTS_TABLE           = process.env.EVENTS_TABLE || "";
+const EVENTS_BATCH_SIZE      = Math.max(1, Number(process.env.EVENTS_BATCH_SIZE || "50"));
+const EVENTS_INCLUDE_INITIAL = (process.env.EVENTS_INCLUDE_INITIAL || "0") === "1"; // also (none)->temp on first tag
+
+// State store
+const STORE_BACKEND   = process.env.STORE_BACKEND || ""; // validated in openStore (fatal path)
+const STORE_PATH      = process.env.STORE_PATH || "";
+const STORE_SEED_JSON = process.env.STORE_SEED_JSON || "";
+
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
 function requireEnv(name, val) {
   if (!val) throw new Error(`Missing required env: ${name}`);
 }
 
-function normalizeMode(v) {
-  const s = String(v ?? "").trim().toUpperCase();
-  if (s === "DAY" || s === "NIGHT" || s === "HOLDOVER") return s;
-  return "HOLDOVER";
-}
-
+// Completed or Cancelled (lib/ring.js): DONE, nothing left to watch
 function isCompleted(statusVal) {
-  return String(statusVal ?? "").trim().toLowerCase() === "completed";
+  return isTerminalStatus(statusVal);
 }
 function isUnderway(statusVal) {
   return String(statusVal ?? "").trim().toLowerCase() === "underway";
@@ -133,7 +257,8 @@ function parseTimeParts(timeStr) {
   return null;
 }
 
-function toEpochSecondsLocal(dateStr, timeStr, tzOffsetMinutes, { allow24Hour = false } = {}) {
+// tz = { zone, offsetMinutes } (see lib/tz.js); zone resolves each date with its own DST offset
+function toEpochSecondsLocal(dateStr, timeStr, tz, { allow24Hour = false } = {}) {
   const dp = parseDateParts(dateStr);
   const tp = parseTimeParts(timeStr);
   if (!dp || !tp) return null;
@@ -147,7 +272,7 @@ function toEpochSecondsLocal(dateStr, timeStr, tzOffsetMinutes, { allow24Hour =
     if (ampm === "PM") h += 12;
   }
 
-  // Handle 24:xx rollover
+  // Handle 24:xx rollover (before zone resolution, so the next day's offset applies)
   if (allow24Hour && h >= 24) {
     h = h - 24;
     const dt = new Date(Date.UTC(y, mo - 1, d, 0, 0, 0));
@@ -158,8 +283,7 @@ function toEpochSecondsLocal(dateStr, timeStr, tzOffsetMinutes, { allow24Hour =
   }
 
   // local time -> UTC epoch
-  const ms = Date.UTC(y, mo - 1, d, h, mi, se) - (tzOffsetMinutes * 60_000);
-  return Math.floor(ms / 1000);
+  return localPartsToEpochSeconds({ y, mo, d, h, mi, se }, tz);
 }
 
 // Optional: configure undici global dispatcher to increase connect timeout
@@ -189,75 +313,44 @@ async function fetchWithTimeout(url, opts = {}) {
   }
 }
 
-function isRetryableFetchError(e) {
-  const name = String(e?.name || "");
-  const code = String(e?.code || "");
-  const msg  = String(e?.message || "");
-
-  if (name === "AbortError") return true;
-  if (code === "UND_ERR_CONNECT_TIMEOUT") return true;
-  if (code === "UND_ERR_HEADERS_TIMEOUT") return true;
-  if (code === "UND_ERR_BODY_TIMEOUT") return true;
-  if (/timeout/i.test(msg)) return true;
-  if (/fetch failed/i.test(msg)) return true;
-  return false;
-}
-
-async function fetchWithRetry(url, opts = {}, retry = {}) {
-  const attempts = Math.max(1, Math.floor(Number(retry.attempts ?? AT_RETRY_ATTEMPTS)));
-  const baseMs   = Math.max(0, Math.floor(Number(retry.baseMs ?? AT_RETRY_BASE_MS)));
-  const maxMs    = Math.max(250, Math.floor(Number(retry.maxMs ?? AT_RETRY_MAX_MS)));
-
-  let lastErr = null;
-
-  for (let i = 1; i <= attempts; i++) {
-    try {
-      const res = await fetchWithTimeout(url, opts);
-
-      // Retry on 429 + 5xx
-      if (res.status === 429 || (res.status >= 500 && res.status <= 599)) {
-        if (i === attempts) return res;
-
-        let waitMs = Math.min(maxMs, baseMs * i + Math.floor(Math.random() * 200));
-        const ra = res.headers?.get?.("retry-after");
-        const raNum = ra ? Number(ra) : NaN;
-        if (Number.isFinite(raNum) && raNum > 0) waitMs = Math.min(maxMs, raNum * 1000);
-
-        await sleep(waitMs);
-        continue;
-      }
-
-      return res;
-    } catch (e) {
-      lastErr = e;
-      const retryable = isRetryableFetchError(e);
-      if (!retryable || i === attempts) throw e;
-
-      const waitMs = Math.min(maxMs, baseMs * i + Math.floor(Math.random() * 250));
-      await sleep(waitMs);
-    }
-  }
-
-  throw lastErr || new Error("fetchWithRetry failed");
-}
+// Retries are counted by the client (airtable.stats.retries) for run reports.
+const airtable = createAirtableClient({
+  token: AIRTABLE_TOKEN,
+  baseId: AIRTABLE_BASE_ID,
+  apiUrl: AIRTABLE_API_URL,
+  timeoutMs: HTTP_TIMEOUT_MS,
+  retry: { attempts: AT_RETRY_ATTEMPTS, baseMs: AT_RETRY_BASE_MS, maxMs: AT_RETRY_MAX_MS },
+  rps: AIRTABLE_RPS,
+});
 
 function pickNowMsAndOffsetFromRingPayload(j) {
-  const iso = j?.time_zone_date_time?.date_obj;
-  const offset = j?.time_zone_date_time?.time_zone_offset;
+  const tzd = j?.time_zone_date_time;
+  const iso = tzd?.date_obj;
+  const offset = tzd?.time_zone_offset;
   const ms = (typeof iso === "string") ? Date.parse(iso) : NaN;
+  const zone = [tzd?.time_zone, tzd?.timezone, tzd?.time_zone_name, j?.time_zone]
+    .map(v => (typeof v === "string" ? v.trim() : ""))
+    .find(isValidZone) || null;
   return {
     nowMs: Number.isFinite(ms) ? ms : NaN,
-    tzOffsetMinutes: Number.isFinite(Number(offset)) ? Number(offset) : NaN
+    tzOffsetMinutes: (offset != null && offset !== "" && Number.isFinite(Number(offset))) ? Number(offset) : NaN,
+    zone
   };
 }
 
+// Zone precedence: ring payload, then config (show time_zone / TIME_ZONE); none -> fixed payload offset (legacy).
+function buildTz(payloadZone, offsetMinutes, fallbackZone = TIME_ZONE) {
+  const zone = payloadZone || (isValidZone(fallbackZone) ? fallbackZone : null);
+  return { zone, offsetMinutes };
+}
+
 /**
- * Strict clock: MUST come from SHOWTIME_URL.
+ * Strict clock: MUST come from the show's clock URL (default SHOWTIME_URL).
  * - Retries a few times.
  * - If it still fails, returns null and caller will SKIP WRITES for that pass.
  */
-async function getServerClockStrict() {
-  if (!SHOWTIME_URL) return null;
+async function getServerClockStrict(clockUrl = SHOWTIME_URL, fallbackZone = TIME_ZONE) {
+  if (!clockUrl) return null;
 
   const backoffs = [0, 600, 1200]; // ms
 
@@ -265,7 +358,7 @@ async function getServerClockStrict() {
     if (backoffs[i]) await sleep(backoffs[i]);
 
     try {
-      const res = await fetchWithTimeout(SHOWTIME_URL, { method: "GET" });
+      const res = await fetchWithTimeout(clockUrl, { method: "GET" });
       const txt = await res.text();
 
       if (!res.ok) {
@@ -276,26 +369,34 @@ async function getServerClockStrict() {
       // parse JSON payload
       try {
         const j = JSON.parse(txt);
-        const { nowMs, tzOffsetMinutes } = pickNowMsAndOffsetFromRingPayload(j);
+        const { nowMs, tzOffsetMinutes, zone } = pickNowMsAndOffsetFromRingPayload(j);
 
         if (!Number.isFinite(nowMs)) {
           console.log(`clock warn: date_obj invalid`);
           continue;
         }
-        if (!Number.isFinite(tzOffsetMinutes)) {
+
+        const nowEpoch = Math.floor(nowMs / 1000);
+        const tz = buildTz(zone, tzOffsetMinutes, fallbackZone);
+        if (!Number.isFinite(tzOffsetMinutes) && !tz.zone) {
           console.log(`clock warn: time_zone_offset invalid`);
           continue;
         }
+        if (!Number.isFinite(tzOffsetMinutes)) tz.offsetMinutes = offsetAt(tz, nowEpoch);
 
         return {
-          nowEpoch: Math.floor(nowMs / 1000),
-          tzOffsetMinutes
+          nowEpoch,
+          tzOffsetMinutes: tz.offsetMinutes,
+          tz
         };
       } catch {
         // numeric fallback
         const trimmed = txt.trim();
         if (/^\d+$/.test(trimmed)) {
-          return { nowEpoch: Math.floor(Number(trimmed) / 1000), tzOffsetMinutes: 0 };
+          const nowEpoch = Math.floor(Number(trimmed) / 1000);
+          const tz = buildTz(null, 0, fallbackZone);
+          tz.offsetMinutes = offsetAt(tz, nowEpoch);
+          return { nowEpoch, tzOffsetMinutes: tz.offsetMinutes, tz };
         }
         console.log(`clock warn: non-json response`);
       }
@@ -307,126 +408,136 @@ async function getServerClockStrict() {
   return null;
 }
 
-function airtableUrl(tableName) {
-  return `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${encodeURIComponent(tableName)}`;
-}
-
-async function airtableList(tableName, viewName) {
-  const out = [];
-  let offset = null;
-
-  while (true) {
-    const url = new URL(airtableUrl(tableName));
-    url.searchParams.set("view", viewName);
-    url.searchParams.set("pageSize", "100");
-    if (offset) url.searchParams.set("offset", offset);
-
-    const res = await fetchWithRetry(url.toString(), {
-      headers: { Authorization: `Bearer ${AIRTABLE_TOKEN}` }
-    });
-
-    if (!res.ok) {
-      const body = await res.text().catch(() => "");
-      throw new Error(`Airtable list failed (${res.status}) ${tableName}/${viewName}: ${body}`);
-    }
-
-    const json = await res.json().catch(() => ({}));
-    out.push(...(json.records || []));
-    offset = json.offset;
-    if (!offset) break;
+function openStore() {
+  const kind = normalizeStoreKind(STORE_BACKEND);
+  if (kind === "airtable") {
+    requireEnv("AIRTABLE_TOKEN", AIRTABLE_TOKEN);
+    requireEnv("AIRTABLE_BASE_ID", AIRTABLE_BASE_ID);
+    return {
+      kind: "airtable",
+      list: (tableName, viewName) => airtable.list(tableName, { view: viewName }),
+      batchUpdate: (tableName, updates) => airtable.batchUpdate(tableName, updates),
+      create: (tableName, fieldsList) => airtable.create(tableName, fieldsList, { typecast: true }),
+    };
   }
 
-  return out;
-}
-
-async function airtableBatchUpdate(tableName, updates) {
-  if (!updates.length) return;
-
-  for (let i = 0; i < updates.length; i += 10) {
-    const chunk = updates.slice(i, i + 10);
-    const res = await fetchWithRetry(airtableUrl(tableName), {
-      method: "PATCH",
-      headers: {
-        Authorization: `Bearer ${AIRTABLE_TOKEN}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ records: chunk })
-    });
-
-    if (!res.ok) {
-      const body = await res.text().catch(() => "");
-      throw new Error(`Airtable patch failed (${res.status}) ${tableName}: ${body}`);
-    }
+  requireEnv("STORE_PATH", STORE_PATH);
+  const store = openLocalStore(kind, STORE_PATH);
+  if (STORE_SEED_JSON) {
+    // only into an empty store: a re-seed would overwrite the tags earlier passes wrote
+    const seeded = seedIfEmpty(store, STORE_SEED_JSON);
+    console.log(seeded === "seeded"
+      ? `store: seeded empty ${store.kind} store from ${STORE_SEED_JSON}`
+      : `store: seed skipped, ${store.kind} store already has records (${STORE_SEED_JSON} not loaded)`);
   }
+  return store;
 }
 
-function intervalSecondsFor(mode, temp) {
+// rules = resolveRules(policy, table, mode) (see lib/policy.js)
+function intervalSecondsFor(mode, temp, rules) {
   if (mode === "HOLDOVER") return null;
   if (temp === "DONE") return null;
+  return intervalFor(rules, temp);
+}
 
-  if (mode === "DAY") {
-    if (temp === "COLD") return 1200;
-    if (temp === "WARM") return 300;
-    if (temp === "HOT" || temp === "LIVE") return 180;
-    return 300;
-  }
+// Schedule time: latest estimate, else the base estimate. -> { field, value } (field null when both blank)
+function pickScheduleTime(fields) {
+  if (fields[SCHED_TIME_LATEST]) return { field: SCHED_TIME_LATEST, value: fields[SCHED_TIME_LATEST] };
+  if (fields[SCHED_TIME_BASE]) return { field: SCHED_TIME_BASE, value: fields[SCHED_TIME_BASE] };
+  return { field: null, value: null };
+}
 
-  // NIGHT
-  if (temp === "HOT" || temp === "LIVE") return 300;
-  return 1200;
+// Trip time: latest go, else go (a "00:00:00" placeholder doesn't count), else the class start.
+// -> { field, value, skipped? } where skipped names a go time that was ignored.
+function pickTripTime(fields) {
+  const tLatest = fields[TRIP_GO_LATEST];
+  const tGo = fields[TRIP_GO_BASE];
+  const tStart = fields[TRIP_START_FALLB];
+
+  if (tLatest) return { field: TRIP_GO_LATEST, value: tLatest };
+  if (tGo && !String(tGo).includes("00:00:00")) return { field: TRIP_GO_BASE, value: tGo };
+
+  const out = tStart ? { field: TRIP_START_FALLB, value: tStart } : { field: null, value: null };
+  if (tGo) out.skipped = `${TRIP_GO_BASE}=${tGo}`;
+  return out;
 }
 
-function computeTempSchedule(fields, nowEpoch, tzOffsetMinutes) {
+// Every result carries targetEpoch (null when unparseable) so transitions can report it.
+function computeTempSchedule(fields, nowEpoch, tz, rules) {
   const status = fields[SCHED_STATUS];
 
-  if (isCompleted(status)) return { temp: "DONE" };
-  if (isUnderway(status)) return { temp: "LIVE" };
-
   const dateStr = fields[SCHED_SHOW_DATE];
-  const tLatest = fields[SCHED_TIME_LATEST];
-  const tBase = fields[SCHED_TIME_BASE];
-  const timeStr = tLatest || tBase;
+  const timeStr = pickScheduleTime(fields).value;
+
+  const targetEpoch = toEpochSecondsLocal(dateStr, timeStr, tz, { allow24Hour: false });
 
-  const targetEpoch = toEpochSecondsLocal(dateStr, timeStr, tzOffsetMinutes, { allow24Hour: false });
-  if (targetEpoch == null) return { temp: "COLD" };
+  if (isCompleted(status)) return { temp: "DONE", bucket: "DONE", targetEpoch };
+  if (isUnderway(status)) return { temp: "LIVE", bucket: "LIVE", targetEpoch };
 
-  const till = targetEpoch - nowEpoch;
+  if (targetEpoch == null) return { ...classifyTill(rules, null), targetEpoch, unparseable: true };
 
-  if (till <= 0) return { temp: "HOT" };
-  if (till <= 1800) return { temp: "HOT" };
-  if (till <= 3600) return { temp: "WARM" };
-  return { temp: "COLD" };
+  return { ...classifyTill(rules, targetEpoch - nowEpoch), targetEpoch };
 }
 
-function computeTempTrip(fields, nowEpoch, tzOffsetMinutes) {
+function computeTempTrip(fields, nowEpoch, tz, rules) {
   const status = fields[TRIP_STATUS];
 
-  if (isCompleted(status)) return { temp: "DONE" };
-  if (isGoneIn(fields[TRIP_GONEIN])) return { temp: "LIVE" };
-
   const dateStr = fields[TRIP_DT];
-  const tLatest = fields[TRIP_GO_LATEST];
-  const tGo = fields[TRIP_GO_BASE];
-  const tStart = fields[TRIP_START_FALLB];
-
-  const goCandidate = (tGo && !String(tGo).includes("00:00:00")) ? tGo : null;
-  const timeStr = tLatest || goCandidate || tStart;
+  const timeStr = pickTripTime(fields).value;
 
   const allow24 = Boolean(timeStr && String(timeStr).startsWith("24"));
-  const targetEpoch = toEpochSecondsLocal(dateStr, timeStr, tzOffsetMinutes, { allow24Hour: allow24 });
-  if (targetEpoch == null) return { temp: "COLD" };
+  const staticEpoch = toEpochSecondsLocal(dateStr, timeStr, tz, { allow24Hour: allow24 });
+
+  if (isCompleted(status)) return { temp: "DONE", bucket: "DONE", targetEpoch: staticEpoch, projectedEpoch: null };
+  if (isGoneIn(fields[TRIP_GONEIN])) return { temp: "LIVE", bucket: "LIVE", targetEpoch: staticEpoch, projectedEpoch: null };
+
+  // Pace projection (class underway) beats the static estimate when available.
+  const proj = PACE_PROJECTION ? projectTrip(fields, nowEpoch, tz) : null;
+  const projectedEpoch = proj ? proj.projectedEpoch : null;
+  const targetEpoch = projectedEpoch ?? staticEpoch;
+
+  if (targetEpoch == null) return { ...classifyTill(rules, null), targetEpoch, projectedEpoch, unparseable: true };
 
-  const till = targetEpoch - nowEpoch;
+  return { ...classifyTill(rules, targetEpoch - nowEpoch), targetEpoch, projectedEpoch };
+}
+
+// Airtable lookups arrive as arrays ([5], ["09:12:00"]); take the first value.
+function firstOf(v) {
+  return Array.isArray(v) ? v[0] : v;
+}
 
-  if (till <= 0) return { temp: "HOT" };
-  if (till <= 1800) return { temp: "HOT" };
-  if (till <= 3600) return { temp: "WARM" };
-  return { temp: "COLD" };
+function isBlankClock(v) {
+  const s = String(v ?? "").trim();
+  return !s || s === "00:00:00";
 }
 
-function buildUpdate(recordId, nowEpoch, temp, mode) {
-  const bucket = temp;
-  const interval = intervalSecondsFor(mode, temp);
+/**
+ * Projected go time from the class's live progress (see lib/pace.js).
+ * -> { projectedEpoch, paceSec, paceSource, ahead } or null.
+ */
+function projectTrip(fields, nowEpoch, tz) {
+  const dateStr = fields[TRIP_DT];
+  const actualStart = firstOf(fields[TRIP_CLASS_ACTUAL_START]);
+  if (isBlankClock(actualStart)) return null;
+
+  const estStart = firstOf(fields[TRIP_START_FALLB]);
+  const estEnd = firstOf(fields[TRIP_CLASS_EST_END]);
+
+  return projectGoEpoch({
+    nowEpoch,
+    order: numOrNull(firstOf(fields[TRIP_ORDER])),
+    completed: numOrNull(firstOf(fields[TRIP_CLASS_COMPLETED])),
+    total: numOrNull(firstOf(fields[TRIP_CLASS_TOTAL])),
+    actualStartEpoch: toEpochSecondsLocal(dateStr, actualStart, tz),
+    estStartEpoch: isBlankClock(estStart) ? null : toEpochSecondsLocal(dateStr, estStart, tz),
+    estEndEpoch: isBlankClock(estEnd) ? null : toEpochSecondsLocal(dateStr, estEnd, tz),
+    minPaceSec: PACE_MIN_SEC,
+  });
+}
+
+// tag.projectedEpoch is only present for trips; schedule patches never carry the projected field.
+function buildUpdate(recordId, nowEpoch, { temp, bucket, projectedEpoch }, mode, rules) {
+  const interval = intervalSecondsFor(mode, temp, rules);
   const nextDue = (interval == null) ? null : (nowEpoch + interval);
 
   const patch = {};
@@ -434,15 +545,99 @@ function buildUpdate(recordId, nowEpoch, temp, mode) {
   patch[FIELD_TEMP] = temp;
   patch[FIELD_BUCKET] = bucket;
   patch[FIELD_NEXT_DUE] = nextDue;
+  if (projectedEpoch !== undefined && PACE_PROJECTION) patch[FIELD_PROJECTED_GO] = projectedEpoch;
 
   return { id: recordId, fields: patch };
 }
 
-async function getCurrentModeSafe() {
+function numOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Stored next_due is kept while it is still pending and not later than the new cadence.
+function nextDueStillValid(curNextDue, newNextDue, nowEpoch) {
+  if (newNextDue == null) return curNextDue == null;
+  if (curNextDue == null) return false;
+  return curNextDue > nowEpoch && curNextDue <= newNextDue;
+}
+
+// Projected go drifts a little every pass; only a move beyond the tolerance counts as a change.
+function projectedStillValid(cur, next) {
+  if (next == null) return cur == null;
+  if (cur == null) return false;
+  return Math.abs(cur - next) <= PROJECTED_GO_TOLERANCE_SEC;
+}
+
+/**
+ * Compares a full computed update against the record's current fields.
+ * Returns the patch to send (or null) and why:
+ *  - changed:   temp/bucket/next_due (or projected go, trips) differ -> full patch
+ *  - heartbeat: unchanged but epoch is stale per EPOCH_HEARTBEAT_SEC -> epoch only
+ *  - unchanged: nothing to write
+ */
+function diffUpdate(fields, update, nowEpoch) {
+  const next = update.fields;
+
+  const changed =
+    String(fields[FIELD_TEMP] ?? "") !== String(next[FIELD_TEMP] ?? "") ||
+    String(fields[FIELD_BUCKET] ?? "") !== String(next[FIELD_BUCKET] ?? "") ||
+    !nextDueStillValid(numOrNull(fields[FIELD_NEXT_DUE]), next[FIELD_NEXT_DUE], nowEpoch) ||
+    (FIELD_PROJECTED_GO in next && !projectedStillValid(numOrNull(fields[FIELD_PROJECTED_GO]), next[FIELD_PROJECTED_GO]));
+
+  if (changed) return { kind: "changed", patch: update };
+
+  const curEpoch = numOrNull(fields[FIELD_EPOCH]);
+  const stale = curEpoch == null || (nowEpoch - curEpoch) >= EPOCH_HEARTBEAT_SEC;
+  if (EPOCH_HEARTBEAT_SEC > 0 && stale) {
+    return { kind: "heartbeat", patch: { id: update.id, fields: { [FIELD_EPOCH]: nowEpoch } } };
+  }
+
+  return { kind: "unchanged", patch: null };
+}
+
+function planUpdates(records, computeTemp, nowEpoch, tz, mode, rules) {
+  const plan = { writes: [], changed: [], heartbeat: 0, unchanged: 0, minNextDue: null, tally: newTally(), transitions: [] };
+
+  for (const r of records) {
+    const fields = r.fields || {};
+    const tag = computeTemp(fields, nowEpoch, tz, rules);
+    const d = diffUpdate(fields, buildUpdate(r.id, nowEpoch, tag, mode, rules), nowEpoch);
+
+    if (d.kind === "changed") plan.changed.push(d.patch);
+    else if (d.kind === "heartbeat") plan.heartbeat++;
+    else plan.unchanged++;
+
+    if (d.patch) plan.writes.push(d.patch);
+    tallyRecord(plan.tally, r.id, tag, d.kind);
+
+    const fromTemp = String(fields[FIELD_TEMP] ?? "").trim().toUpperCase() || null;
+    if (fromTemp !== tag.temp && (fromTemp || EVENTS_INCLUDE_INITIAL)) {
+      plan.transitions.push({ id: r.id, from: fromTemp, to: tag.temp, targetEpoch: tag.targetEpoch ?? null });
+    }
+
+    // effective next_due after this pass (new value if changed, else what is stored)
+    const due = (d.kind === "changed") ? d.patch.fields[FIELD_NEXT_DUE] : numOrNull(fields[FIELD_NEXT_DUE]);
+    if (due != null && (plan.minNextDue == null || due < plan.minNextDue)) plan.minNextDue = due;
+  }
+
+  return plan;
+}
+
+function planSummary(records, plan) {
+  return `${records.length}(changed=${plan.changed.length} hb=${plan.heartbeat} same=${plan.unchanged})`;
+}
+
+function isoDateOrNull(v) {
+  const dp = parseDateParts(String(v ?? "").slice(0, 10));
+  if (!dp) return null;
+  return `${dp.y}-${String(dp.mo).padStart(2, "0")}-${String(dp.d).padStart(2, "0")}`;
+}
+
+async function listShowsSafe(store) {
   try {
-    const shows = await airtableList(TABLE_SHOWS, VIEW_SHOWS);
-    const top = shows[0];
-    return normalizeMode(top?.fields?.[FIELD_MODE]);
+    return await store.list(TABLE_SHOWS, VIEW_SHOWS);
   } catch (e) {
     const name = e?.name || "error";
     const msg = String(e?.message || e);
@@ -451,6 +646,94 @@ async function getCurrentModeSafe() {
   }
 }
 
+function showLabel(show) {
+  const name = String(show?.fields?.[FIELD_SHOW_NAME] ?? "").trim();
+  return name ? `${name} (${show.id})` : String(show?.id || "?");
+}
+
+function showClockUrl(show) {
+  return String(show?.fields?.[FIELD_SHOW_CLOCK_URL] ?? "").trim() || SHOWTIME_URL;
+}
+
+function showTimeZone(show) {
+  const z = String(show?.fields?.[FIELD_SHOW_TIME_ZONE] ?? "").trim();
+  return isValidZone(z) ? z : TIME_ZONE;
+}
+
+/**
+ * Mode for one show record and its strict clock.
+ * -> { mode, reason, source: override|derived|field, show }
+ */
+function resolveShowMode(show, clk) {
+  const f = show?.fields || {};
+
+  if (MODE_SOURCE === "field") {
+    return { mode: normalizeMode(f[FIELD_MODE]), reason: "shows.mode", source: "field", show };
+  }
+
+  const override = parseModeOverride(f[FIELD_MODE_OVERRIDE]);
+  if (override) {
+    return { mode: override, reason: `manual override (${FIELD_MODE_OVERRIDE})`, source: "override", show };
+  }
+
+  const { mode, reason } = deriveMode({
+    ...localPartsFromEpoch(clk.nowEpoch, offsetAt(clk.tz, clk.nowEpoch)),
+    startDate: isoDateOrNull(f[FIELD_SHOW_START]),
+    endDate: isoDateOrNull(f[FIELD_SHOW_END]),
+    dayStartMin: DAY_START_MIN,
+    dayEndMin: DAY_END_MIN,
+  });
+  return { mode, reason, source: "derived", show };
+}
+
+function linkedIds(v) {
+  if (Array.isArray(v)) return v.map(x => String(x?.id ?? x)).filter(Boolean);
+  const s = String(v ?? "").trim();
+  return s ? [s] : [];
+}
+
+/**
+ * Splits schedule/trip records by their linked show (first linked id that is an active show).
+ * With exactly one active show, unlinked records belong to it (single-show bases keep working).
+ * -> { byShow: Map(showId -> records[]), unassigned: n }
+ */
+function groupByShow(records, linkField, shows) {
+  const active = new Set(shows.map(s => s.id));
+  const byShow = new Map(shows.map(s => [s.id, []]));
+  const soleShowId = shows.length === 1 ? shows[0].id : null;
+  let unassigned = 0;
+
+  for (const r of records) {
+    const ids = linkedIds(r.fields?.[linkField]);
+    const showId = ids.find(id => active.has(id)) || (ids.length ? null : soleShowId);
+    if (showId) byShow.get(showId).push(r);
+    else unassigned++;
+  }
+
+  return { byShow, unassigned };
+}
+// Writes mode + reason back to the shows record (derive source only, change-only, never in DRY_RUN
+// or under FORCE_MODE: the washer reads shows.mode, and the pass is not running the derived mode).
+async function writeBackModeSafe(store, info) {
+  if (!info || info.source === "field" || !info.show || DRY_RUN || FORCE_MODE) return;
+
+  const f = info.show.fields || {};
+  if (String(f[FIELD_MODE] ?? "") === info.mode && String(f[FIELD_MODE_REASON] ?? "") === info.reason) return;
+
+  try {
+    await store.batchUpdate(TABLE_SHOWS, [{
+      id: info.show.id,
+      fields: { [FIELD_MODE]: info.mode, [FIELD_MODE_REASON]: info.reason }
+    }]);
+  } catch (e) {
+    console.log(`mode warn: write-back failed ${String(e?.message || e).slice(0, 180)}`);
+  }
+}
+
+function modeLogLine(info, mode) {
+  return `show=${showLabel(info.show)} mode=${mode} (source=${info.source} force=${FORCE_MODE || "none"}) reason="${info.reason}" dry_run=${DRY_RUN}`;
+}
+
 function sampleLog(label, updates, limit = 3) {
   const sample = updates.slice(0, limit).map(u => ({
     id: u.id,
@@ -461,70 +744,677 @@ function sampleLog(label, updates, limit = 3) {
   console.log(`${label}: sample`, JSON.stringify(sample));
 }
 
-async function tagOnce(nowEpoch, tzOffsetMinutes, mode) {
-  const sched = await airtableList(TABLE_SCHEDULE, VIEW_SCHEDULE);
-  const schedUpdates = sched.map(r => {
-    const fields = r.fields || {};
-    const { temp } = computeTempSchedule(fields, nowEpoch, tzOffsetMinutes);
-    return buildUpdate(r.id, nowEpoch, temp, mode);
-  });
+async function tagOnce(store, policy, nowEpoch, tz, mode, { show, sched, trips }) {
+  const schedRules = resolveRules(policy, TABLE_SCHEDULE, mode);
+  const schedPlan = planUpdates(sched, computeTempSchedule, nowEpoch, tz, mode, schedRules);
 
-  const trips = await airtableList(TABLE_TRIPS, VIEW_TRIPS);
-  const tripUpdates = trips.map(r => {
-    const fields = r.fields || {};
-    const { temp } = computeTempTrip(fields, nowEpoch, tzOffsetMinutes);
-    return buildUpdate(r.id, nowEpoch, temp, mode);
-  });
+  const tripRules = resolveRules(policy, TABLE_TRIPS, mode);
+  const tripPlan = planUpdates(trips, computeTempTrip, nowEpoch, tz, mode, tripRules);
+
+  const events = [
+    ...schedPlan.transitions.map(t => buildTransitionEvent({ ...t, table: TABLE_SCHEDULE, show, mode, nowEpoch, showNameField: FIELD_SHOW_NAME })),
+    ...tripPlan.transitions.map(t => buildTransitionEvent({ ...t, table: TABLE_TRIPS, show, mode, nowEpoch, showNameField: FIELD_SHOW_NAME })),
+  ];
 
   if (DRY_RUN) {
-    console.log(`DRY_RUN: would update schedule=${schedUpdates.length} trips=${tripUpdates.length}`);
-    sampleLog("schedule", schedUpdates);
-    sampleLog("trips", tripUpdates);
+    console.log(`DRY_RUN: show=${showLabel(show)} would update schedule=${schedPlan.writes.length} trips=${tripPlan.writes.length} events=${events.length}`);
+    sampleLog("schedule", schedPlan.changed);
+    sampleLog("trips", tripPlan.changed);
   } else {
-    await airtableBatchUpdate(TABLE_SCHEDULE, schedUpdates);
-    await airtableBatchUpdate(TABLE_TRIPS, tripUpdates);
+    await store.batchUpdate(TABLE_SCHEDULE, schedPlan.writes);
+    await store.batchUpdate(TABLE_TRIPS, tripPlan.writes);
+    // only after the writes landed, so consumers never see an event ahead of the field
+    await emitEventsSafe(store, events);
   }
 
-  console.log(`tag pass ok | mode=${mode} | schedule=${sched.length} trips=${trips.length} | epoch=${nowEpoch} offsetMin=${tzOffsetMinutes}`);
+  console.log(
+    `tag pass ok | show=${showLabel(show)} | store=${store.kind} | policy=${policy.version} | mode=${mode} | schedule=${planSummary(sched, schedPlan)} trips=${planSummary(trips, tripPlan)}` +
+    ` | epoch=${nowEpoch} tz=${tz.zone || "fixed"} offsetMin=${offsetAt(tz, nowEpoch)} hb=${EPOCH_HEARTBEAT_SEC}s`
+  );
+
+  const dues = [schedPlan.minNextDue, tripPlan.minNextDue].filter(v => v != null);
+  return {
+    minNextDue: dues.length ? Math.min(...dues) : null,
+    schedule: schedPlan.tally,
+    trips: tripPlan.tally,
+    events: events.length
+  };
 }
 
-(async () => {
-  try {
-    requireEnv("AIRTABLE_TOKEN", AIRTABLE_TOKEN);
-    requireEnv("AIRTABLE_BASE_ID", AIRTABLE_BASE_ID);
-    requireEnv("SHOWTIME_URL", SHOWTIME_URL);
+// Event sinks: EVENTS_WEBHOOK_URL (POST { events }) and/or EVENTS_TABLE. Failures never stop tagging.
+async function emitEventsSafe(store, events) {
+  if (!events.length || (!EVENTS_WEBHOOK_URL && !EVENTS_TABLE)) return;
 
-    let mode = await getCurrentModeSafe();
-    if (!mode) {
-      console.log(`mode unavailable: skipping run (no writes)`);
+  const sent = [];
+
+  if (EVENTS_WEBHOOK_URL) {
+    let delivered = 0;
+    for (let i = 0; i < events.length; i += EVENTS_BATCH_SIZE) {
+      const batch = events.slice(i, i + EVENTS_BATCH_SIZE);
+      try {
+        const res = await fetchWithTimeout(EVENTS_WEBHOOK_URL, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ events: batch })
+        });
+        if (res.ok) delivered += batch.length;
+        else console.log(`events warn: webhook http ${res.status} (${batch.length} dropped)`);
+      } catch (e) {
+        console.log(`events warn: webhook ${e?.name || "error"} ${String(e?.message || e).slice(0, 180)} (${batch.length} dropped)`);
+      }
+    }
+    sent.push(`webhook=${delivered}`);
+  }
+
+  if (EVENTS_TABLE) {
+    // groups of 10 (one Airtable POST each), so a failure only drops the group it hit
+    let delivered = 0;
+    for (let i = 0; i < events.length; i += 10) {
+      const group = events.slice(i, i + 10);
+      try {
+        const created = await store.create(EVENTS_TABLE, group.map(eventToTableFields));
+        delivered += created.length;
+      } catch (e) {
+        console.log(`events warn: table ${String(e?.message || e).slice(0, 180)} (${group.length} dropped)`);
+      }
+    }
+    sent.push(`table=${delivered}`);
+  }
+
+  console.log(`events: ${events.length} transition(s) | sent ${sent.join(" ")}`);
+}
+
+function minOrNull(values) {
+  const xs = values.filter(v => v != null);
+  return xs.length ? Math.min(...xs) : null;
+}
+
+/**
+ * One pass over every active show: each show gets its own clock, mode and linked records.
+ * A show whose clock or mode is unavailable is skipped (no writes) without blocking the others.
+ * -> { tagged: [{ show, mode, nowEpoch, minNextDue }], shows } or null when shows can't be read.
+ */
+async function tagAllShows(store, policy) {
+  const retriesAtStart = airtable.stats.retries; // includes retries while listing shows
+  const shows = await listShowsSafe(store);
+  if (!shows) return null;
+  if (!shows.length) {
+    console.log(`no active shows in ${TABLE_SHOWS}/${VIEW_SHOWS} -> no tagging run`);
+    return { tagged: [], shows: 0 };
+  }
+
+  const report = startPassReport({
+    store: store.kind,
+    policy: policy.version,
+    dry_run: DRY_RUN,
+    force_mode: FORCE_MODE || null,
+  });
+
+  const sched = groupByShow(await store.list(TABLE_SCHEDULE, VIEW_SCHEDULE), SCHED_SHOW_LINK, shows);
+  const trips = groupByShow(await store.list(TABLE_TRIPS, VIEW_TRIPS), TRIP_SHOW_LINK, shows);
+  report.unassigned = { schedule: sched.unassigned, trips: trips.unassigned };
+  if (sched.unassigned || trips.unassigned) {
+    console.log(`shows=${shows.length} | unassigned (no active linked show): schedule=${sched.unassigned} trips=${trips.unassigned}`);
+  }
+
+  const tagged = [];
+  for (const show of shows) {
+    const entry = { id: show.id, name: show.fields?.[FIELD_SHOW_NAME] ?? null, status: "no_clock" };
+    report.shows.push(entry);
+
+    const clk = await getServerClockStrict(showClockUrl(show), showTimeZone(show));
+    if (!clk) {
+      console.log(`show=${showLabel(show)} clock unavailable: skipping (no writes)`);
+      continue;
+    }
+
+    const info = resolveShowMode(show, clk);
+    await writeBackModeSafe(store, info);
+
+    const mode = FORCE_MODE ? normalizeMode(FORCE_MODE) : info.mode;
+    console.log(modeLogLine(info, mode));
+    Object.assign(entry, {
+      status: mode === "HOLDOVER" ? "holdover" : "tagged",
+      mode,
+      mode_source: info.source,
+      reason: info.reason,
+      now_epoch: clk.nowEpoch,
+      tz_zone: clk.tz.zone,
+      offset_min: offsetAt(clk.tz, clk.nowEpoch),
+    });
+    if (mode === "HOLDOVER") continue;
+
+    const startedMs = Date.now();
+    const res = await tagOnce(store, policy, clk.nowEpoch, clk.tz, mode, {
+      show,
+      sched: sched.byShow.get(show.id),
+      trips: trips.byShow.get(show.id),
+    });
+    entry.schedule = res.schedule;
+    entry.trips = res.trips;
+    entry.events = res.events;
+
+    const nowEpoch = clk.nowEpoch + Math.floor((Date.now() - startedMs) / 1000);
+    tagged.push({ show, mode, nowEpoch, minNextDue: res.minNextDue });
+  }
+
+  const final = finishPassReport(report, { airtableRetries: airtable.stats.retries - retriesAtStart });
+  await emitReportSafe(store, final);
+
+  return { tagged, shows: shows.length, report: final };
+}
+
+// Report sinks: RUN_LOG_FILE (NDJSON) and/or RUN_LOG_TABLE (one row per pass). Failures never stop tagging.
+async function emitReportSafe(store, report) {
+  console.log(summarizeReport(report));
+
+  if (RUN_LOG_FILE) {
+    try {
+      appendReportFile(RUN_LOG_FILE, report);
+    } catch (e) {
+      console.log(`report warn: file ${String(e?.message || e).slice(0, 180)}`);
+    }
+  }
+
+  if (RUN_LOG_TABLE && !DRY_RUN) {
+    try {
+      await store.create(RUN_LOG_TABLE, [reportToRunLogFields(report)]);
+    } catch (e) {
+      console.log(`report warn: table ${String(e?.message || e).slice(0, 180)}`);
+    }
+  }
+}
+
+/**
+ * Daemon: one long-lived process instead of cron + DAY_SECOND_PASS_DELAY_SEC.
+ * - Re-reads every show's mode before every pass.
+ * - Next pass = smallest next_due_epoch across tagged shows, clamped to the [min,max] seconds
+ *   of the busiest tagged mode (DAY beats NIGHT).
+ * - Nothing tagged (all HOLDOVER / shows, mode or clock unavailable / pass error) -> wait DAEMON_IDLE_SEC.
+ * - SIGTERM/SIGINT: finish the pass in flight, then exit 0. A second signal exits at once.
+ */
+function daemonBoundsFor(mode) {
+  if (mode === "DAY") return { min: DAEMON_MIN_SEC_DAY, max: DAEMON_MAX_SEC_DAY };
+  return { min: DAEMON_MIN_SEC_NIGHT, max: DAEMON_MAX_SEC_NIGHT };
+}
+
+function nextPassDelaySec(mode, minNextDue, nowEpoch) {
+  const { min, max } = daemonBoundsFor(mode);
+  if (minNextDue == null) return max;
+  return Math.min(max, Math.max(min, minNextDue - nowEpoch));
+}
+
+async function runDaemon(store, policy) {
+  let stopping = false;
+  let wake = null;
+
+  const onSignal = (sig) => {
+    if (stopping) {
+      console.log(`daemon: second ${sig} -> exit now`);
       process.exit(0);
     }
-    if (FORCE_MODE) mode = normalizeMode(FORCE_MODE);
+    stopping = true;
+    console.log(`daemon: ${sig} -> stopping after current pass`);
+    if (wake) wake();
+  };
+  process.on("SIGTERM", onSignal);
+  process.on("SIGINT", onSignal);
+
+  const idle = (sec) => new Promise(r => {
+    const t = setTimeout(() => { wake = null; r(); }, sec * 1000);
+    wake = () => { clearTimeout(t); wake = null; r(); };
+  });
+
+  console.log(
+    `daemon start | day=[${DAEMON_MIN_SEC_DAY},${DAEMON_MAX_SEC_DAY}]s night=[${DAEMON_MIN_SEC_NIGHT},${DAEMON_MAX_SEC_NIGHT}]s idle=${DAEMON_IDLE_SEC}s`
+  );
+
+  let passes = 0;
+  while (!stopping) {
+    let delaySec = DAEMON_IDLE_SEC;
+
+    try {
+      const res = await tagAllShows(store, policy);
+
+      if (!res) {
+        console.log(`daemon: shows unavailable (no writes)`);
+      } else if (!res.tagged.length) {
+        console.log(`daemon: shows=${res.shows} tagged=0 -> idle`);
+      } else {
+        passes++;
+        const mode = res.tagged.some(t => t.mode === "DAY") ? "DAY" : "NIGHT";
+        const minNextDue = minOrNull(res.tagged.map(t => t.minNextDue));
+        const nowEpoch = Math.max(...res.tagged.map(t => t.nowEpoch));
+
+        delaySec = nextPassDelaySec(mode, minNextDue, nowEpoch);
+        console.log(`daemon: pass=${passes} shows=${res.shows} tagged=${res.tagged.length} cadence=${mode} min_next_due=${minNextDue ?? "-"} next_in=${delaySec}s`);
+      }
+    } catch (e) {
+      console.log(`daemon: pass error ${e?.name || "error"} ${String(e?.message || e).slice(0, 240)}`);
+    }
+
+    if (!stopping) await idle(delaySec);
+  }
+
+  process.off("SIGTERM", onSignal);
+  process.off("SIGINT", onSignal);
+  console.log(`daemon stop | passes=${passes}`);
+}
+
+//////////////////////
+// CLI: tag | explain <recordId> | simulate --at <iso>
+//////////////////////
+const CLI_USAGE = [
+  "usage: node tagger.js [tag] [--daemon]",
+  "       node tagger.js explain <recordId> [--at <iso>] [--mode DAY|NIGHT|HOLDOVER] [--tz <zone>]",
+  "       node tagger.js simulate --at <iso> [--mode DAY|NIGHT|HOLDOVER] [--tz <zone>]",
+  "       node tagger.js replay <recording.json> --out <timeline.csv|.json> [--mode DAY|NIGHT|HOLDOVER] [--tz <zone>]",
+].join("\n");
+
+const CLI_COMMANDS = ["tag", "explain", "simulate", "replay"];
+
+/**
+ * argv (after the script name) -> { cmd, recordId, recording, out, at, atEpoch, mode, tz, daemon }.
+ * Throws on anything it doesn't understand; no subcommand means `tag` (cron + workflow stay as-is).
+ */
+function parseCli(argv) {
+  const args = argv.slice();
+  const cli = { cmd: "tag", recordId: null, recording: null, out: null, at: null, atEpoch: null, mode: null, tz: null, daemon: false };
+  if (args.length && !args[0].startsWith("--")) cli.cmd = args.shift();
+  if (!CLI_COMMANDS.includes(cli.cmd)) throw new Error(`unknown command "${cli.cmd}"`);
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--daemon") {
+      cli.daemon = true;
+    } else if (a === "--at" || a === "--mode" || a === "--tz" || a === "--out") {
+      const v = args[++i];
+      if (v == null || v.startsWith("--")) throw new Error(`${a} needs a value`);
+      cli[a.slice(2)] = v;
+    } else if (a.startsWith("--")) {
+      throw new Error(`unknown option ${a}`);
+    } else if (cli.cmd === "explain" && !cli.recordId) {
+      cli.recordId = a;
+    } else if (cli.cmd === "replay" && !cli.recording) {
+      cli.recording = a;
+    } else {
+      throw new Error(`unexpected argument "${a}"`);
+    }
+  }
+
+  if (cli.cmd !== "tag" && cli.daemon) throw new Error(`--daemon only applies to tag`);
+  if (cli.cmd === "tag" && (cli.at || cli.mode || cli.tz)) throw new Error(`tag uses the live clock; try simulate`);
+  if (cli.cmd === "explain" && !cli.recordId) throw new Error(`explain needs a record id`);
+  if (cli.cmd === "simulate" && !cli.at) throw new Error(`simulate needs --at <iso>`);
+  if (cli.cmd === "replay" && (!cli.recording || !cli.out)) throw new Error(`replay needs <recording> and --out <file>`);
+  if (cli.cmd === "replay" && cli.at) throw new Error(`replay takes its clock from the recording`);
+  if (cli.out && cli.cmd !== "replay") throw new Error(`--out only applies to replay`);
+
+  if (cli.at) {
+    const ms = Date.parse(cli.at);
+    if (!Number.isFinite(ms)) throw new Error(`--at "${cli.at}" is not an ISO date/time`);
+    cli.atEpoch = Math.floor(ms / 1000);
+  }
+  if (cli.mode) {
+    cli.mode = parseModeOverride(cli.mode);
+    if (!cli.mode) throw new Error(`--mode must be DAY, NIGHT or HOLDOVER`);
+  }
+  if (cli.tz && !isValidZone(cli.tz)) throw new Error(`--tz "${cli.tz}" is not an IANA zone`);
+
+  return cli;
+}
+
+/**
+ * Clock for explain/simulate. Without --at it is the show's live strict clock.
+ * With --at, "now" is hypothetical; the zone comes from --tz, the show / TIME_ZONE, else the live
+ * ring payload (zone or its current offset), else UTC.
+ */
+async function cliClock(show, cli) {
+  const fallbackZone = cli.tz || showTimeZone(show);
+  if (cli.atEpoch == null) return getServerClockStrict(showClockUrl(show), fallbackZone);
+
+  const nowEpoch = cli.atEpoch;
+  let tz = buildTz(null, 0, fallbackZone);
+  if (!tz.zone) {
+    const live = await getServerClockStrict(showClockUrl(show), "");
+    if (live) tz = { ...live.tz };
+    else console.log(`cli warn: show=${showLabel(show)} has no zone or clock -> UTC`);
+  }
+  tz.offsetMinutes = offsetAt(tz, nowEpoch);
+  return { nowEpoch, tzOffsetMinutes: tz.offsetMinutes, tz };
+}
+
+// --mode beats FORCE_MODE beats the show's own mode (override / derived / field).
+function cliMode(show, clk, cli) {
+  if (cli.mode) return { mode: cli.mode, reason: "--mode", source: "cli", show };
+  const info = resolveShowMode(show, clk);
+  if (FORCE_MODE) return { ...info, mode: normalizeMode(FORCE_MODE), reason: `FORCE_MODE (${info.reason})` };
+  return info;
+}
+
+function isoOrNull(epoch) {
+  return epoch == null ? null : new Date(epoch * 1000).toISOString();
+}
+
+// Active show a record belongs to (same rules as groupByShow), or null.
+function showForRecord(record, linkField, shows) {
+  const ids = linkedIds(record.fields?.[linkField]);
+  const active = shows.find(s => ids.includes(s.id));
+  if (active) return active;
+  return (!ids.length && shows.length === 1) ? shows[0] : null;
+}
+
+/**
+ * Everything that goes into one record's temp, step by step (same functions as a tag pass).
+ */
+function explainRecord(table, record, clk, info, policy) {
+  const fields = record.fields || {};
+  const isTrip = table === TABLE_TRIPS;
+  const { nowEpoch, tz } = clk;
+  const mode = info.mode;
+  const rules = resolveRules(policy, table, mode);
+
+  const dateField = isTrip ? TRIP_DT : SCHED_SHOW_DATE;
+  const pick = isTrip ? pickTripTime(fields) : pickScheduleTime(fields);
+  const allow24 = isTrip && Boolean(pick.value && String(pick.value).startsWith("24"));
+  const staticEpoch = toEpochSecondsLocal(fields[dateField], pick.value, tz, { allow24Hour: allow24 });
+
+  const tag = (isTrip ? computeTempTrip : computeTempSchedule)(fields, nowEpoch, tz, rules);
+  const update = buildUpdate(record.id, nowEpoch, tag, mode, rules);
+  const diff = diffUpdate(fields, update, nowEpoch);
+
+  let override = null;
+  const status = fields[isTrip ? TRIP_STATUS : SCHED_STATUS];
+  if (isCompleted(status)) override = `status "${status}" -> DONE`;
+  else if (!isTrip && isUnderway(status)) override = `status "${status}" -> LIVE`;
+  else if (isTrip && isGoneIn(fields[TRIP_GONEIN])) override = `${TRIP_GONEIN}=${fields[TRIP_GONEIN]} -> LIVE`;
+
+  const projection = (isTrip && PACE_PROJECTION && !override) ? projectTrip(fields, nowEpoch, tz) : null;
+
+  return {
+    record_id: record.id,
+    table,
+    show: info.show ? { id: info.show.id, name: info.show.fields?.[FIELD_SHOW_NAME] ?? null } : null,
+    clock: { now_epoch: nowEpoch, now_iso: isoOrNull(nowEpoch), zone: tz.zone, offset_min: offsetAt(tz, nowEpoch) },
+    mode: { mode, source: info.source, reason: info.reason },
+    date: { field: dateField, raw: fields[dateField] ?? null, parsed: isoDateOrNull(fields[dateField]) },
+    time: {
+      field: pick.field,
+      raw: pick.value ?? null,
+      parsed: parseTimeParts(pick.value),
+      ...(pick.skipped ? { skipped: pick.skipped } : {}),
+    },
+    static_epoch: staticEpoch,
+    static_iso: isoOrNull(staticEpoch),
+    ...(isTrip ? { projection: projection ? { ...projection, projected_iso: isoOrNull(projection.projectedEpoch) } : null } : {}),
+    status_override: override,
+    target_epoch: tag.targetEpoch ?? null,
+    target_iso: isoOrNull(tag.targetEpoch ?? null),
+    till_sec: tag.targetEpoch == null ? null : tag.targetEpoch - nowEpoch,
+    unparseable: Boolean(tag.unparseable),
+    thresholds: rules.thresholds,
+    fallback: rules.fallback,
+    temp: tag.temp,
+    bucket: tag.bucket,
+    interval_sec: intervalSecondsFor(mode, tag.temp, rules),
+    next_due_epoch: update.fields[FIELD_NEXT_DUE],
+    policy: rules.version,
+    stored: {
+      temp: fields[FIELD_TEMP] ?? null,
+      bucket: fields[FIELD_BUCKET] ?? null,
+      next_due_epoch: fields[FIELD_NEXT_DUE] ?? null,
+      epoch: fields[FIELD_EPOCH] ?? null,
+    },
+    write: !info.show ? "none (unassigned)" : mode === "HOLDOVER" ? "none (HOLDOVER)" : diff.kind,
+  };
+}
+
+async function runExplain(store, policy, cli) {
+  const shows = (await listShowsSafe(store)) || [];
+
+  for (const [table, view, linkField] of [
+    [TABLE_SCHEDULE, VIEW_SCHEDULE, SCHED_SHOW_LINK],
+    [TABLE_TRIPS, VIEW_TRIPS, TRIP_SHOW_LINK],
+  ]) {
+    const record = (await store.list(table, view)).find(r => r.id === cli.recordId);
+    if (!record) continue;
+
+    const show = showForRecord(record, linkField, shows);
+    const clk = await cliClock(show, cli);
+    if (!clk) {
+      console.log(`explain: ${cli.recordId} clock unavailable for show=${showLabel(show)} (try --at)`);
+      return false;
+    }
 
-    console.log(`mode=${mode} (force=${FORCE_MODE || "none"}) dry_run=${DRY_RUN}`);
+    const info = show
+      ? cliMode(show, clk, cli)
+      : { mode: cli.mode || (FORCE_MODE ? normalizeMode(FORCE_MODE) : "DAY"), reason: "no active linked show (tag passes skip it)", source: "unassigned", show: null };
+    console.log(JSON.stringify(explainRecord(table, record, clk, info, policy), null, 2));
+    return true;
+  }
+
+  console.log(`explain: ${cli.recordId} not found in ${TABLE_SCHEDULE}/${VIEW_SCHEDULE} or ${TABLE_TRIPS}/${VIEW_TRIPS}`);
+  return false;
+}
+
+function simulateRecordLine(table, record, computeTemp, nowEpoch, tz, mode, rules) {
+  const tag = computeTemp(record.fields || {}, nowEpoch, tz, rules);
+  const till = tag.targetEpoch == null ? "?" : `${tag.targetEpoch - nowEpoch}s`;
+  const interval = intervalSecondsFor(mode, tag.temp, rules);
+  return (
+    `  ${table} ${record.id} temp=${tag.temp} bucket=${tag.bucket} till=${till}` +
+    ` next_due=${interval == null ? "-" : nowEpoch + interval}${tag.unparseable ? " unparseable" : ""}`
+  );
+}
+
+/**
+ * Classifies every active show's records against a hypothetical clock. Never writes (records,
+ * mode write-back, events and run reports are all skipped).
+ */
+async function runSimulate(store, policy, cli) {
+  const shows = await listShowsSafe(store);
+  if (!shows) return false;
+  if (!shows.length) {
+    console.log(`simulate: no active shows in ${TABLE_SHOWS}/${VIEW_SHOWS}`);
+    return true;
+  }
+
+  const sched = groupByShow(await store.list(TABLE_SCHEDULE, VIEW_SCHEDULE), SCHED_SHOW_LINK, shows);
+  const trips = groupByShow(await store.list(TABLE_TRIPS, VIEW_TRIPS), TRIP_SHOW_LINK, shows);
+
+  for (const show of shows) {
+    const clk = await cliClock(show, cli);
+    const info = cliMode(show, clk, cli);
+    const head = `simulate | show=${showLabel(show)} | at=${isoOrNull(clk.nowEpoch)} tz=${clk.tz.zone || "fixed"} offsetMin=${offsetAt(clk.tz, clk.nowEpoch)} | mode=${info.mode} (${info.source}: ${info.reason})`;
+
+    if (info.mode === "HOLDOVER") {
+      console.log(`${head} | HOLDOVER -> nothing tagged`);
+      continue;
+    }
+
+    console.log(head);
+    const out = [];
+    for (const [table, group, computeTemp] of [
+      [TABLE_SCHEDULE, sched, computeTempSchedule],
+      [TABLE_TRIPS, trips, computeTempTrip],
+    ]) {
+      const records = group.byShow.get(show.id);
+      const rules = resolveRules(policy, table, info.mode);
+      const plan = planUpdates(records, computeTemp, clk.nowEpoch, clk.tz, info.mode, rules);
+      for (const r of records) console.log(simulateRecordLine(table, r, computeTemp, clk.nowEpoch, clk.tz, info.mode, rules));
+
+      const temps = Object.entries(plan.tally.temps).map(([k, n]) => `${k}=${n}`).join(",") || "-";
+      out.push(`${table}=${records.length}(would_change=${plan.changed.length} hb=${plan.heartbeat} same=${plan.unchanged} temps=${temps})`);
+    }
+    console.log(`simulate done | show=${showLabel(show)} | ${out.join(" ")} | no writes`);
+  }
+  return true;
+}
+
+/**
+ * Clock for one recorded frame: a ring payload (same parsing as the live clock) or a bare ISO `at`.
+ * -> { nowEpoch, tzOffsetMinutes, tz } or null when unreadable.
+ */
+function replayClock(frame, fallbackZone) {
+  if (frame.clock) {
+    const payload = frame.clock.time_zone_date_time ? frame.clock : { time_zone_date_time: frame.clock };
+    const { nowMs, tzOffsetMinutes, zone } = pickNowMsAndOffsetFromRingPayload(payload);
+    if (!Number.isFinite(nowMs)) return null;
+
+    const nowEpoch = Math.floor(nowMs / 1000);
+    const tz = buildTz(zone, Number.isFinite(tzOffsetMinutes) ? tzOffsetMinutes : 0, fallbackZone);
+    if (!Number.isFinite(tzOffsetMinutes)) tz.offsetMinutes = offsetAt(tz, nowEpoch);
+    return { nowEpoch, tzOffsetMinutes: tz.offsetMinutes, tz };
+  }
+
+  const ms = Date.parse(frame.at);
+  if (!Number.isFinite(ms)) return null;
+  const nowEpoch = Math.floor(ms / 1000);
+  const tz = buildTz(null, 0, fallbackZone);
+  tz.offsetMinutes = offsetAt(tz, nowEpoch);
+  return { nowEpoch, tzOffsetMinutes: tz.offsetMinutes, tz };
+}
+
+// Fields the tagger owns; replay carries its own values for these instead of the recorded ones.
+function tagFieldNames() {
+  return [FIELD_EPOCH, FIELD_TEMP, FIELD_BUCKET, FIELD_NEXT_DUE, FIELD_PROJECTED_GO];
+}
+
+/**
+ * One table of one frame. `carried` (table:id -> tag fields) plays the part of the stored record,
+ * so change-only writes, heartbeats and next_due validity behave as they would live.
+ */
+function replayTable(frameIdx, table, records, computeTemp, clk, mode, policy, carried) {
+  const { nowEpoch, tz } = clk;
+  const rules = resolveRules(policy, table, mode);
+  const at = isoOrNull(nowEpoch);
+
+  return records.map(r => {
+    const key = `${table}:${r.id}`;
+    const fields = { ...(r.fields || {}) };
+    for (const k of tagFieldNames()) delete fields[k];
+    Object.assign(fields, carried.get(key) || {});
+
+    const storedDue = numOrNull(fields[FIELD_NEXT_DUE]);
+    const row = { frame: frameIdx, at, epoch: nowEpoch, mode, table, record_id: r.id, due: storedDue != null && storedDue <= nowEpoch };
 
     if (mode === "HOLDOVER") {
-      console.log(`mode=HOLDOVER -> no tagging run`);
+      return {
+        ...row,
+        temp: fields[FIELD_TEMP] ?? null,
+        bucket: fields[FIELD_BUCKET] ?? null,
+        target_epoch: null,
+        till_sec: null,
+        next_due_epoch: storedDue,
+        write: "skipped",
+      };
+    }
+
+    const tag = computeTemp(fields, nowEpoch, tz, rules);
+    const d = diffUpdate(fields, buildUpdate(r.id, nowEpoch, tag, mode, rules), nowEpoch);
+    const next = { ...(carried.get(key) || {}), ...(d.patch ? d.patch.fields : {}) };
+    carried.set(key, next);
+
+    return {
+      ...row,
+      temp: tag.temp,
+      bucket: tag.bucket,
+      target_epoch: tag.targetEpoch ?? null,
+      till_sec: tag.targetEpoch == null ? null : tag.targetEpoch - nowEpoch,
+      next_due_epoch: numOrNull(next[FIELD_NEXT_DUE]),
+      write: d.kind,
+    };
+  });
+}
+
+/**
+ * Time-travel replay: every frame is a tag pass at the recorded clock. Nothing is written
+ * anywhere except the timeline file.
+ */
+function runReplay(policy, cli) {
+  const rec = loadRecording(cli.recording);
+  const show = { id: rec.show?.id || "replay", fields: rec.show?.fields || {} };
+  const fallbackZone = cli.tz || (isValidZone(rec.time_zone) ? rec.time_zone : showTimeZone(show));
+
+  const snapshot = { [TABLE_SCHEDULE]: [], [TABLE_TRIPS]: [] };
+  const carried = new Map();
+  const rows = [];
+
+  rec.frames.forEach((frame, i) => {
+    if (Array.isArray(frame.schedule)) snapshot[TABLE_SCHEDULE] = frame.schedule;
+    if (Array.isArray(frame.trips)) snapshot[TABLE_TRIPS] = frame.trips;
+
+    const clk = replayClock(frame, fallbackZone);
+    if (!clk) {
+      console.log(`replay warn: frame ${i} clock unreadable -> skipped`);
+      return;
+    }
+
+    const info = cliMode(show, clk, cli);
+    rows.push(...replayTable(i, TABLE_SCHEDULE, snapshot[TABLE_SCHEDULE], computeTempSchedule, clk, info.mode, policy, carried));
+    rows.push(...replayTable(i, TABLE_TRIPS, snapshot[TABLE_TRIPS], computeTempTrip, clk, info.mode, policy, carried));
+  });
+
+  for (const f of summarizeFrames(rows)) {
+    const buckets = Object.entries(f.buckets).map(([k, n]) => `${k}=${n}`).join(",");
+    console.log(`replay | frame=${f.frame} at=${f.at} mode=${f.mode} buckets=${buckets} writes=${f.writes} due=${f.due}`);
+  }
+
+  const out = writeTimeline(cli.out, rows, { recording: rec.source, policy: policy.version, show: showLabel(show) });
+  console.log(`replay done | frames=${rec.frames.length} rows=${rows.length} policy=${policy.version} out=${out}`);
+}
+
+(async () => {
+  let cli;
+  try {
+    cli = parseCli(process.argv.slice(2));
+  } catch (e) {
+    console.log(`cli: ${e.message}`);
+    console.log(CLI_USAGE);
+    process.exit(2);
+  }
+
+  try {
+    // replay: recording in, timeline out; no store or clock involved
+    if (cli.cmd === "replay") {
+      try {
+        const policy = loadPolicy(TAGGER_POLICY);
+        console.log(`policy=${policy.version} source=${policy.source}`);
+        runReplay(policy, cli);
+        process.exit(0);
+      } catch (e) {
+        console.log(`replay: ${String(e?.message || e).slice(0, 240)}`);
+        process.exit(1);
+      }
+    }
+
+    const store = openStore();
+    if (!SHOWTIME_URL) console.log(`SHOWTIME_URL not set -> shows without ${FIELD_SHOW_CLOCK_URL} are skipped`);
+
+    const policy = loadPolicy(TAGGER_POLICY);
+    console.log(`policy=${policy.version} source=${policy.source}`);
+
+    // explain / simulate: read-only, exit 1 when the answer couldn't be produced
+    if (cli.cmd === "explain") process.exit((await runExplain(store, policy, cli)) ? 0 : 1);
+    if (cli.cmd === "simulate") process.exit((await runSimulate(store, policy, cli)) ? 0 : 1);
+
+    if (DAEMON) {
+      await runDaemon(store, policy);
       process.exit(0);
     }
 
-    // PASS 1: require strict clock; if unavailable, skip writes and exit cleanly
-    const clk1 = await getServerClockStrict();
-    if (!clk1) {
-      console.log(`clock unavailable: skipping pass1 (no writes)`);
+    // PASS 1: every active show; each needs its strict clock (mode derivation too), else it is skipped
+    const pass1 = await tagAllShows(store, policy);
+    if (!pass1) {
+      console.log(`mode unavailable: skipping run (no writes)`);
       process.exit(0);
     }
-    await tagOnce(clk1.nowEpoch, clk1.tzOffsetMinutes, mode);
 
-    // PASS 2: only in DAY, and also strict clock; if unavailable, skip second pass cleanly
-    if (mode === "DAY") {
+    // PASS 2: only when some show ran in DAY; modes and clocks are re-read
+    if (pass1.tagged.some(t => t.mode === "DAY")) {
       await sleep(DAY_SECOND_PASS_DELAY_SEC * 1000);
-      const clk2 = await getServerClockStrict();
-      if (!clk2) {
-        console.log(`clock unavailable: skipping pass2 (no writes)`);
-        process.exit(0);
-      }
-      await tagOnce(clk2.nowEpoch, clk2.tzOffsetMinutes, mode);
+      const pass2 = await tagAllShows(store, policy);
+      if (!pass2) console.log(`mode unavailable: skipping pass2 (no writes)`);
     }
   } catch (e) {
     // Hard stop only for truly unexpected failures; keep logs single-line and let next drumbeat recover.
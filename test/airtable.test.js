@@ -0,0 +1,136 @@
+// test/airtable.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { startMockServer } = require("./mock-server");
+const { mockOptions } = require("./helpers");
+const { createAirtableClient, createRateLimiter, AirtableError, isAirtableError, TIMEOUT } = require("../lib/airtable");
+
+function clientFor(mock, extra = {}) {
+  return createAirtableClient({
+    token: mock.token,
+    baseId: mock.baseId,
+    apiUrl: mock.url,
+    retry: { attempts: 3, baseMs: 0, maxMs: 250 },
+    rps: 0,
+    ...extra,
+  });
+}
+
+test("airtable client: lists every page and patches in batches of 10", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.pageSize = 5;
+  try {
+    const at = clientFor(mock);
+    const rows = await at.list("watch_schedule", { view: "epoch" });
+    assert.equal(rows.length, 12);
+
+    await at.batchUpdate("watch_schedule", rows.map(r => ({ id: r.id, fields: { temp: "COLD" } })));
+    assert.deepEqual(mock.patches("watch_schedule").map(p => p.ids.length), [10, 2]);
+    assert.equal(mock.record("watch_schedule", "recSch12").fields.temp, "COLD");
+  } finally {
+    await mock.close();
+  }
+});
+
+test("airtable client: 429 is retried and counted, errors are typed", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.fail429 = 2;
+  try {
+    const at = clientFor(mock);
+    const rec = await at.get("watch_schedule", "recSch03");
+    assert.equal(rec.fields.class_group_id, 9003);
+    assert.equal(at.stats.retries, 2);
+    assert.equal(at.stats.requests, 3);
+
+    const unknown = await at.list("watch_schedule", { fields: ["no_such_field"] }).catch(e => e);
+    assert.ok(unknown instanceof AirtableError);
+    assert.ok(isAirtableError(unknown, "UNKNOWN_FIELD_NAME"));
+    assert.equal(unknown.status, 422);
+    assert.equal(unknown.op, "list");
+
+    const missing = await at.get("watch_schedule", "recNope").catch(e => e);
+    assert.equal(missing.status, 404);
+    assert.match(missing.message, /Airtable get failed \(404\) watch_schedule\/recNope/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("airtable client: a hung request times out as TIMEOUT", async () => {
+  const server = http.createServer(() => {}); // never answers
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try {
+    const at = createAirtableClient({
+      token: "t", baseId: "appX", apiUrl: `http://127.0.0.1:${server.address().port}`,
+      timeoutMs: 100, retry: { attempts: 1 }, rps: 0,
+    });
+    const e = await at.get("tbl", "rec1").catch(err => err);
+    assert.ok(isAirtableError(e, TIMEOUT));
+  } finally {
+    server.closeAllConnections();
+    await new Promise(r => server.close(r));
+  }
+});
+
+test("airtable client: a body that stalls after the headers still times out, and a GET is retried", async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.write("{\"records\": ["); // headers and half a body, then nothing
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try {
+    const at = createAirtableClient({
+      token: "t", baseId: "appX", apiUrl: `http://127.0.0.1:${server.address().port}`,
+      timeoutMs: 100, retry: { attempts: 2, baseMs: 0, maxMs: 50 }, rps: 0,
+    });
+    const t0 = Date.now();
+    const e = await at.get("tbl", "rec1").catch(err => err);
+    assert.ok(isAirtableError(e, TIMEOUT), String(e));
+    assert.match(e.message, /no complete response in 100ms/);
+    assert.equal(hits, 2);
+    assert.ok(Date.now() - t0 < 5000);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(r => server.close(r));
+  }
+});
+
+test("airtable client: the rate limiter spaces calls", async () => {
+  const acquire = createRateLimiter(20); // 50ms apart
+  const t0 = Date.now();
+  await Promise.all([acquire(), acquire(), acquire(), acquire()]);
+  assert.ok(Date.now() - t0 >= 140);
+});
+
+test("airtable client: 5xx and timeouts are retried for GET/PATCH but a create is never sent twice", async () => {
+  const seen = { GET: 0, PATCH: 0, POST: 0 };
+  const server = http.createServer((req, res) => {
+    seen[req.method]++;
+    if (req.url.includes("hang")) return; // never answers
+    res.writeHead(503, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: { type: "SERVICE_UNAVAILABLE", message: "down" } }));
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try {
+    const at = createAirtableClient({
+      token: "t", baseId: "appX", apiUrl: `http://127.0.0.1:${server.address().port}`,
+      timeoutMs: 100, retry: { attempts: 3, baseMs: 0, maxMs: 250 }, rps: 0,
+    });
+
+    assert.equal((await at.list("tbl").catch(e => e)).status, 503);
+    assert.equal((await at.update("tbl", "rec1", { a: 1 }).catch(e => e)).status, 503);
+    assert.equal((await at.create("tbl", [{ a: 1 }]).catch(e => e)).status, 503);
+    assert.deepEqual(seen, { GET: 3, PATCH: 3, POST: 1 });
+
+    const hung = await at.create("hang", [{ a: 1 }]).catch(e => e);
+    assert.ok(isAirtableError(hung, TIMEOUT));
+    assert.equal(seen.POST, 2);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(r => server.close(r));
+  }
+});
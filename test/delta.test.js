@@ -0,0 +1,55 @@
+// test/delta.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { deltaPathFor, buildDelta } = require("../lib/delta");
+
+const prev = [
+  { sid: 1, class_name: "Jumper 1", status: "Underway" },
+  { sid: 2, class_name: "Jumper 2", status: null },
+  { sid: 3, class_name: "Jumper 3", status: null },
+];
+
+test("delta: path sits next to the full file whatever its format", () => {
+  assert.equal(deltaPathFor("docs/wef/schedule.json"), "docs/wef/schedule.delta.json");
+  assert.equal(deltaPathFor("docs/wef/schedule.json.gz"), "docs/wef/schedule.delta.json");
+  assert.equal(deltaPathFor("docs/wef/schedule.csv"), "docs/wef/schedule.delta.json");
+  assert.equal(deltaPathFor("docs/wef/schedule"), "docs/wef/schedule.delta.json");
+});
+
+test("delta: added, changed and removed keyed by the id field; key order does not count", () => {
+  const next = [
+    { status: "Underway", class_name: "Jumper 1", sid: 1 },
+    { sid: 3, class_name: "Jumper 3", status: "Completed" },
+    { sid: 4, class_name: "Jumper 4", status: null },
+  ];
+  const { delta, warning } = buildDelta({ key: "watch_schedule", idField: "sid", from: 100, to: 200, prevRows: prev, nextRows: next });
+  assert.equal(warning, null);
+  assert.deepEqual(delta, {
+    key: "watch_schedule",
+    id_field: "sid",
+    from: 100,
+    to: 200,
+    reset: false,
+    added: [next[2]],
+    changed: [next[1]],
+    removed: [2],
+  });
+});
+
+test("delta: no usable base resets; bad ids in new rows give a reset with a warning", () => {
+  const none = buildDelta({ key: "k", idField: "sid", from: 100, to: 200, prevRows: null, nextRows: prev }).delta;
+  assert.equal(none.reset, true);
+  assert.equal(none.from, null);
+  assert.deepEqual(none.added, prev);
+
+  assert.equal(buildDelta({ key: "k", idField: "sid", from: null, to: 200, prevRows: prev, nextRows: prev }).delta.reset, true);
+  assert.equal(buildDelta({ key: "k", idField: "row_id", from: 100, to: 200, prevRows: prev, nextRows: [{ row_id: 1 }] }).delta.reset, true);
+
+  const dup = [{ sid: 1 }, { sid: 1 }, {}];
+  const bad = buildDelta({ key: "k", idField: "sid", from: 100, to: 200, prevRows: prev, nextRows: dup });
+  assert.match(bad.warning, /id field "sid" missing or duplicated on 2 new row\(s\)/);
+  assert.equal(bad.delta.reset, true);
+  assert.equal(bad.delta.from, null);
+  assert.deepEqual(bad.delta.added, dup);
+});
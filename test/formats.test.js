@@ -0,0 +1,63 @@
+// test/formats.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+const { normalizeFormat, formatForPath, renderContent, sameContent } = require("../lib/formats");
+
+const rows = [
+  { class_name: "Jumper 1", ring: 1, status: null },
+  { class_name: "Hunter, \"Open\"", ring: 2, tags: ["a", "b"] },
+];
+
+test("formats: the extension wins, the lane setting covers paths without one, else json", () => {
+  assert.equal(formatForPath("docs/wef/schedule.csv"), "csv");
+  assert.equal(formatForPath("docs/wef/schedule.jsonl"), "ndjson");
+  assert.equal(formatForPath("docs/wef/schedule.json.gz"), "json.gz");
+  assert.equal(formatForPath("docs/wef/schedule"), "json");
+  assert.equal(formatForPath("docs/wef/schedule", "CSV"), "csv");
+  assert.equal(formatForPath("docs/wef/schedule.txt", "ndjson"), "ndjson");
+  assert.equal(formatForPath("docs/wef/schedule.csv", "csv"), "csv");
+  assert.equal(formatForPath("docs/wef/schedule.jsonl", "ndjson"), "ndjson");
+  assert.throws(() => formatForPath("docs/wef/schedule.json", "csv"), /format "csv" conflicts with the extension of docs\/wef\/schedule\.json \(json\)/);
+  assert.throws(() => formatForPath("docs/wef/schedule.json.gz", "json"), /conflicts/);
+  assert.equal(normalizeFormat("gz"), "json.gz");
+  assert.equal(normalizeFormat("xml"), null);
+});
+
+test("formats: csv and ndjson rendering", () => {
+  const csv = renderContent("csv", rows);
+  assert.equal(csv.contentType, "text/csv");
+  assert.equal(csv.buffer.toString("utf8"), [
+    "class_name,ring,status,tags",
+    "Jumper 1,1,,",
+    "\"Hunter, \"\"Open\"\"\",2,,\"a, b\"",
+    "",
+  ].join("\n"));
+
+  const nd = renderContent("ndjson", rows);
+  assert.equal(nd.buffer.toString("utf8").split("\n").length, 3);
+  assert.deepEqual(JSON.parse(nd.buffer.toString("utf8").split("\n")[1]), rows[1]);
+});
+
+test("formats: no-change detection per format ignores encoding noise, sees real changes", () => {
+  for (const fmt of ["json", "csv", "ndjson", "json.gz"]) {
+    const live = renderContent(fmt, rows).buffer;
+    assert.equal(sameContent(fmt, live, rows).same, true, fmt);
+    assert.equal(sameContent(fmt, live, [rows[0]]).same, false, fmt);
+  }
+
+  const reordered = [{ status: null, ring: 1, class_name: "Jumper 1" }, rows[1]];
+  assert.equal(sameContent("json", Buffer.from(JSON.stringify(reordered)), rows).same, true);
+  assert.equal(sameContent("ndjson", Buffer.from(reordered.map(r => JSON.stringify(r)).join("\r\n")), rows).same, true);
+
+  // different gzip header (mtime, level) or already decoded by the proxy
+  const text = JSON.stringify(rows);
+  assert.equal(sameContent("json.gz", zlib.gzipSync(text, { level: 1 }), rows).same, true);
+  assert.equal(sameContent("json.gz", Buffer.from(text), rows).same, true);
+
+  const crlf = renderContent("csv", rows).buffer.toString("utf8").replace(/\n/g, "\r\n");
+  assert.equal(sameContent("csv", Buffer.from(crlf), rows).same, true);
+
+  assert.deepEqual(sameContent("json.gz", Buffer.from([0x1f, 0x8b, 0, 1]), rows), { same: false, reason: "invalid_json_gz" });
+});
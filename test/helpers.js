@@ -0,0 +1,53 @@
+// test/helpers.js
+/**
+ * RingStatus — shared bits for the end-to-end script tests
+ *
+ * Scripts run as child processes (they are IIFEs, not modules) against test/mock-server.js.
+ * The child env is built from scratch so a developer's real AIRTABLE_* / STORE_* never leak in.
+ */
+
+const path = require("path");
+const { execFile } = require("child_process");
+
+const ROOT = path.resolve(__dirname, "..");
+const FIXTURE = require("./fixtures/show-day.json");
+
+// Script -> { code, stdout, stderr }; never rejects (assert on code/output instead).
+// onSpawn(child) gets the process (e.g. to signal it mid-run).
+function runScript(script, env, { args = [], timeoutMs = 30_000, onSpawn = null } = {}) {
+  return new Promise((resolve) => {
+    const child = execFile(
+      process.execPath,
+      [path.join(ROOT, script), ...args],
+      {
+        cwd: ROOT,
+        env: { PATH: process.env.PATH, HOME: process.env.HOME, ...env },
+        timeout: timeoutMs,
+        killSignal: "SIGKILL",
+      },
+      (err, stdout, stderr) => {
+        resolve({ code: err ? (err.code ?? err.signal) : 0, stdout: String(stdout), stderr: String(stderr) });
+      }
+    );
+    if (onSpawn) onSpawn(child);
+  });
+}
+
+function mockOptions(fixture = FIXTURE) {
+  return {
+    fixture,
+    clockIso: fixture.clock.iso,
+    tzOffsetMinutes: fixture.clock.offset_min,
+    timeZone: fixture.clock.time_zone,
+  };
+}
+
+const NOW_EPOCH = Math.floor(Date.parse(FIXTURE.clock.iso) / 1000);
+
+module.exports = {
+  ROOT,
+  FIXTURE,
+  NOW_EPOCH,
+  runScript,
+  mockOptions,
+};
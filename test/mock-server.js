@@ -0,0 +1,345 @@
+// test/mock-server.js
+/**
+ * RingStatus — offline stand-in for everything the scripts talk to
+ *
+ *  - Airtable REST     /v0/{base}/{table}            GET (view, pageSize, offset, fields[]), PATCH (batch <= 10), POST
+ *                      /v0/{base}/{table}/{id}       GET, PATCH (single)
+ *  - Ring clock        /clock                        { time_zone_date_time: { date_obj, time_zone_offset, time_zone, sql_date, time } }
+ *  - Upstream ring API /ring/{ring_id}?show_date=..  { ring, time_zone_date_time, class_groups } from fixture.rings[ring_id]
+ *  - Commit proxy      /docs/commit-bulk             POST { message, force, files: [{ path, content_base64 }] }
+ *                      /{path}                       GET of anything committed (publisher preflight)
+ *  - Webhook           /hooks/events                 POST of any JSON body -> mock.hooks (200)
+ *
+ * Data uses the json-store layout (lib/store.js): { tables: { name: { records, views, schema? } }, rings? }.
+ * rings: { "<ring_id>": { ring_name, class_groups: [...] } } (one show date; show_date is not checked).
+ * A view that is not listed returns every record (same as the json store).
+ * `schema` (optional) lists known field names; otherwise every field seen on a record is known.
+ *
+ * Fault knobs (mutable on the returned object):
+ *  - pageSize:        max records per list page (forces pagination; default 100)
+ *  - fail429:         next N Airtable requests answer 429 with Retry-After
+ *  - retryAfterSec:   Retry-After value for those 429s (default 0)
+ *  - ringDelayMs:     delay before answering /ring/* (slow upstream)
+ *  - onAirtable:      fn(log) called before each Airtable request is answered (inject concurrent edits)
+ *
+ * Usage (tests):
+ *   const mock = await startMockServer({ fixture, clockIso, tzOffsetMinutes, timeZone });
+ *   ... spawn a script with mock.env() ...
+ *   mock.requests / mock.commits / mock.table("watch_trips")
+ *   mock.stateFile: the publisher's PUBLISH_STATE_FILE in env() (a temp dir, removed by close)
+ *   await mock.close();
+ *
+ * Standalone: node test/mock-server.js test/fixtures/show-day.json [port]
+ */
+
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const TOKEN = "test-token";
+const BASE_ID = "appTEST";
+
+function clone(x) {
+  return JSON.parse(JSON.stringify(x));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function airtableError(res, status, type, message) {
+  sendJson(res, status, { error: { type, message } });
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let b = "";
+    req.on("data", c => { b += c; });
+    req.on("end", () => resolve(b));
+  });
+}
+
+// Airtable omits empty values on read: null, "" and unchecked checkboxes (false).
+function mergeFields(cur, patch) {
+  const out = { ...(cur || {}) };
+  for (const [k, v] of Object.entries(patch || {})) {
+    if (v === null || v === undefined || v === "" || v === false) delete out[k];
+    else out[k] = v;
+  }
+  return out;
+}
+
+function knownFields(t) {
+  if (Array.isArray(t.schema)) return new Set(t.schema);
+  const s = new Set();
+  for (const r of t.records || []) for (const k of Object.keys(r.fields || {})) s.add(k);
+  return s;
+}
+
+function localClockParts(iso, offsetMin) {
+  const d = new Date(Date.parse(iso) + offsetMin * 60_000);
+  return {
+    sql_date: d.toISOString().slice(0, 10),
+    time: d.toISOString().slice(11, 19),
+  };
+}
+
+function startMockServer({
+  fixture = { tables: {} },
+  clockIso = new Date().toISOString(),
+  tzOffsetMinutes = 0,
+  timeZone = null,
+  port = 0,
+} = {}) {
+  const db = clone(fixture);
+  if (!db.tables) db.tables = {};
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "ringstatus-mock-"));
+
+  const mock = {
+    token: TOKEN,
+    stateFile: path.join(stateDir, "publisher-state.json"),
+    baseId: BASE_ID,
+    url: null,
+    pageSize: 100,
+    fail429: 0,
+    retryAfterSec: 0,
+    ringDelayMs: 0,
+    onAirtable: null,
+    clockIso,
+    tzOffsetMinutes,
+    timeZone,
+    requests: [],   // { method, path, status }
+    commits: [],    // commit-bulk bodies
+    hooks: [],      // /hooks/events bodies
+    files: new Map(), // path -> { bytes, text, content_type }
+    rings: db.rings || {},
+
+    table(name) {
+      return clone(db.tables[name]?.records || []);
+    },
+    record(tableName, id) {
+      return clone((db.tables[tableName]?.records || []).find(r => r.id === id) || null);
+    },
+    setFields(tableName, id, fields) {
+      const r = (db.tables[tableName]?.records || []).find(x => x.id === id);
+      if (r) r.fields = mergeFields(r.fields, fields);
+    },
+    setView(tableName, view, ids) {
+      const t = db.tables[tableName];
+      if (t) t.views = { ...(t.views || {}), [view]: [...ids] };
+    },
+    setClock(iso) {
+      mock.clockIso = iso;
+    },
+    patches(tableName) {
+      return mock.requests.filter(r => r.method === "PATCH" && r.table === tableName);
+    },
+    env(extra = {}) {
+      return {
+        AIRTABLE_TOKEN: TOKEN,
+        AIRTABLE_BASE_ID: BASE_ID,
+        AIRTABLE_API_URL: mock.url,
+        SHOWTIME_URL: `${mock.url}/clock`,
+        PUBLISH_URI: `${mock.url}/docs/commit-bulk`,
+        PUBLISHED_BASE: `${mock.url}/`,
+        RING_API_BASE: mock.url,
+        PUBLISH_STATE_FILE: mock.stateFile,
+        ...extra,
+      };
+    },
+    close: null,
+  };
+
+  function clockPayload() {
+    return {
+      ring: { ring_name: "Mock Ring" },
+      time_zone_date_time: {
+        date_obj: mock.clockIso,
+        time_zone_offset: mock.tzOffsetMinutes,
+        ...(mock.timeZone ? { time_zone: mock.timeZone } : {}),
+        ...localClockParts(mock.clockIso, mock.tzOffsetMinutes),
+      },
+    };
+  }
+
+  async function handleAirtable(req, res, url, parts) {
+    const [, , tableName, recordId] = parts.map(decodeURIComponent);
+    const log = { method: req.method, path: url.pathname, table: tableName, status: 200 };
+    mock.requests.push(log);
+    if (mock.onAirtable) mock.onAirtable(log);
+
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      log.status = 401;
+      return airtableError(res, 401, "AUTHENTICATION_REQUIRED", "Authentication required");
+    }
+    if (mock.fail429 > 0) {
+      mock.fail429--;
+      log.status = 429;
+      return sendJson(res, 429, { errors: [{ error: "RATE_LIMIT_REACHED" }] }, { "Retry-After": String(mock.retryAfterSec) });
+    }
+
+    const t = db.tables[tableName];
+    if (!t && req.method !== "POST") {
+      log.status = 404;
+      return airtableError(res, 404, "TABLE_NOT_FOUND", `Could not find table ${tableName}`);
+    }
+
+    if (req.method === "GET" && recordId) {
+      const r = (t.records || []).find(x => x.id === recordId);
+      if (!r) {
+        log.status = 404;
+        return airtableError(res, 404, "NOT_FOUND", `Record not found: ${recordId}`);
+      }
+      return sendJson(res, 200, { id: r.id, createdTime: r.createdTime || "2026-01-01T00:00:00.000Z", fields: clone(r.fields || {}) });
+    }
+
+    if (req.method === "GET") {
+      const requested = url.searchParams.getAll("fields[]");
+      const known = knownFields(t);
+      const unknown = requested.find(f => !known.has(f));
+      if (unknown) {
+        log.status = 422;
+        return airtableError(res, 422, "UNKNOWN_FIELD_NAME", `Unknown field name: "${unknown}"`);
+      }
+
+      const view = url.searchParams.get("view");
+      let rows = t.records || [];
+      if (view && Array.isArray(t.views?.[view])) {
+        const byId = new Map(rows.map(r => [r.id, r]));
+        rows = t.views[view].map(id => byId.get(id)).filter(Boolean);
+      }
+
+      const size = Math.min(mock.pageSize, Number(url.searchParams.get("pageSize") || 100));
+      const start = Number(url.searchParams.get("offset") || 0);
+      const page = rows.slice(start, start + size).map(r => {
+        const fields = requested.length
+          ? Object.fromEntries(Object.entries(r.fields || {}).filter(([k]) => requested.includes(k)))
+          : r.fields || {};
+        return { id: r.id, createdTime: r.createdTime || "2026-01-01T00:00:00.000Z", fields: clone(fields) };
+      });
+      const next = start + size < rows.length ? String(start + size) : undefined;
+      return sendJson(res, 200, { records: page, ...(next ? { offset: next } : {}) });
+    }
+
+    const body = JSON.parse((await readBody(req)) || "{}");
+
+    if (req.method === "PATCH") {
+      const updates = recordId ? [{ id: recordId, fields: body.fields }] : body.records || [];
+      if (updates.length > 10) {
+        log.status = 422;
+        return airtableError(res, 422, "INVALID_RECORDS", "You can update up to 10 records at a time");
+      }
+      const byId = new Map((t.records || []).map(r => [r.id, r]));
+      const missing = updates.find(u => !byId.has(u.id));
+      if (missing) {
+        log.status = 404;
+        return airtableError(res, 404, "NOT_FOUND", `Record not found: ${missing.id}`);
+      }
+      log.ids = updates.map(u => u.id);
+      log.fields = updates.map(u => u.fields);
+      const out = updates.map(u => {
+        const r = byId.get(u.id);
+        r.fields = mergeFields(r.fields, u.fields);
+        return clone(r);
+      });
+      return sendJson(res, 200, recordId ? out[0] : { records: out });
+    }
+
+    if (req.method === "POST") {
+      const tbl = db.tables[tableName] || (db.tables[tableName] = { records: [] });
+      const created = (body.records || []).map(r => ({
+        id: `rec${crypto.randomBytes(7).toString("hex")}`,
+        createdTime: new Date().toISOString(),
+        fields: mergeFields({}, r.fields),
+      }));
+      tbl.records.push(...created);
+      return sendJson(res, 200, { records: clone(created) });
+    }
+
+    log.status = 405;
+    return airtableError(res, 405, "METHOD_NOT_ALLOWED", req.method);
+  }
+
+  async function handleCommit(req, res) {
+    const body = JSON.parse((await readBody(req)) || "{}");
+    mock.requests.push({ method: "POST", path: "/docs/commit-bulk", status: 200 });
+    mock.commits.push(body);
+    for (const f of body.files || []) {
+      const bytes = Buffer.from(f.content_base64 || "", "base64");
+      mock.files.set(f.path, { bytes, text: bytes.toString("utf8"), content_type: f.content_type });
+    }
+    sendJson(res, 200, { ok: true, files: (body.files || []).length });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const parts = url.pathname.split("/").filter(Boolean);
+
+      if (parts[0] === "v0" && parts[1] === BASE_ID && parts[2]) return await handleAirtable(req, res, url, parts);
+
+      if (url.pathname === "/clock") {
+        mock.requests.push({ method: req.method, path: "/clock", status: 200 });
+        return sendJson(res, 200, clockPayload());
+      }
+
+      if (url.pathname === "/docs/commit-bulk" && req.method === "POST") return await handleCommit(req, res);
+
+      if (url.pathname === "/hooks/events" && req.method === "POST") {
+        mock.requests.push({ method: "POST", path: url.pathname, status: 200 });
+        mock.hooks.push(JSON.parse((await readBody(req)) || "{}"));
+        return sendJson(res, 200, { ok: true });
+      }
+
+      if (parts[0] === "ring" && parts[1]) {
+        const ring = mock.rings[decodeURIComponent(parts[1])];
+        mock.requests.push({ method: req.method, path: url.pathname, ring: parts[1], status: ring ? 200 : 404 });
+        if (!ring) return sendJson(res, 404, { error: "ring not found" });
+        if (mock.ringDelayMs) await new Promise(r => setTimeout(r, mock.ringDelayMs));
+        return sendJson(res, 200, {
+          ring: { ring_name: ring.ring_name || `Ring ${parts[1]}` },
+          time_zone_date_time: clockPayload().time_zone_date_time,
+          class_groups: clone(ring.class_groups || []),
+        });
+      }
+
+      const file = mock.files.get(parts.join("/"));
+      mock.requests.push({ method: req.method, path: url.pathname, status: file ? 200 : 404 });
+      if (file) {
+        res.writeHead(200, { "Content-Type": file.content_type || "application/octet-stream" });
+        return res.end(file.bytes || file.text);
+      }
+      res.writeHead(404);
+      res.end("not found");
+    } catch (e) {
+      sendJson(res, 500, { error: { type: "MOCK_ERROR", message: String(e?.message || e) } });
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      mock.url = `http://127.0.0.1:${server.address().port}`;
+      mock.close = () => new Promise(r => server.close(() => {
+        fs.rmSync(stateDir, { recursive: true, force: true });
+        r();
+      }));
+      resolve(mock);
+    });
+  });
+}
+
+module.exports = { startMockServer, TOKEN, BASE_ID };
+
+if (require.main === module) {
+  const fixturePath = process.argv[2];
+  const port = Number(process.argv[3] || "8787");
+  const fixture = fixturePath ? JSON.parse(fs.readFileSync(fixturePath, "utf8")) : { tables: {} };
+  startMockServer({ fixture, port, clockIso: fixture.clock?.iso, tzOffsetMinutes: fixture.clock?.offset_min ?? 0, timeZone: fixture.clock?.time_zone ?? null })
+    .then(m => {
+      console.log(`mock server on ${m.url}`);
+      console.log(JSON.stringify(m.env(), null, 2));
+    });
+}
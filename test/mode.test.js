@@ -0,0 +1,65 @@
+// test/mode.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeMode, parseModeOverride, deriveMode, localPartsFromEpoch, addDaysIso } = require("../lib/mode");
+
+// show 2026-03-04..2026-03-08, day 06:00-17:00
+const SHOW = { startDate: "2026-03-04", endDate: "2026-03-08", dayStartMin: 360, dayEndMin: 1020 };
+const at = (localDate, hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return deriveMode({ ...SHOW, localDate, localMin: h * 60 + m }).mode;
+};
+
+test("mode: a show day is NIGHT before day start, DAY from day start, NIGHT again from day end", () => {
+  assert.equal(at("2026-03-05", "05:59"), "NIGHT");
+  assert.equal(at("2026-03-05", "06:00"), "DAY");
+  assert.equal(at("2026-03-05", "16:59"), "DAY");
+  assert.equal(at("2026-03-05", "17:00"), "NIGHT");
+  assert.equal(at("2026-03-05", "23:59"), "NIGHT");
+});
+
+test("mode: the eve of day one is NIGHT from day end; after day end on the last day is HOLDOVER", () => {
+  assert.equal(at("2026-03-03", "16:59"), "HOLDOVER");
+  assert.equal(at("2026-03-03", "17:00"), "NIGHT");
+  assert.equal(at("2026-03-04", "00:00"), "NIGHT");
+  assert.equal(at("2026-03-08", "16:59"), "DAY");
+  assert.equal(at("2026-03-08", "17:00"), "HOLDOVER");
+  assert.equal(at("2026-03-09", "06:00"), "HOLDOVER");
+  assert.equal(at("2026-02-01", "12:00"), "HOLDOVER");
+});
+
+test("mode: a missing start or end date leaves that side open", () => {
+  const open = (localDate, localMin, dates) => deriveMode({ ...SHOW, ...dates, localDate, localMin }).mode;
+  assert.equal(open("2025-01-01", 720, { startDate: null }), "DAY");
+  assert.equal(open("2030-01-01", 720, { endDate: null }), "DAY");
+  assert.equal(open("2030-01-01", 1080, { endDate: null }), "NIGHT");
+  assert.equal(open("2030-01-01", 720, { startDate: null, endDate: null }), "DAY");
+});
+
+test("mode: the reason names the rule and the show dates, never the clock", () => {
+  const a = deriveMode({ ...SHOW, localDate: "2026-03-05", localMin: 400 });
+  const b = deriveMode({ ...SHOW, localDate: "2026-03-06", localMin: 900 });
+  assert.equal(a.reason, "show day 06:00-17:00 (show 2026-03-04..2026-03-08)");
+  assert.equal(b.reason, a.reason);
+  assert.equal(deriveMode({ ...SHOW, localDate: "2026-03-08", localMin: 1100 }).reason,
+    "after 17:00, no show day tomorrow (show 2026-03-04..2026-03-08)");
+  assert.equal(deriveMode({ ...SHOW, startDate: null, localDate: "2026-03-05", localMin: 100 }).reason,
+    "before 06:00 on show day (show …..2026-03-08)");
+});
+
+test("mode: local parts follow the clock offset across midnight", () => {
+  // 2026-03-07T04:30Z at -300 (EST) -> 2026-03-06 23:30 local
+  assert.deepEqual(localPartsFromEpoch(Date.parse("2026-03-07T04:30:00Z") / 1000, -300), { localDate: "2026-03-06", localMin: 1410 });
+  assert.deepEqual(localPartsFromEpoch(Date.parse("2026-03-07T04:30:00Z") / 1000, 60), { localDate: "2026-03-07", localMin: 330 });
+  assert.equal(addDaysIso("2026-02-28", 1), "2026-03-01");
+  assert.equal(addDaysIso("nope", 1), null);
+});
+
+test("mode: overrides parse to a valid mode or null; stored modes normalize to HOLDOVER when unknown", () => {
+  assert.equal(parseModeOverride(" night "), "NIGHT");
+  assert.equal(parseModeOverride(""), null);
+  assert.equal(parseModeOverride("AUTO"), null);
+  assert.equal(normalizeMode("day"), "DAY");
+  assert.equal(normalizeMode(undefined), "HOLDOVER");
+});
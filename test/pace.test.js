@@ -0,0 +1,48 @@
+// test/pace.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { livePaceSec, schedPaceSec, projectGoEpoch } = require("../lib/pace");
+
+const NOW = 1_000_000;
+
+// class started 40 min ago, 8 of 20 trips done -> live pace 300s; schedule says 2h for 20 -> 360s
+const CLASS = {
+  nowEpoch: NOW,
+  completed: 8,
+  total: 20,
+  actualStartEpoch: NOW - 2400,
+  estStartEpoch: NOW - 3600,
+  estEndEpoch: NOW + 3600,
+};
+
+test("pace: live = elapsed / completed, sched = planned span / total, null when not computable", () => {
+  assert.equal(livePaceSec(CLASS), 300);
+  assert.equal(schedPaceSec(CLASS), 360);
+  assert.equal(livePaceSec({ ...CLASS, completed: 0 }), null);
+  assert.equal(livePaceSec({ ...CLASS, actualStartEpoch: NOW + 10 }), null);
+  assert.equal(schedPaceSec({ ...CLASS, estEndEpoch: CLASS.estStartEpoch }), null);
+  assert.equal(schedPaceSec({ ...CLASS, total: 0 }), null);
+});
+
+test("pace: projected go = now + trips still ahead * live pace", () => {
+  assert.deepEqual(projectGoEpoch({ ...CLASS, order: 12 }), { projectedEpoch: NOW + 3 * 300, paceSec: 300, paceSource: "live", ahead: 3 });
+  // next up and already-gone trips project to now, not the past
+  assert.equal(projectGoEpoch({ ...CLASS, order: 9 }).projectedEpoch, NOW);
+  assert.equal(projectGoEpoch({ ...CLASS, order: 2 }).projectedEpoch, NOW);
+});
+
+test("pace: a live pace at or below minPaceSec falls back to the scheduled pace, then to nothing", () => {
+  // 8 trips in 16 min -> 120s live, noise under the 150s floor
+  const fast = { ...CLASS, actualStartEpoch: NOW - 960, order: 10 };
+  assert.deepEqual(projectGoEpoch(fast), { projectedEpoch: NOW + 360, paceSec: 360, paceSource: "sched", ahead: 1 });
+  assert.equal(projectGoEpoch({ ...fast, minPaceSec: 400 }), null);
+  assert.equal(projectGoEpoch({ ...fast, estEndEpoch: null }), null);
+});
+
+test("pace: only an underway class projects", () => {
+  assert.equal(projectGoEpoch({ ...CLASS, order: 12, actualStartEpoch: null }), null);
+  assert.equal(projectGoEpoch({ ...CLASS, order: 12, completed: 0 }), null);
+  assert.equal(projectGoEpoch({ ...CLASS, order: 12, completed: 20 }), null);
+  assert.equal(projectGoEpoch({ ...CLASS, order: 0 }), null);
+});
@@ -0,0 +1,103 @@
+// test/policy.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { DEFAULT_POLICY_PATH, loadPolicy, normalizePolicy, resolveRules, classifyTill, intervalFor } = require("../lib/policy");
+
+const POLICY = normalizePolicy({
+  version: "t-1",
+  default: {
+    thresholds: {
+      "*": [{ temp: "WARM", maxTillSec: 3600 }, { temp: "HOT", maxTillSec: 1800 }],
+      DAY: [{ temp: "NOW", bucket: "hot", maxTillSec: 600 }, { temp: "HOT", maxTillSec: 1800 }],
+    },
+    intervals: {
+      "*": { DONE: null, "*": 900 },
+      DAY: { HOT: 180, "*": 300 },
+    },
+  },
+  tables: {
+    watch_trips: {
+      thresholds: { NIGHT: [{ temp: "WARM", maxTillSec: 7200 }] },
+      fallback: "cold-ish",
+      intervals: { DAY: { WARM: 240 } },
+    },
+  },
+}, "test");
+
+function tmpPolicy(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ringstatus-policy-"));
+  const p = path.join(dir, "policy.json");
+  fs.writeFileSync(p, content);
+  return { p, done: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test("policy: the shipped file loads; a missing explicit path, bad JSON or no version throw", () => {
+  const shipped = loadPolicy();
+  assert.equal(shipped.source, DEFAULT_POLICY_PATH);
+  assert.match(shipped.version, /\S/);
+
+  assert.throws(() => loadPolicy(path.join(os.tmpdir(), "no-such-policy.json")), /policy invalid \(.*no-such-policy\.json\): file not found/);
+
+  const bad = tmpPolicy("{ nope");
+  const unversioned = tmpPolicy(JSON.stringify({ default: {} }));
+  try {
+    assert.throws(() => loadPolicy(bad.p), /unreadable JSON/);
+    assert.throws(() => loadPolicy(unversioned.p), /version is required/);
+  } finally {
+    bad.done();
+    unversioned.done();
+  }
+});
+
+test("policy: invalid thresholds and intervals name where they are", () => {
+  assert.throws(
+    () => normalizePolicy({ version: "x", default: { thresholds: { DAY: [{ temp: "HOT" }] } } }, "t"),
+    /policy invalid \(default\.thresholds\.DAY\[0\]\): maxTillSec must be a number/
+  );
+  assert.throws(
+    () => normalizePolicy({ version: "x", tables: { t1: { intervals: { DAY: { HOT: 0 } } } } }, "t"),
+    /policy invalid \(tables\.t1\.intervals\.DAY\.HOT\): seconds must be > 0 or null/
+  );
+});
+
+test("policy: the mode's thresholds win over *, sorted by maxTillSec, bucket defaulting to temp", () => {
+  const day = resolveRules(POLICY, "watch_schedule", "day");
+  assert.deepEqual(day.thresholds.map(r => [r.temp, r.bucket, r.maxTillSec]), [["NOW", "HOT", 600], ["HOT", "HOT", 1800]]);
+
+  const night = resolveRules(POLICY, "watch_schedule", "NIGHT");
+  assert.deepEqual(night.thresholds.map(r => r.temp), ["HOT", "WARM"]);
+  assert.equal(night.fallback, "COLD");
+  assert.equal(night.version, "t-1");
+});
+
+test("policy: a table replaces thresholds per mode key and merges intervals per temp", () => {
+  // NIGHT override replaces the default * list; DAY still comes from the default
+  assert.deepEqual(resolveRules(POLICY, "watch_trips", "NIGHT").thresholds.map(r => r.temp), ["WARM"]);
+  const day = resolveRules(POLICY, "watch_trips", "DAY");
+  assert.deepEqual(day.thresholds.map(r => r.temp), ["NOW", "HOT"]);
+  assert.equal(day.fallback, "COLD-ISH");
+  assert.deepEqual(day.intervals, { DONE: null, "*": 300, HOT: 180, WARM: 240 });
+});
+
+test("policy: classify takes the first threshold the till fits; till <= 0 hits the first, no till the fallback", () => {
+  const day = resolveRules(POLICY, "watch_schedule", "DAY");
+  assert.deepEqual(classifyTill(day, -50), { temp: "NOW", bucket: "HOT" });
+  assert.deepEqual(classifyTill(day, 600), { temp: "NOW", bucket: "HOT" });
+  assert.deepEqual(classifyTill(day, 601), { temp: "HOT", bucket: "HOT" });
+  assert.deepEqual(classifyTill(day, 1801), { temp: "COLD", bucket: "COLD" });
+  assert.deepEqual(classifyTill(day, null), { temp: "COLD", bucket: "COLD" });
+  assert.deepEqual(classifyTill(day, NaN), { temp: "COLD", bucket: "COLD" });
+});
+
+test("policy: interval is the temp's, else *, else null; DONE null stays null", () => {
+  const day = resolveRules(POLICY, "watch_schedule", "DAY");
+  assert.equal(intervalFor(day, "hot"), 180);
+  assert.equal(intervalFor(day, "WARM"), 300);
+  assert.equal(intervalFor(day, "DONE"), null);
+  assert.equal(intervalFor(resolveRules(POLICY, "watch_schedule", "HOLDOVER"), "HOT"), 900);
+  assert.equal(intervalFor({ intervals: {} }, "HOT"), null);
+});
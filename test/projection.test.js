@@ -0,0 +1,62 @@
+// test/projection.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseAllowedFields, sourceFields, projectRecord } = require("../lib/projection");
+
+test("projection: plain names copy as is, missing fields are null", () => {
+  const specs = parseAllowedFields(["class_name", "latestStatus"]);
+  assert.deepEqual(projectRecord({ class_name: "Jumper 1", extra: 1 }, specs), { class_name: "Jumper 1", latestStatus: null });
+  assert.deepEqual(sourceFields(specs), ["class_name", "latestStatus"]);
+});
+
+test("projection: rename, coerce, default and computed fields", () => {
+  const specs = parseAllowedFields([
+    "latestStatus:status|default=\"Pending\"",
+    "total_trips:total|number|default=0",
+    "is_live:live|boolean",
+    "next_due_epoch:next_due|iso",
+    "estimated_start_time:start|iso",
+    "ring_number:ring|string",
+    "trips_left=total_trips-completed_trips|default=0",
+    "pct=(completed_trips*100)/total_trips|int",
+  ]);
+
+  assert.deepEqual(projectRecord({
+    total_trips: "12", completed_trips: [5], is_live: true, next_due_epoch: 1772895600,
+    estimated_start_time: "1:05 PM", ring_number: 2,
+  }, specs), {
+    status: "Pending", total: 12, live: true, next_due: "2026-03-07T15:00:00.000Z",
+    start: "13:05:00", ring: "2", trips_left: 7, pct: 42,
+  });
+
+  // Airtable omits empty/false values: defaults fill in, operands go null, division by zero is null
+  assert.deepEqual(projectRecord({ completed_trips: 3 }, specs), {
+    status: "Pending", total: 0, live: false, next_due: null,
+    start: null, ring: null, trips_left: 0, pct: null,
+  });
+
+  assert.deepEqual(sourceFields(specs), [
+    "latestStatus", "total_trips", "is_live", "next_due_epoch", "estimated_start_time", "ring_number", "completed_trips",
+  ]);
+});
+
+test("projection: zone-less date-times need an explicit zone, never the runner's", () => {
+  const specs = parseAllowedFields(["at|iso", "at:at_ny|iso=America/New_York", "at:at_lon|iso=Europe/London"]);
+  assert.deepEqual(projectRecord({ at: "2026-03-07 10:20" }, specs), {
+    at: null, at_ny: "2026-03-07T15:20:00.000Z", at_lon: "2026-03-07T10:20:00.000Z",
+  });
+  assert.deepEqual(projectRecord({ at: "2026-03-07T10:20:00-05:00" }, specs), {
+    at: "2026-03-07T15:20:00.000Z", at_ny: "2026-03-07T15:20:00.000Z", at_lon: "2026-03-07T15:20:00.000Z",
+  });
+  assert.equal(projectRecord({ at: "2026-03-07" }, specs).at, "2026-03-07");
+  assert.equal(projectRecord({ at: "March 7, 2026 10:20" }, specs).at, null);
+  assert.throws(() => parseAllowedFields(["at|iso=Mars/Olympus"]), /unknown time zone "Mars\/Olympus"/);
+});
+
+test("projection: bad entries throw with the offending spec", () => {
+  assert.throws(() => parseAllowedFields(["total_trips|decimal"]), /unknown transform "decimal" in "total_trips\|decimal"/);
+  assert.throws(() => parseAllowedFields(["left=total-"]), /bad expression in "left=total-"/);
+  assert.throws(() => parseAllowedFields(["left=total-(done"]), /bad expression/);
+  assert.throws(() => parseAllowedFields([":status"]), /empty field/);
+});
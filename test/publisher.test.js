@@ -0,0 +1,498 @@
+// test/publisher.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+const { startMockServer } = require("./mock-server");
+const { NOW_EPOCH, runScript, mockOptions } = require("./helpers");
+
+function committedJson(mock, path) {
+  const f = mock.files.get(path);
+  return f ? JSON.parse(f.text) : undefined;
+}
+
+test("publisher: commits dirty datasets and the tenant manifest, then clears dirty", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("publisher.js", mock.env());
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /queue visible=3 dirty=2/);
+
+    assert.deepEqual(committedJson(mock, "docs/wef/schedule.json"), [
+      { class_name: "Jumper 1", estimated_start_time: "10:20:00", latestStatus: null },
+      { class_name: "Jumper 3", estimated_start_time: "10:45:00", latestStatus: null },
+      { class_name: "Equitation 1", estimated_start_time: "11:30:00", latestStatus: null },
+    ]);
+
+    // manifest lists datasets under docs/wef/ with the version seen at queue read time
+    assert.deepEqual(committedJson(mock, "docs/wef/manifest.json"), {
+      tenant: "wef",
+      epoch: NOW_EPOCH,
+      datasets: [
+        { key: "watch_schedule", path: "docs/wef/schedule.json", version: null },
+        { key: "watch_trips", path: "docs/wef/trips.json", version: 1772800000 },
+      ],
+    });
+
+    const sched = mock.record("publish_queue", "recPQSched").fields;
+    assert.equal(sched.dirty, undefined);
+    assert.equal(sched.dirty_reason, "published");
+    assert.equal(sched.last_publish_epoch, NOW_EPOCH);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: the manifest is recommitted only when its datasets change, not for a new epoch", async () => {
+  const mock = await startMockServer(mockOptions());
+  const manifestCommits = () => mock.commits.filter(c => c.files.some(f => f.path === "docs/wef/manifest.json")).length;
+  const runAt = async (epoch, extra = {}) => {
+    mock.setClock(new Date(epoch * 1000).toISOString());
+    mock.setFields("publish_queue", "recPQManifest", { dirty: true });
+    const run = await runScript("publisher.js", mock.env(extra));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    return run;
+  };
+  try {
+    // the first run publishes watch_schedule, so the second lists its new version
+    await runAt(NOW_EPOCH);
+    await runAt(NOW_EPOCH + 60);
+    assert.equal(manifestCommits(), 2);
+
+    // same datasets at a later epoch: skipped on the stored hash, and on a live compare too
+    await runAt(NOW_EPOCH + 300);
+    await runAt(NOW_EPOCH + 600, { VERIFY_PUBLISHED: "1" });
+    assert.equal(manifestCommits(), 2);
+    assert.equal(committedJson(mock, "docs/wef/manifest.json").epoch, NOW_EPOCH + 60);
+    assert.equal(mock.record("publish_queue", "recPQManifest").fields.dirty_reason, "skipped: no change");
+
+    // a dataset version moves -> committed with the new epoch
+    mock.setFields("publish_queue", "recPQSched", { last_publish_epoch: NOW_EPOCH + 900 });
+    await runAt(NOW_EPOCH + 900);
+    assert.equal(manifestCommits(), 3);
+    const m = committedJson(mock, "docs/wef/manifest.json");
+    assert.equal(m.epoch, NOW_EPOCH + 900);
+    assert.equal(m.datasets.find(d => d.key === "watch_schedule").version, NOW_EPOCH + 900);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: unchanged content is skipped without a commit", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const first = await runScript("publisher.js", mock.env());
+    assert.equal(first.code, 0, first.stdout + first.stderr);
+    const commits = mock.commits.length;
+
+    mock.setFields("publish_queue", "recPQSched", { dirty: true, last_publish_epoch: 1 });
+    const second = await runScript("publisher.js", mock.env());
+    assert.equal(second.code, 0, second.stdout + second.stderr);
+
+    assert.equal(mock.commits.length, commits);
+    const f = mock.record("publish_queue", "recPQSched").fields;
+    assert.equal(f.dirty_reason, "skipped: no change");
+    assert.equal(f.last_publish_epoch, 1);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: unknown allowed field falls back to a full read and publishes null", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.setFields("publish_queue", "recPQSched", { allowed_fields: "class_name,not_a_field" });
+  try {
+    const run = await runScript("publisher.js", mock.env());
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /unknown field in fields\[\]; retrying without fields\[\]/);
+    assert.deepEqual(committedJson(mock, "docs/wef/schedule.json")[0], { class_name: "Jumper 1", not_a_field: null });
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: allowed_fields renames, coerces, defaults and computes without reading unknown fields", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.setFields("watch_schedule", "recSch03", { total_trips: "12", completed_trips: 5, latestStatus: "Underway" });
+  mock.setFields("watch_schedule", "recSch05", { total_trips: 8 });
+  mock.setFields("publish_queue", "recPQSched", {
+    allowed_fields: "class_name:name, estimated_start_time:start|iso\nlatestStatus:status|default=\"Pending\", "
+      + "total_trips:total|number|default=0, trips_left=total_trips-completed_trips",
+  });
+  try {
+    const run = await runScript("publisher.js", mock.env());
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.doesNotMatch(run.stdout, /unknown field in fields\[\]/);
+    assert.deepEqual(committedJson(mock, "docs/wef/schedule.json"), [
+      { name: "Jumper 1", start: "10:20:00", status: "Underway", total: 12, trips_left: 7 },
+      { name: "Jumper 3", start: "10:45:00", status: "Pending", total: 8, trips_left: null },
+      { name: "Equitation 1", start: "11:30:00", status: "Pending", total: 0, trips_left: null },
+    ]);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: a bad allowed_fields entry fails the job and keeps it dirty", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.setFields("publish_queue", "recPQSched", { allowed_fields: "class_name, total_trips|decimal" });
+  try {
+    const run = await runScript("publisher.js", mock.env());
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    const f = mock.record("publish_queue", "recPQSched").fields;
+    assert.equal(f.dirty, true);
+    assert.match(f.dirty_reason, /unknown transform "decimal"/);
+    assert.equal(mock.files.has("docs/wef/schedule.json"), false);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: each path gets its format, and unchanged files of every format are skipped", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.setFields("publish_queue", "recPQSched", {
+    paths1: "docs/wef/schedule.json, docs/wef/schedule.csv, docs/wef/schedule.ndjson, docs/wef/schedule.json.gz",
+    allowed_fields: "class_name, ring_number",
+  });
+  try {
+    const run = await runScript("publisher.js", mock.env());
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /lane1 view=public paths=4 \| commit\(4\)/);
+
+    const types = Object.fromEntries([...mock.files].map(([p, f]) => [p, f.content_type]));
+    assert.equal(types["docs/wef/schedule.csv"], "text/csv");
+    assert.equal(types["docs/wef/schedule.ndjson"], "application/x-ndjson");
+    assert.equal(types["docs/wef/schedule.json.gz"], "application/gzip");
+    assert.equal(mock.files.get("docs/wef/schedule.csv").text, "class_name,ring_number\nJumper 1,1\nJumper 3,1\nEquitation 1,2\n");
+    assert.equal(mock.files.get("docs/wef/schedule.ndjson").text.split("\n")[0], "{\"class_name\":\"Jumper 1\",\"ring_number\":1}");
+    assert.deepEqual(
+      JSON.parse(zlib.gunzipSync(mock.files.get("docs/wef/schedule.json.gz").bytes)),
+      committedJson(mock, "docs/wef/schedule.json")
+    );
+
+    const commits = mock.commits.length;
+    mock.setFields("publish_queue", "recPQSched", { dirty: true });
+    const again = await runScript("publisher.js", mock.env());
+    assert.equal(again.code, 0, again.stdout + again.stderr);
+    assert.equal(mock.commits.length, commits);
+    assert.equal(mock.record("publish_queue", "recPQSched").fields.dirty_reason, "skipped: no change");
+
+    // a lane format sets the format of paths...
+    mock.setFields("publish_queue", "recPQSched", { dirty: true, paths1: "docs/wef/schedule-sheet", format1: "csv" });
+    const forced = await runScript("publisher.js", mock.env());
+    assert.equal(forced.code, 0, forced.stdout + forced.stderr);
+    assert.equal(mock.files.get("docs/wef/schedule-sheet").content_type, "text/csv");
+
+    // ...without an extension; one that contradicts an extension fails the lane, nothing committed
+    const before = mock.commits.length;
+    mock.setFields("publish_queue", "recPQSched", { dirty: true, paths1: "docs/wef/schedule-sheet docs/wef/x.json", format1: "csv" });
+    const conflict = await runScript("publisher.js", mock.env());
+    assert.equal(conflict.code, 0, conflict.stdout + conflict.stderr);
+    assert.equal(mock.commits.length, before);
+    assert.equal(mock.files.get("docs/wef/x.json"), undefined);
+    const pq = mock.record("publish_queue", "recPQSched").fields;
+    assert.equal(pq.dirty, true);
+    assert.match(pq.dirty_reason, /format "csv" conflicts with the extension of docs\/wef\/x\.json \(json\)/);
+
+    mock.setFields("publish_queue", "recPQSched", { dirty: true, format1: "xml" });
+    const bad = await runScript("publisher.js", mock.env());
+    assert.equal(bad.code, 0, bad.stdout + bad.stderr);
+    assert.match(mock.record("publish_queue", "recPQSched").fields.dirty_reason, /unknown format "xml"/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: delta feed next to the full file, chained by version and listed in the manifest", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.setFields("publish_queue", "recPQSched", {
+    allowed_fields: "class_group_id:id, class_name, latestStatus:status",
+    delta_key: "id",
+  });
+  try {
+    const first = await runScript("publisher.js", mock.env());
+    assert.equal(first.code, 0, first.stdout + first.stderr);
+    assert.match(first.stdout, /lane1 view=public paths=1 \| commit\(2\)/);
+
+    // no previous version yet -> reset with every row
+    const reset = committedJson(mock, "docs/wef/schedule.delta.json");
+    assert.equal(reset.reset, true);
+    assert.equal(reset.from, null);
+    assert.equal(reset.to, NOW_EPOCH);
+    assert.equal(reset.added.length, 3);
+
+    const entry = committedJson(mock, "docs/wef/manifest.json").datasets.find(d => d.key === "watch_schedule");
+    assert.deepEqual(entry, { key: "watch_schedule", path: "docs/wef/schedule.json", version: null, delta: "docs/wef/schedule.delta.json" });
+
+    // one status change, one record leaves the view, one joins
+    mock.setClock("2026-03-07T15:05:00Z");
+    mock.setFields("watch_schedule", "recSch05", { latestStatus: "Underway" });
+    mock.setFields("watch_schedule", "recSch01", { class_group_id: 9001 });
+    mock.setView("watch_schedule", "public", ["recSch01", "recSch03", "recSch05"]);
+    mock.setFields("publish_queue", "recPQSched", { dirty: true });
+    const second = await runScript("publisher.js", mock.env());
+    assert.equal(second.code, 0, second.stdout + second.stderr);
+
+    assert.deepEqual(committedJson(mock, "docs/wef/schedule.delta.json"), {
+      key: "watch_schedule",
+      id_field: "id",
+      from: NOW_EPOCH,
+      to: NOW_EPOCH + 300,
+      reset: false,
+      added: [{ id: 9001, class_name: "Hunter 1", status: "Completed" }],
+      changed: [{ id: 9005, class_name: "Jumper 3", status: "Underway" }],
+      removed: [9107],
+    });
+    assert.equal(mock.record("publish_queue", "recPQSched").fields.last_publish_epoch, NOW_EPOCH + 300);
+
+    // nothing changed -> neither file is committed
+    const commits = mock.commits.length;
+    mock.setFields("publish_queue", "recPQSched", { dirty: true });
+    const third = await runScript("publisher.js", mock.env());
+    assert.equal(third.code, 0, third.stdout + third.stderr);
+    assert.equal(mock.commits.length, commits);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: each delta lane chains from its own previous delta, not the row's last publish", async () => {
+  const mock = await startMockServer(mockOptions());
+  addTodayLane(mock);
+  mock.setFields("publish_queue", "recPQSched", {
+    allowed_fields: "class_group_id:id, latestStatus:status",
+    allowed_fields2: "class_group_id:id, class_name",
+    delta_key: "id",
+  });
+  const deltaOf = (path) => committedJson(mock, path);
+  const runAt = async (epoch) => {
+    mock.setClock(new Date(epoch * 1000).toISOString());
+    mock.setFields("publish_queue", "recPQSched", { dirty: true });
+    const run = await runScript("publisher.js", mock.env());
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+  };
+  try {
+    await runAt(NOW_EPOCH);
+    assert.equal(deltaOf("docs/wef/schedule-today.delta.json").to, NOW_EPOCH);
+
+    // lane 1 only
+    mock.setFields("watch_schedule", "recSch03", { latestStatus: "Underway" });
+    await runAt(NOW_EPOCH + 300);
+    assert.equal(deltaOf("docs/wef/schedule.delta.json").from, NOW_EPOCH);
+    assert.equal(deltaOf("docs/wef/schedule.delta.json").to, NOW_EPOCH + 300);
+    assert.equal(deltaOf("docs/wef/schedule-today.delta.json").to, NOW_EPOCH);
+
+    // lane 2 only: chains from its own NOW_EPOCH, although the row was last published at +300
+    mock.setFields("watch_schedule", "recSch05", { class_name: "Jumper 3 (moved)" });
+    await runAt(NOW_EPOCH + 600);
+    assert.deepEqual(deltaOf("docs/wef/schedule-today.delta.json"), {
+      key: "watch_schedule/lane2",
+      id_field: "id",
+      from: NOW_EPOCH,
+      to: NOW_EPOCH + 600,
+      reset: false,
+      added: [],
+      changed: [{ id: 9005, class_name: "Jumper 3 (moved)" }],
+      removed: [],
+    });
+    assert.equal(deltaOf("docs/wef/schedule.delta.json").to, NOW_EPOCH + 300);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: a duplicate delta id still publishes the snapshot, with a reset delta and a warning", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.setFields("watch_schedule", "recSch05", { class_group_id: 9003 });
+  mock.setFields("publish_queue", "recPQSched", {
+    allowed_fields: "class_group_id:id, class_name",
+    delta_key: "id",
+  });
+  try {
+    const run = await runScript("publisher.js", mock.env());
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /warn: watch_schedule .*delta is a reset \| id field "id" missing or duplicated on 1 new row\(s\)/);
+    assert.equal(committedJson(mock, "docs/wef/schedule.json").length, 3);
+
+    const delta = committedJson(mock, "docs/wef/schedule.delta.json");
+    assert.equal(delta.reset, true);
+    assert.equal(delta.added.length, 3);
+
+    const f = mock.record("publish_queue", "recPQSched").fields;
+    assert.equal(f.dirty, undefined);
+    assert.equal(f.dirty_reason, "published");
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: a changed delta run takes its base from PUBLISH_STATE_FILE, not the live files", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.setFields("publish_queue", "recPQSched", {
+    allowed_fields: "class_group_id:id, latestStatus:status",
+    delta_key: "id",
+  });
+  const reads = () => mock.requests.filter(r => r.method === "GET" && r.path.startsWith("/docs/wef/schedule")).length;
+  const runAt = async (epoch, extra = {}) => {
+    mock.setClock(new Date(epoch * 1000).toISOString());
+    mock.setFields("publish_queue", "recPQSched", { dirty: true });
+    const run = await runScript("publisher.js", mock.env(extra));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    return run;
+  };
+  try {
+    await runAt(NOW_EPOCH);
+    const afterFirst = reads();
+
+    // the proxy now serves a stale copy of both files: the delta must not depend on them
+    mock.files.set("docs/wef/schedule.json", { bytes: Buffer.from("[]\n"), text: "[]\n", content_type: "application/json" });
+    mock.files.set("docs/wef/schedule.delta.json", { bytes: Buffer.from("{\"to\":1}"), text: "{\"to\":1}", content_type: "application/json" });
+    mock.setFields("watch_schedule", "recSch03", { latestStatus: "Underway" });
+    await runAt(NOW_EPOCH + 300);
+    assert.equal(reads(), afterFirst);
+    const d = committedJson(mock, "docs/wef/schedule.delta.json");
+    assert.equal(d.from, NOW_EPOCH);
+    assert.equal(d.reset, false);
+    assert.deepEqual(d.changed, [{ id: 9003, status: "Underway" }]);
+    assert.deepEqual(d.added, []);
+
+    // state that no longer matches published_hashes (published from elsewhere) -> reset, still no read
+    mock.setFields("publish_queue", "recPQSched", { published_hashes: "{\"docs/wef/schedule.json\":\"sha256:00\"}" });
+    mock.setFields("watch_schedule", "recSch05", { latestStatus: "Underway" });
+    const stale = await runAt(NOW_EPOCH + 600);
+    assert.equal(reads(), afterFirst);
+    assert.match(stale.stdout, /delta: watch_schedule \(watch_schedule\/public\) has no stored base matching published_hashes -> reset/);
+    assert.equal(committedJson(mock, "docs/wef/schedule.delta.json").reset, true);
+
+    // VERIFY_PUBLISHED reads the live snapshot and the live delta
+    mock.setFields("watch_schedule", "recSch05", { latestStatus: "Completed" });
+    await runAt(NOW_EPOCH + 900, { VERIFY_PUBLISHED: "1" });
+    assert.ok(mock.requests.some(r => r.method === "GET" && r.path === "/docs/wef/schedule.delta.json"));
+    assert.equal(committedJson(mock, "docs/wef/schedule.delta.json").from, NOW_EPOCH + 600);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: stored content hashes skip unchanged paths without reading them; VERIFY_PUBLISHED reads live", async () => {
+  const mock = await startMockServer(mockOptions());
+  const liveReads = () => mock.requests.filter(r => r.method === "GET" && r.path === "/docs/wef/schedule.json").length;
+  try {
+    const first = await runScript("publisher.js", mock.env());
+    assert.equal(first.code, 0, first.stdout + first.stderr);
+    assert.equal(liveReads(), 1); // no stored hash yet -> compared live
+    const stored = JSON.parse(mock.record("publish_queue", "recPQSched").fields.published_hashes);
+    assert.deepEqual(Object.keys(stored), ["docs/wef/schedule.json"]);
+    assert.match(stored["docs/wef/schedule.json"], /^sha256:[0-9a-f]{64}$/);
+
+    // unchanged: skipped on the hash alone, even though the live file was edited behind our back
+    mock.files.set("docs/wef/schedule.json", { bytes: Buffer.from("[]\n"), text: "[]\n", content_type: "application/json" });
+    mock.setFields("publish_queue", "recPQSched", { dirty: true });
+    const second = await runScript("publisher.js", mock.env());
+    assert.equal(second.code, 0, second.stdout + second.stderr);
+    assert.equal(liveReads(), 1);
+    assert.equal(mock.record("publish_queue", "recPQSched").fields.dirty_reason, "skipped: no change");
+
+    // verify mode compares against the live file and repairs it
+    mock.setFields("publish_queue", "recPQSched", { dirty: true });
+    const verify = await runScript("publisher.js", mock.env({ VERIFY_PUBLISHED: "1" }));
+    assert.equal(verify.code, 0, verify.stdout + verify.stderr);
+    assert.equal(liveReads(), 2);
+    assert.match(verify.stdout, /publisher done \| live_reads=\d+ \(verify\)/);
+    assert.equal(committedJson(mock, "docs/wef/schedule.json").length, 3);
+
+    // changed content: committed on the hash difference, still no read
+    const commits = mock.commits.length;
+    mock.setFields("watch_schedule", "recSch03", { latestStatus: "Underway" });
+    mock.setFields("publish_queue", "recPQSched", { dirty: true });
+    const changed = await runScript("publisher.js", mock.env());
+    assert.equal(changed.code, 0, changed.stdout + changed.stderr);
+    assert.equal(liveReads(), 2);
+    assert.equal(mock.commits.length, commits + 1);
+    assert.equal(committedJson(mock, "docs/wef/schedule.json")[0].latestStatus, "Underway");
+    assert.notEqual(JSON.parse(mock.record("publish_queue", "recPQSched").fields.published_hashes)["docs/wef/schedule.json"],
+      stored["docs/wef/schedule.json"]);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: DRY_RUN commits nothing", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("publisher.js", mock.env({ DRY_RUN: "1" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.equal(mock.commits.length, 0);
+    assert.equal(mock.record("publish_queue", "recPQSched").fields.dirty_reason, "dry_run");
+  } finally {
+    await mock.close();
+  }
+});
+
+function addTodayLane(mock) {
+  mock.setView("watch_schedule", "today", ["recSch05"]);
+  mock.setFields("publish_queue", "recPQSched", {
+    table_view2: "today",
+    paths2: "docs/wef/schedule-today.json",
+    allowed_fields2: "class_name",
+  });
+}
+
+test("publisher: a queue row publishes each lane with its own view, paths and fields", async () => {
+  const mock = await startMockServer(mockOptions());
+  addTodayLane(mock);
+  try {
+    const run = await runScript("publisher.js", mock.env());
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /job=watch_schedule table=watch_schedule lanes=1:public,2:today/);
+    assert.match(run.stdout, /lane1 view=public paths=1 \| commit\(1\)/);
+    assert.match(run.stdout, /lane2 view=today paths=1 \| commit\(1\)/);
+
+    assert.equal(committedJson(mock, "docs/wef/schedule.json").length, 3);
+    assert.deepEqual(committedJson(mock, "docs/wef/schedule-today.json"), [{ class_name: "Jumper 3" }]);
+    assert.deepEqual(
+      committedJson(mock, "docs/wef/manifest.json").datasets.map(d => d.path),
+      ["docs/wef/schedule-today.json", "docs/wef/schedule.json", "docs/wef/trips.json"]
+    );
+
+    const f = mock.record("publish_queue", "recPQSched").fields;
+    assert.equal(f.dirty, undefined);
+    assert.equal(f.dirty_reason, "published | lane1 commit(1), lane2 commit(1)");
+
+    // second pass: lane 2 changes, lane 1 doesn't
+    mock.setView("watch_schedule", "today", ["recSch05", "recSch07"]);
+    mock.setFields("publish_queue", "recPQSched", { dirty: true });
+    const again = await runScript("publisher.js", mock.env());
+    assert.equal(again.code, 0, again.stdout + again.stderr);
+    assert.equal(
+      mock.record("publish_queue", "recPQSched").fields.dirty_reason,
+      "published | lane1 skip(no_change), lane2 commit(1)"
+    );
+  } finally {
+    await mock.close();
+  }
+});
+
+test("publisher: a failing lane keeps the row dirty with its own error; other lanes still publish", async () => {
+  const mock = await startMockServer(mockOptions());
+  addTodayLane(mock);
+  let scheduleReads = 0;
+  mock.onAirtable = (r) => {
+    if (r.method === "GET" && r.table === "watch_schedule" && ++scheduleReads === 2) mock.fail429 = 1;
+  };
+  try {
+    const run = await runScript("publisher.js", mock.env({ AT_RETRY_ATTEMPTS: "1" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /lane2 view=today paths=1 \| error: Airtable list failed \(429\)/);
+
+    assert.equal(committedJson(mock, "docs/wef/schedule.json").length, 3);
+    assert.equal(committedJson(mock, "docs/wef/schedule-today.json"), undefined);
+
+    const f = mock.record("publish_queue", "recPQSched").fields;
+    assert.equal(f.dirty, true);
+    assert.match(f.dirty_reason, /^error: lane1 commit\(1\), lane2 error: Airtable list failed \(429\)/);
+    assert.equal(f.last_publish_epoch, NOW_EPOCH);
+  } finally {
+    await mock.close();
+  }
+});
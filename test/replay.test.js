@@ -0,0 +1,91 @@
+// test/replay.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runScript, ROOT } = require("./helpers");
+
+const RECORDING = path.join(ROOT, "test/fixtures/show-day-replay.json");
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "ringstatus-replay-"));
+}
+
+test("tagger replay: recorded day -> CSV timeline with change-only writes and derived modes", async () => {
+  const dir = tmpDir();
+  try {
+    const out = path.join(dir, "timeline.csv");
+    const run = await runScript("tagger.js", {}, { args: ["replay", RECORDING, "--out", out] });
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /replay done \| frames=5 rows=25/);
+
+    const [header, ...lines] = fs.readFileSync(out, "utf8").trim().split("\n");
+    assert.equal(header, "frame,at,epoch,mode,table,record_id,temp,bucket,target_epoch,till_sec,next_due_epoch,write,due");
+    const rows = lines.map(l => l.split(","));
+    const at = (frame, id) => rows.find(r => r[0] === String(frame) && r[5] === id);
+
+    // recorded temp/next_due are ignored: replay carries its own
+    assert.deepEqual(at(0, "recSch03").slice(6, 8), ["WARM", "WARM"]);
+    assert.equal(at(0, "recSch03")[12], "false");
+
+    // frames without a snapshot reuse the last one; status changes land with the next snapshot
+    assert.equal(at(1, "recTrp02")[6], "HOT");
+    assert.equal(at(2, "recSch03")[6], "LIVE");
+    assert.equal(at(2, "recSch02")[6], "DONE");
+    assert.equal(at(2, "recSch02")[10], "");
+
+    // a minute later nothing moved -> no writes
+    assert.ok(rows.filter(r => r[0] === "3").every(r => r[11] === "unchanged"));
+
+    // 17:30 local with a show day tomorrow -> NIGHT cadence
+    assert.equal(at(4, "recSch07")[3], "NIGHT");
+    assert.equal(Number(at(4, "recSch07")[10]) - Number(at(4, "recSch07")[2]), 300);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("tagger replay: JSON timeline under a candidate policy", async () => {
+  const dir = tmpDir();
+  try {
+    const policyPath = path.join(dir, "candidate.json");
+    fs.writeFileSync(policyPath, JSON.stringify({
+      version: "candidate-1",
+      default: {
+        thresholds: { "*": [{ temp: "HOT", maxTillSec: 3600 }] },
+        fallback: "COLD",
+        intervals: { DAY: { HOT: 60, "*": 600 }, NIGHT: { "*": 1200 } },
+      },
+    }));
+
+    const out = path.join(dir, "timeline.json");
+    const run = await runScript("tagger.js", { TAGGER_POLICY: policyPath }, { args: ["replay", RECORDING, "--out", out] });
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+
+    const tl = JSON.parse(fs.readFileSync(out, "utf8"));
+    assert.equal(tl.kind, "replay_timeline");
+    assert.equal(tl.policy, "candidate-1");
+    assert.equal(tl.frames.length, 5);
+
+    const r = tl.rows.find(x => x.frame === 0 && x.record_id === "recSch03");
+    assert.equal(r.temp, "HOT");
+    assert.equal(r.next_due_epoch, r.epoch + 60);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("tagger replay: a broken recording exits 1", async () => {
+  const dir = tmpDir();
+  try {
+    const bad = path.join(dir, "bad.json");
+    fs.writeFileSync(bad, JSON.stringify({ frames: [] }));
+    const run = await runScript("tagger.js", {}, { args: ["replay", bad, "--out", path.join(dir, "x.csv")] });
+    assert.equal(run.code, 1);
+    assert.match(run.stdout, /replay: recording invalid .*no frames/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
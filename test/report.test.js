@@ -0,0 +1,79 @@
+// test/report.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  newTally, tallyRecord, startPassReport, finishPassReport, summarizeReport, appendReportFile, reportToRunLogFields,
+} = require("../lib/report");
+
+function showTally(rows) {
+  const t = newTally();
+  for (const [id, temp, kind, unparseable] of rows) tallyRecord(t, id, { temp, bucket: temp, unparseable }, kind);
+  return t;
+}
+
+function samplePass() {
+  const report = startPassReport({ store: "airtable", policy: "t-1", dry_run: false, force_mode: null });
+  report.shows.push({
+    id: "recShowA",
+    status: "tagged",
+    schedule: showTally([["s1", "HOT", "changed"], ["s2", "COLD", "unchanged", true]]),
+    trips: showTally([["t1", "HOT", "heartbeat"]]),
+    events: 2,
+  });
+  report.shows.push({ id: "recShowB", status: "holdover", schedule: null, trips: null, events: 0 });
+  return finishPassReport(report, { airtableRetries: 3 });
+}
+
+test("report: tallies count kinds, temps, buckets and the first unparseable ids", () => {
+  const t = newTally();
+  for (let i = 0; i < 25; i++) tallyRecord(t, `rec${i}`, { temp: "COLD", bucket: "COLD", unparseable: true }, "unchanged");
+  tallyRecord(t, "recX", { temp: "NOW", bucket: "HOT" }, "changed");
+  assert.equal(t.records, 26);
+  assert.equal(t.changed, 1);
+  assert.equal(t.unchanged, 25);
+  assert.equal(t.unparseable, 25);
+  assert.equal(t.unparseable_ids.length, 20);
+  assert.deepEqual(t.temps, { COLD: 25, NOW: 1 });
+  assert.deepEqual(t.buckets, { COLD: 25, HOT: 1 });
+});
+
+test("report: a finished pass totals every show, skips holdover shows and sums events", () => {
+  const r = samplePass();
+  assert.equal(r.kind, "tag_pass");
+  assert.equal(r._startedMs, undefined);
+  assert.ok(r.duration_ms >= 0);
+  assert.ok(Date.parse(r.finished_at) >= Date.parse(r.started_at));
+  assert.deepEqual(r.totals, {
+    records: 3, changed: 1, heartbeat: 1, unchanged: 1, unparseable: 1,
+    temps: { HOT: 2, COLD: 1 }, buckets: { HOT: 2, COLD: 1 },
+  });
+  assert.equal(r.events, 2);
+  assert.equal(r.airtable_retries, 3);
+  assert.match(summarizeReport(r), /^run report \| shows=2 records=3 changed=1 hb=1 unparseable=1 temps=HOT=2,COLD=1 events=2 retries=3 duration=\d+ms$/);
+});
+
+test("report: the file sink appends one JSON line per pass; the table row is flat plus the full JSON", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ringstatus-report-"));
+  try {
+    const file = path.join(dir, "logs", "runs.ndjson");
+    const r = samplePass();
+    appendReportFile(file, r);
+    appendReportFile(file, r);
+    const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+    assert.equal(lines.length, 2);
+    assert.deepEqual(JSON.parse(lines[1]), r);
+
+    const row = reportToRunLogFields(r);
+    assert.deepEqual({ ...row, report: undefined, started_at: undefined, duration_ms: undefined }, {
+      kind: "tag_pass", shows: 2, records: 3, changed: 1, unparseable: 1, events: 2, airtable_retries: 3, policy: "t-1",
+      report: undefined, started_at: undefined, duration_ms: undefined,
+    });
+    assert.deepEqual(JSON.parse(row.report), r);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,85 @@
+// test/schedule.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseLaneWeights, laneOf, tickSlots, budgetAllows, createFairPicker } = require("../lib/schedule");
+
+function backlog(lane, count, from = 0) {
+  return Array.from({ length: count }, (_, i) => ({ id: `${lane}${i}`, lane, nextDue: from + i }));
+}
+
+test("schedule: lane weights parse with defaults and unknown buckets fall into *", () => {
+  const w = parseLaneWeights("hot:5, COLD:1, bogus");
+  assert.deepEqual(w, { "*": 1, HOT: 5, COLD: 1 });
+  assert.equal(parseLaneWeights("").LIVE, 8);
+  assert.equal(laneOf("hot", w), "HOT");
+  assert.equal(laneOf("WARM", w), "*");
+  assert.equal(laneOf(null, w), "*");
+});
+
+test("schedule: slots come from the request budget, at least one, at most max", () => {
+  assert.equal(tickSlots({ rps: 5, tickSeconds: 5, listRequests: 3, perRecord: 5, max: 10 }), 4);
+  assert.equal(tickSlots({ rps: 5, tickSeconds: 1, listRequests: 3, perRecord: 5, max: 10 }), 1);
+  assert.equal(tickSlots({ rps: 100, tickSeconds: 5, listRequests: 1, perRecord: 5, max: 10 }), 10);
+  assert.equal(tickSlots({ rps: 5, tickSeconds: 1, listRequests: 9, perRecord: 0, max: 7 }), 7);
+});
+
+test("schedule: budget check lets the first record through, then counts what the tick really spent", () => {
+  const base = { rps: 5, tickSeconds: 3, perRecord: 5 };
+  assert.equal(budgetAllows({ ...base, spent: 40, taken: 0 }), true);
+  assert.equal(budgetAllows({ ...base, spent: 10, taken: 1 }), true);
+  assert.equal(budgetAllows({ ...base, spent: 11, taken: 1 }), false);
+  assert.equal(budgetAllows({ ...base, spent: 99, taken: 3, perRecord: 0 }), true);
+});
+
+test("schedule: HOT/LIVE are served strictly first, weighted between themselves", () => {
+  const pick = createFairPicker(parseLaneWeights(""));
+  const due = [...backlog("COLD", 20), ...backlog("HOT", 20, 100), ...backlog("LIVE", 20, 200)];
+
+  const first = pick(due, 4);
+  assert.deepEqual(first.picked.map(d => d.lane).sort(), ["HOT", "HOT", "LIVE", "LIVE"]);
+
+  // however many ticks: COLD waits while the priority lanes still have due records
+  let cold = 0;
+  for (let t = 0; t < 40; t++) cold += pick(due, 1).byLane.COLD.picked;
+  assert.equal(cold, 0);
+  assert.deepEqual(pick(due, 45).byLane, { COLD: { due: 20, picked: 5 }, HOT: { due: 20, picked: 20 }, LIVE: { due: 20, picked: 20 } });
+});
+
+test("schedule: the other lanes share only what the priority lanes leave, by weight across ticks", () => {
+  const pick = createFairPicker(parseLaneWeights(""));
+  const due = [...backlog("HOT", 2), ...backlog("WARM", 20, 100), ...backlog("COLD", 20, 200)];
+
+  const first = pick(due, 3);
+  assert.deepEqual(first.picked.map(d => d.lane), ["HOT", "HOT", "WARM"]);
+
+  // nothing but WARM/COLD left: COLD is picked once per 4 picks (3+1)
+  const rest = due.filter(d => d.lane !== "HOT");
+  let cold = 0;
+  for (let t = 0; t < 8; t++) cold += pick(rest, 1).byLane.COLD.picked;
+  assert.equal(cold, 2);
+});
+
+test("schedule: start() hands out one record per next() and charges only what was taken", () => {
+  const pick = createFairPicker(parseLaneWeights("WARM:1,COLD:1"));
+  const due = [...backlog("WARM", 3), ...backlog("COLD", 3, 10)];
+
+  const plan = pick.start(due);
+  const a = plan.next();
+  assert.equal(plan.picked.length, 1);
+  assert.deepEqual(plan.byLane[a.lane], { due: 3, picked: 1 });
+
+  // the lane left waiting is first next tick: the unused picks cost it nothing
+  const other = a.lane === "WARM" ? "COLD" : "WARM";
+  assert.equal(pick.start(due).next().lane, other);
+
+  const drain = pick.start(backlog("WARM", 1));
+  assert.equal(drain.next().id, "WARM0");
+  assert.equal(drain.next(), null);
+});
+
+test("schedule: within a lane, oldest next_due first", () => {
+  const pick = createFairPicker(parseLaneWeights("WARM:1"));
+  const due = [{ id: "b", lane: "WARM", nextDue: 20 }, { id: "a", lane: "WARM", nextDue: 10 }];
+  assert.deepEqual(pick(due, 2).picked.map(d => d.id), ["a", "b"]);
+});
@@ -0,0 +1,131 @@
+// test/store.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createJsonStore, createSqliteStore, seedIfEmpty } = require("../lib/store");
+
+// node:sqlite: Node 22.5+ (22.13+ without --experimental-sqlite); CI runs these on its Node 22 job
+let SQLITE_SKIP = false;
+try {
+  require("node:sqlite");
+} catch {
+  SQLITE_SKIP = `node:sqlite unavailable in Node ${process.versions.node} (sqlite store needs Node 22.5+)`;
+}
+
+const SEED = {
+  tables: {
+    watch_trips: {
+      records: [
+        { id: "recA", createdTime: "2026-03-01T00:00:00.000Z", fields: { name: "A", temp: "COLD" } },
+        { id: "recB", createdTime: "2026-03-01T00:00:00.000Z", fields: { name: "B" } },
+        { id: "recC", createdTime: "2026-03-01T00:00:00.000Z", fields: { name: "C" } },
+      ],
+      views: { epoch: ["recC", "recA"] },
+    },
+  },
+};
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "ringstatus-store-"));
+}
+
+function writeSeed(dir) {
+  const p = path.join(dir, "seed.json");
+  fs.writeFileSync(p, JSON.stringify(SEED));
+  return p;
+}
+
+// Same behaviour is expected from both local stores.
+function storeCases(name, open, skip = false) {
+  test(`${name} store: list returns file order, a listed view filters and orders, unknown tables throw`, { skip }, async () => {
+    const dir = tmpDir();
+    const store = open(dir);
+    try {
+      store.importJsonFile(writeSeed(dir));
+      assert.deepEqual((await store.list("watch_trips")).map(r => r.id), ["recA", "recB", "recC"]);
+      assert.deepEqual((await store.list("watch_trips", "epoch")).map(r => r.id), ["recC", "recA"]);
+      assert.deepEqual((await store.list("watch_trips", "nope")).map(r => r.id), ["recA", "recB", "recC"]);
+      assert.equal((await store.list("watch_trips", "epoch"))[1].createdTime, "2026-03-01T00:00:00.000Z");
+      await assert.rejects(store.list("missing_table"), /unknown table missing_table/);
+    } finally {
+      store.close?.();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test(`${name} store: batchUpdate merges fields and rejects unknown ids without a partial write`, { skip }, async () => {
+    const dir = tmpDir();
+    const store = open(dir);
+    try {
+      store.importJsonFile(writeSeed(dir));
+      await store.batchUpdate("watch_trips", [{ id: "recA", fields: { temp: "HOT", epoch: 100 } }]);
+      assert.deepEqual((await store.list("watch_trips"))[0].fields, { name: "A", temp: "HOT", epoch: 100 });
+
+      await assert.rejects(
+        store.batchUpdate("watch_trips", [{ id: "recB", fields: { temp: "WARM" } }, { id: "recZ", fields: { temp: "WARM" } }]),
+        /record not found watch_trips\/recZ/
+      );
+      assert.equal((await store.list("watch_trips"))[1].fields.temp, undefined);
+    } finally {
+      store.close?.();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test(`${name} store: create appends records with new ids and creates unknown tables`, { skip }, async () => {
+    const dir = tmpDir();
+    const store = open(dir);
+    try {
+      const created = await store.create("run_log", [{ pass: 1 }, { pass: 2 }]);
+      assert.equal(created.length, 2);
+      assert.match(created[0].id, /^rec[0-9a-f]{14}$/);
+      assert.notEqual(created[0].id, created[1].id);
+      assert.deepEqual((await store.list("run_log")).map(r => r.fields.pass), [1, 2]);
+      assert.deepEqual(await store.create("run_log", []), []);
+    } finally {
+      store.close?.();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test(`${name} store: import replaces imported records and views; seedIfEmpty loads only an empty store`, { skip }, async () => {
+    const dir = tmpDir();
+    const store = open(dir);
+    try {
+      assert.equal(store.isEmpty(), true);
+      assert.equal(seedIfEmpty(store, writeSeed(dir)), "seeded");
+      assert.equal(store.isEmpty(), false);
+
+      await store.batchUpdate("watch_trips", [{ id: "recA", fields: { temp: "HOT" } }]);
+      assert.equal(seedIfEmpty(store, path.join(dir, "seed.json")), "skipped");
+      assert.equal((await store.list("watch_trips"))[0].fields.temp, "HOT");
+
+      store.importTable("watch_trips", [{ id: "recB", fields: { name: "B2" } }, { id: "recD", fields: { name: "D" } }], { epoch: ["recD"] });
+      const rows = await store.list("watch_trips");
+      assert.deepEqual(rows.map(r => r.id), ["recA", "recB", "recC", "recD"]);
+      assert.deepEqual(rows[1].fields, { name: "B2" });
+      assert.deepEqual((await store.list("watch_trips", "epoch")).map(r => r.id), ["recD"]);
+    } finally {
+      store.close?.();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+storeCases("json", dir => createJsonStore(path.join(dir, "state.json")));
+storeCases("sqlite", dir => createSqliteStore(path.join(dir, "state.db")), SQLITE_SKIP);
+
+test("json store: a missing file reads as an empty store and writes leave no temp file behind", async () => {
+  const dir = tmpDir();
+  try {
+    const store = createJsonStore(path.join(dir, "state.json"));
+    assert.equal(store.isEmpty(), true);
+    await store.create("run_log", [{ pass: 1 }]);
+    assert.deepEqual(fs.readdirSync(dir), ["state.json"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
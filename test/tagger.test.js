@@ -0,0 +1,429 @@
+// test/tagger.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { startMockServer } = require("./mock-server");
+const { ROOT, NOW_EPOCH, runScript, mockOptions } = require("./helpers");
+
+function taggerEnv(mock, extra = {}) {
+  return mock.env({
+    STORE_BACKEND: "airtable",
+    DAY_SECOND_PASS_DELAY_SEC: "0",
+    AT_RETRY_BASE_MS: "0",
+    ...extra,
+  });
+}
+
+function byId(records) {
+  return Object.fromEntries(records.map(r => [r.id, r.fields]));
+}
+
+test("tagger: show-day pass derives DAY, tags every record and writes in batches of 10", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.pageSize = 5; // 12 schedule rows -> 3 pages
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.doesNotMatch(run.stdout, /fatal:/);
+
+    const show = mock.record("shows", "recShowWEF").fields;
+    assert.equal(show.mode, "DAY");
+    assert.match(show.mode_reason, /show day/);
+
+    const sched = byId(mock.table("watch_schedule"));
+    const temps = Object.fromEntries(Object.entries(sched).map(([id, f]) => [id, f.temp]));
+    assert.deepEqual(temps, {
+      recSch01: "DONE",
+      recSch02: "LIVE",
+      recSch03: "HOT",
+      recSch04: "HOT",
+      recSch05: "WARM",
+      recSch06: "WARM",
+      recSch07: "COLD",
+      recSch08: "COLD",
+      recSch09: "COLD",
+      recSch10: "COLD",
+      recSch11: "COLD",
+      recSch12: "HOT",
+    });
+
+    // DAY cadence from config/tagger-policy.json; DONE clears next_due
+    assert.equal(sched.recSch03.next_due_epoch, NOW_EPOCH + 180);
+    assert.equal(sched.recSch05.next_due_epoch, NOW_EPOCH + 300);
+    assert.equal(sched.recSch07.next_due_epoch, NOW_EPOCH + 1200);
+    assert.equal(sched.recSch01.next_due_epoch, undefined);
+    assert.equal(sched.recSch03.epoch, NOW_EPOCH);
+
+    for (const p of mock.patches("watch_schedule")) assert.ok(p.ids.length <= 10);
+    assert.ok(mock.requests.filter(r => r.method === "GET" && r.table === "watch_schedule").length >= 3);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: trips use gone-in and pace projection", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+
+    const trips = byId(mock.table("watch_trips"));
+    assert.equal(trips.recTrp01.temp, "LIVE");
+    assert.equal(trips.recTrp02.temp, "HOT");
+
+    // 4 done in 60 min -> 900s pace, 5 ahead -> +4500s: COLD despite the 10:40 static estimate
+    assert.equal(trips.recTrp03.projected_go_epoch, NOW_EPOCH + 4500);
+    assert.equal(trips.recTrp03.temp, "COLD");
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: second pass and re-run write nothing when nothing moved", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const first = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(first.code, 0, first.stdout + first.stderr);
+    const patchesAfterFirst = mock.requests.filter(r => r.method === "PATCH").length;
+    assert.ok(patchesAfterFirst > 0);
+
+    const second = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(second.code, 0, second.stdout + second.stderr);
+    assert.equal(mock.requests.filter(r => r.method === "PATCH").length, patchesAfterFirst);
+  } finally {
+    await mock.close();
+  }
+});
+
+// { id: fields } of every record PATCH sent to a table after `from` requests
+function patchedSince(mock, table, from) {
+  const out = {};
+  for (const p of mock.requests.slice(from).filter(r => r.method === "PATCH" && r.table === table)) {
+    p.ids.forEach((id, i) => { out[id] = p.fields[i]; });
+  }
+  return out;
+}
+
+test("tagger: only a changed record gets a full patch; a stale epoch gets an epoch-only heartbeat", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const first = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(first.code, 0, first.stdout + first.stderr);
+
+    mock.setFields("watch_schedule", "recSch05", { temp: "COLD" });       // drifted -> changed
+    mock.setFields("watch_schedule", "recSch07", { epoch: NOW_EPOCH - 120 }); // stale -> heartbeat
+    mock.setFields("watch_schedule", "recSch09", { epoch: NOW_EPOCH - 30 });  // within the heartbeat
+    const from = mock.requests.length;
+    const second = await runScript("tagger.js", taggerEnv(mock, { EPOCH_HEARTBEAT_SEC: "60" }));
+    assert.equal(second.code, 0, second.stdout + second.stderr);
+
+    const patched = patchedSince(mock, "watch_schedule", from);
+    assert.deepEqual(Object.keys(patched).sort(), ["recSch05", "recSch07"]);
+    assert.equal(patched.recSch05.temp, "WARM");
+    assert.equal(patched.recSch05.next_due_epoch, NOW_EPOCH + 300);
+    assert.deepEqual(patched.recSch07, { epoch: NOW_EPOCH });
+    assert.match(second.stdout, /schedule=12\(changed=1 hb=1 same=10\)/);
+
+    // EPOCH_HEARTBEAT_SEC=0: no heartbeat however stale
+    mock.setFields("watch_schedule", "recSch07", { epoch: NOW_EPOCH - 86400 });
+    const from3 = mock.requests.length;
+    const third = await runScript("tagger.js", taggerEnv(mock, { EPOCH_HEARTBEAT_SEC: "0" }));
+    assert.equal(third.code, 0, third.stdout + third.stderr);
+    assert.deepEqual(patchedSince(mock, "watch_schedule", from3), {});
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: an unchanged derived mode is not written back to shows a minute later", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const first = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(first.code, 0, first.stdout + first.stderr);
+    const showPatches = mock.patches("shows").length;
+    assert.equal(showPatches, 1);
+
+    mock.setClock(new Date((NOW_EPOCH + 60) * 1000).toISOString());
+    const second = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(second.code, 0, second.stdout + second.stderr);
+    assert.equal(mock.patches("shows").length, showPatches);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: FORCE_MODE tags in the forced mode and never writes the derived mode back to shows", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock, { FORCE_MODE: "NIGHT" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /mode=NIGHT \(source=derived force=NIGHT\)/);
+    assert.equal(mock.patches("shows").length, 0);
+    assert.equal(mock.record("shows", "recShowWEF").fields.mode, undefined);
+    // NIGHT cadence from config/tagger-policy.json
+    assert.equal(mock.record("watch_schedule", "recSch07").fields.next_due_epoch, NOW_EPOCH + 1200);
+    assert.equal(mock.record("watch_schedule", "recSch03").fields.next_due_epoch, NOW_EPOCH + 300);
+
+    // without the override the derived mode is written as before
+    const live = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(live.code, 0, live.stdout + live.stderr);
+    assert.equal(mock.record("shows", "recShowWEF").fields.mode, "DAY");
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: a Cancelled class is DONE with no next_due, like a Completed one", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.setFields("watch_schedule", "recSch05", { latestStatus: "Cancelled" });
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    const f = mock.record("watch_schedule", "recSch05").fields;
+    assert.equal(f.temp, "DONE");
+    assert.equal(f.bucket, "DONE");
+    assert.equal(f.next_due_epoch, undefined);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: 429 responses are retried with Retry-After", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.fail429 = 2;
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.equal(mock.requests.filter(r => r.status === 429).length, 2);
+    assert.match(run.stdout, /retries=2/);
+    assert.equal(mock.record("watch_schedule", "recSch03").fields.temp, "HOT");
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: DRY_RUN lists but never patches", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock, { DRY_RUN: "1" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.equal(mock.requests.filter(r => r.method === "PATCH").length, 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: outside show dates is HOLDOVER and leaves records alone", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.setClock("2026-03-12T15:00:00.000Z");
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.equal(mock.record("shows", "recShowWEF").fields.mode, "HOLDOVER");
+    assert.equal(mock.patches("watch_schedule").length, 0);
+    assert.equal(mock.patches("watch_trips").length, 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger explain: shows the chosen time field, projection, till and interval without writing", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock), { args: ["explain", "recTrp03"] });
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+
+    const out = JSON.parse(run.stdout.slice(run.stdout.indexOf("{")));
+    assert.equal(out.table, "watch_trips");
+    assert.equal(out.time.field, "estimated_go_time");
+    assert.equal(out.projection.paceSource, "live");
+    assert.equal(out.target_epoch, NOW_EPOCH + 4500);
+    assert.equal(out.till_sec, 4500);
+    assert.equal(out.temp, "COLD");
+    assert.equal(out.interval_sec, 1200);
+    assert.equal(out.write, "changed");
+    assert.equal(mock.requests.filter(r => r.method === "PATCH").length, 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger explain: latest estimate wins and an unknown id exits 1", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock), { args: ["explain", "recSch12", "--mode", "NIGHT"] });
+    const out = JSON.parse(run.stdout.slice(run.stdout.indexOf("{")));
+    assert.equal(out.time.field, "latest_estimated_start_time");
+    assert.equal(out.mode.source, "cli");
+    assert.equal(out.interval_sec, 300); // NIGHT HOT
+
+    const missing = await runScript("tagger.js", taggerEnv(mock), { args: ["explain", "recNope"] });
+    assert.equal(missing.code, 1);
+    assert.match(missing.stdout, /recNope not found/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger simulate: classifies against --at and never writes", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock), { args: ["simulate", "--at", "2026-03-07T15:20:00Z", "--mode", "DAY"] });
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /watch_schedule recSch05 temp=HOT bucket=HOT till=1500s/);
+    assert.match(run.stdout, /simulate done .* no writes/);
+    assert.equal(mock.requests.filter(r => r.method !== "GET").length, 0);
+    assert.equal(mock.record("shows", "recShowWEF").fields.mode, undefined);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger cli: bad arguments print usage and exit 2", async () => {
+  const run = await runScript("tagger.js", {}, { args: ["simulate", "--mode", "NOON"] });
+  assert.equal(run.code, 2);
+  assert.match(run.stdout, /usage: node tagger.js/);
+});
+
+test("tagger: an unknown STORE_BACKEND is a fatal config error that never touches the live base", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock, { STORE_BACKEND: "sqllite" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /fatal: Error unknown STORE_BACKEND "sqllite" \(airtable\|json\|sqlite\)/);
+    assert.equal(run.stderr, "");
+    assert.equal(mock.requests.filter(r => r.path.startsWith("/v0/")).length, 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: a TAGGER_POLICY path that does not exist fails instead of using the builtin policy", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock, { TAGGER_POLICY: "config/taggr-policy.json" }));
+    assert.match(run.stdout, /fatal: Error policy invalid \(.*taggr-policy\.json\): file not found/);
+    assert.doesNotMatch(run.stdout, /policy=builtin/);
+    assert.equal(mock.requests.filter(r => r.method === "PATCH").length, 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: transitions go to the webhook in EVENTS_BATCH_SIZE batches and to the table in groups of 10", async () => {
+  const mock = await startMockServer(mockOptions());
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock, {
+      EVENTS_INCLUDE_INITIAL: "1",
+      EVENTS_WEBHOOK_URL: `${mock.url}/hooks/events`,
+      EVENTS_BATCH_SIZE: "4",
+      EVENTS_TABLE: "tag_events",
+    }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    const m = run.stdout.match(/events: (\d+) transition\(s\) \| sent webhook=(\d+) table=(\d+)/);
+    assert.ok(m, run.stdout);
+    const count = Number(m[1]);
+    assert.ok(count > 10, `need more than one table group, got ${count}`);
+    assert.equal(Number(m[2]), count);
+    assert.equal(Number(m[3]), count);
+
+    // every batch full except the last, in order, each event once
+    const sizes = mock.hooks.map(h => h.events.length);
+    assert.equal(sizes.length, Math.ceil(count / 4));
+    assert.ok(sizes.slice(0, -1).every(n => n === 4));
+    const ids = mock.hooks.flatMap(h => h.events.map(e => `${e.table}/${e.record_id}`));
+    assert.equal(new Set(ids).size, count);
+    const e = mock.hooks[0].events[0];
+    assert.equal(e.type, "temp_transition");
+    assert.equal(e.from, null);
+    assert.equal(e.epoch, NOW_EPOCH);
+    assert.deepEqual(e.show, { id: "recShowWEF", name: "WEF 9" });
+
+    const posts = mock.requests.filter(r => r.method === "POST" && r.table === "tag_events");
+    assert.equal(posts.length, Math.ceil(count / 10));
+    assert.equal(mock.table("tag_events").length, count);
+    const row = mock.table("tag_events")[0].fields;
+    assert.equal(row.type, "temp_transition");
+    assert.equal(row.show_id, "recShowWEF");
+    assert.match(row.to_temp, /^[A-Z]+$/);
+
+    // without EVENTS_INCLUDE_INITIAL a first tag is not a transition
+    const quiet = await startMockServer(mockOptions());
+    try {
+      const r2 = await runScript("tagger.js", taggerEnv(quiet, { EVENTS_WEBHOOK_URL: `${quiet.url}/hooks/events` }));
+      assert.equal(r2.code, 0, r2.stdout + r2.stderr);
+      assert.ok(quiet.hooks.flatMap(h => h.events).every(ev => ev.from !== null));
+    } finally {
+      await quiet.close();
+    }
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: events log what each sink delivered, not what was attempted", async () => {
+  const mock = await startMockServer(mockOptions());
+  mock.onAirtable = (log) => {
+    if (log.method === "POST" && log.table === "tag_events") throw new Error("events table down");
+  };
+  try {
+    const run = await runScript("tagger.js", taggerEnv(mock, {
+      EVENTS_INCLUDE_INITIAL: "1",
+      EVENTS_WEBHOOK_URL: `${mock.url}/hooks/missing`,
+      EVENTS_TABLE: "tag_events",
+    }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /events warn: webhook http 404/);
+    assert.match(run.stdout, /events warn: table/);
+    assert.match(run.stdout, /events: \d+ transition\(s\) \| sent webhook=0 table=0/);
+    assert.equal(mock.record("watch_schedule", "recSch03").fields.temp, "HOT");
+
+    mock.onAirtable = null;
+    mock.setClock(new Date((NOW_EPOCH + 3600) * 1000).toISOString());
+    const next = await runScript("tagger.js", taggerEnv(mock, { EVENTS_TABLE: "tag_events" }));
+    const m = next.stdout.match(/events: (\d+) transition\(s\) \| sent table=(\d+)/);
+    assert.ok(m, next.stdout);
+    assert.equal(m[2], m[1]);
+    assert.equal(mock.table("tag_events").length, Number(m[1]));
+  } finally {
+    await mock.close();
+  }
+});
+
+test("tagger: STORE_SEED_JSON seeds an empty local store once and never overwrites later tags", async () => {
+  const mock = await startMockServer(mockOptions());
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ringstatus-store-"));
+  try {
+    const env = taggerEnv(mock, {
+      STORE_BACKEND: "json",
+      STORE_PATH: path.join(dir, "state.json"),
+      STORE_SEED_JSON: path.join(ROOT, "test/fixtures/show-day.json"),
+    });
+    const first = await runScript("tagger.js", env);
+    assert.equal(first.code, 0, first.stdout + first.stderr);
+    assert.match(first.stdout, /store: seeded empty json store from .*show-day\.json/);
+
+    // something only this store has; a re-seed would replace the record's fields and drop it
+    const statePath = path.join(dir, "state.json");
+    const seeded = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    seeded.tables.watch_schedule.records.find(r => r.id === "recSch03").fields.note = "kept";
+    fs.writeFileSync(statePath, JSON.stringify(seeded));
+
+    const second = await runScript("tagger.js", env);
+    assert.equal(second.code, 0, second.stdout + second.stderr);
+    assert.match(second.stdout, /store: seed skipped, json store already has records/);
+
+    const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    const rec = state.tables.watch_schedule.records.find(r => r.id === "recSch03");
+    assert.equal(rec.fields.note, "kept");
+    assert.equal(rec.fields.temp, "HOT");
+    assert.equal(rec.fields.epoch, NOW_EPOCH);
+    assert.equal(mock.requests.filter(r => r.path.startsWith("/v0/")).length, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await mock.close();
+  }
+});
@@ -0,0 +1,29 @@
+// test/tz.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { localPartsToEpochSeconds } = require("../lib/tz");
+
+function utc(zone, y, mo, d, h, mi) {
+  return new Date(localPartsToEpochSeconds({ y, mo, d, h, mi, se: 0 }, { zone }) * 1000).toISOString();
+}
+
+test("tz: repeated fall-back times resolve to the first (daylight) occurrence, west and east of UTC", () => {
+  assert.equal(utc("America/New_York", 2026, 11, 1, 1, 30), "2026-11-01T05:30:00.000Z");
+  assert.equal(utc("Europe/London", 2026, 10, 25, 1, 30), "2026-10-25T00:30:00.000Z");
+  assert.equal(utc("Europe/Berlin", 2026, 10, 25, 2, 30), "2026-10-25T00:30:00.000Z");
+  assert.equal(utc("Australia/Sydney", 2026, 4, 5, 2, 30), "2026-04-04T15:30:00.000Z");
+});
+
+test("tz: spring-forward gap times resolve to the post-transition instant", () => {
+  assert.equal(utc("America/New_York", 2026, 3, 8, 2, 30), "2026-03-08T07:30:00.000Z"); // 03:30 EDT
+  assert.equal(utc("Europe/Berlin", 2026, 3, 29, 2, 30), "2026-03-29T01:30:00.000Z");   // 03:30 CEST
+  assert.equal(utc("Australia/Sydney", 2026, 10, 4, 2, 30), "2026-10-03T16:30:00.000Z"); // 03:30 AEDT
+});
+
+test("tz: ordinary times and fixed-offset fallback", () => {
+  assert.equal(utc("Europe/London", 2026, 7, 1, 12, 0), "2026-07-01T11:00:00.000Z");
+  assert.equal(utc("America/New_York", 2026, 3, 7, 10, 0), "2026-03-07T15:00:00.000Z");
+  const fixed = localPartsToEpochSeconds({ y: 2026, mo: 3, d: 7, h: 10, mi: 0, se: 0 }, { zone: "Bad/Zone", offsetMinutes: -300 });
+  assert.equal(new Date(fixed * 1000).toISOString(), "2026-03-07T15:00:00.000Z");
+});
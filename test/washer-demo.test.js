@@ -0,0 +1,562 @@
+// test/washer-demo.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startMockServer } = require("./mock-server");
+const { NOW_EPOCH, runScript, mockOptions } = require("./helpers");
+
+function washerEnv(mock, extra = {}) {
+  return mock.env({
+    AIRTABLE_TABLE: "watch_schedule",
+    AIRTABLE_VIEW_HOT: "hot",
+    LOOP_SECONDS: "1",
+    TICK_SECONDS: "1",
+    CLAIM_SETTLE_MS: "0",
+    AIRTABLE_RPS: "100",
+    MAX_CLOCK_SKEW_SEC: "0", // the fixture clock is a fixed day, far from the host clock
+    ...extra,
+  });
+}
+
+function waitFor(pred, timeoutMs = 10_000) {
+  const until = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (pred()) return resolve();
+      if (Date.now() > until) return reject(new Error("waitFor timed out"));
+      setTimeout(poll, 20);
+    };
+    poll();
+  });
+}
+
+// Result writes (they carry the status field) per record id.
+function resultWrites(mock) {
+  const out = {};
+  for (const p of mock.patches("watch_schedule")) {
+    p.ids.forEach((id, i) => {
+      if ("latestStatus" in (p.fields[i] || {})) out[id] = (out[id] || 0) + 1;
+    });
+  }
+  return out;
+}
+
+async function seededMock() {
+  const mock = await startMockServer(mockOptions());
+  const due = NOW_EPOCH - 30;
+  mock.setFields("watch_schedule", "recSch03", { next_due_epoch: due, bucket: "HOT" });      // ring 1, underway
+  mock.setFields("watch_schedule", "recSch05", { next_due_epoch: due - 5, bucket: "WARM" }); // ring 1, not started
+  mock.setFields("watch_schedule", "recSch07", { next_due_epoch: due, bucket: "COLD" });     // ring 2, completed
+  mock.setFields("watch_schedule", "recSch08", { next_due_epoch: due, bucket: "COLD" });     // ring 2, group missing upstream
+  mock.setFields("watch_schedule", "recSch04", { next_due_epoch: due, lock_until_epoch: NOW_EPOCH + 90, bucket: "HOT" });
+  mock.setFields("watch_schedule", "recSch09", { next_due_epoch: NOW_EPOCH + 300, bucket: "COLD" });
+  return mock;
+}
+
+test("washer: refreshes due + unlocked records from the ring payload without writing by default", async () => {
+  const mock = await seededMock();
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, new RegExp(`\\[t1\\] now=${NOW_EPOCH} \\| hot=12 due=4`));
+    assert.match(run.stdout, /REFRESH -> recSch05 status=Upcoming trips=0\/18 start=11:15:00 bucket=WARM .*\(dry\)/);
+    assert.match(run.stdout, /REFRESH -> recSch03 status=Underway trips=4\/20/);
+    assert.equal(mock.requests.filter(r => r.method === "PATCH").length, 0);
+    assert.match(run.stdout, /washer-demo end/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: DO_WRITE writes status, trips and times, next_due from bucket, and releases the lease", async () => {
+  const mock = await seededMock();
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1", WORKER_ID: "runner-a" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+
+    const hot = mock.record("watch_schedule", "recSch03").fields;
+    assert.equal(hot.latestStatus, "Underway");
+    assert.equal(hot.completed_trips, 4);
+    assert.equal(hot.total_trips, 20);
+    assert.equal(hot.latest_estimated_start_time, "10:05:00");
+    assert.equal(hot.latest_estimated_end_time, "11:10:00");
+    assert.equal(hot.actual_start_time, "09:58:00");
+    assert.equal(hot.refreshed_epoch, NOW_EPOCH);
+    assert.equal(hot.next_due_epoch, NOW_EPOCH + 180); // DAY HOT
+    assert.equal(hot.lock_until_epoch, undefined);
+    assert.equal(hot.lock_owner, undefined);
+
+    // claimed as runner-a before the refresh, re-read after the claim
+    const claim = mock.patches("watch_schedule").find(p => p.ids[0] === "recSch03");
+    assert.equal(claim.fields[0].lock_owner, "runner-a");
+    assert.equal(claim.fields[0].lock_until_epoch, NOW_EPOCH + 60);
+    assert.ok(mock.requests.filter(r => r.method === "GET" && r.path.endsWith("/recSch03")).length >= 2);
+
+    const warm = mock.record("watch_schedule", "recSch05").fields;
+    assert.equal(warm.latestStatus, "Upcoming");
+    assert.equal(warm.actual_start_time, undefined);
+    assert.equal(warm.next_due_epoch, NOW_EPOCH + 300);
+
+    const done = mock.record("watch_schedule", "recSch07").fields;
+    assert.equal(done.latestStatus, "Completed");
+    assert.equal(done.next_due_epoch, undefined);
+
+    // unmatched upstream: retried later, unlocked
+    const missing = mock.record("watch_schedule", "recSch08").fields;
+    assert.equal(missing.next_due_epoch, NOW_EPOCH + 60);
+    assert.equal(missing.lock_until_epoch, undefined);
+    assert.equal(missing.fail_count, 1);
+    assert.match(missing.last_error, /class group 9108 not in ring 9/);
+    assert.match(run.stdout, /REFRESH FAILED -> recSch08 \| class group 9108 not in ring 9/);
+
+    // locked record untouched; each ring fetched once per tick
+    assert.equal(mock.record("watch_schedule", "recSch04").fields.lock_until_epoch, NOW_EPOCH + 90);
+    assert.equal(resultWrites(mock).recSch04, undefined);
+    assert.equal(mock.requests.filter(r => r.ring === "51").length, 1);
+    assert.equal(mock.requests.filter(r => r.ring === "9").length, 1);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: MAX_PER_TICK caps the batch, HOT lane before an older WARM record", async () => {
+  const mock = await seededMock();
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1", MAX_PER_TICK: "1" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /refreshed=1 failed=0 skipped=0 deferred=3/);
+    assert.equal(mock.record("watch_schedule", "recSch03").fields.latestStatus, "Underway");
+    assert.equal(mock.record("watch_schedule", "recSch05").fields.latestStatus, undefined);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: a cancelled class counts as DONE and is not fetched again", async () => {
+  const mock = await seededMock();
+  mock.rings["51"].class_groups.find(g => g.class_group_id === 9005).cancelled = 1;
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /REFRESH -> recSch05 status=Cancelled .* bucket=DONE next_due=-/);
+
+    const cancelled = mock.record("watch_schedule", "recSch05").fields;
+    assert.equal(cancelled.latestStatus, "Cancelled");
+    assert.equal(cancelled.next_due_epoch, undefined);
+
+    const again = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1" }));
+    assert.equal(again.code, 0, again.stdout + again.stderr);
+    assert.doesNotMatch(again.stdout, /recSch05/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: next_due follows the show's mode from shows.mode, read every tick", async () => {
+  const mock = await seededMock();
+  mock.setFields("shows", "recShowWEF", { mode: "NIGHT" });
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /REFRESH -> recSch03 .* next_due=\d+ mode=NIGHT/);
+    assert.equal(mock.record("watch_schedule", "recSch03").fields.next_due_epoch, NOW_EPOCH + 300); // NIGHT HOT
+    assert.equal(mock.record("watch_schedule", "recSch05").fields.next_due_epoch, NOW_EPOCH + 1200); // NIGHT "*"
+    const showReads = mock.requests.filter(r => r.method === "GET" && r.table === "shows").length;
+    assert.equal(showReads, (run.stdout.match(/^\[t\d+\] now=/gm) || []).length);
+
+    mock.setFields("shows", "recShowWEF", { mode: "HOLDOVER" });
+    mock.setFields("watch_schedule", "recSch03", { next_due_epoch: NOW_EPOCH - 30 });
+    const holdover = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1" }));
+    assert.match(holdover.stdout, /REFRESH -> recSch03 .* next_due=- mode=HOLDOVER/);
+    assert.equal(mock.record("watch_schedule", "recSch03").fields.next_due_epoch, undefined);
+
+    const pinned = await runScript("washer-demo.js", washerEnv(mock, { WASHER_MODE: "DAY" }));
+    assert.match(pinned.stdout, /mode=DAY worker=/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: Airtable read errors are logged per tick, not fatal", async () => {
+  const mock = await seededMock();
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { AIRTABLE_TABLE: "missing_table" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /Airtable read error: Airtable list failed \(404\)/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: watches several bucket views and logs the plan per tick, priority lanes first", async () => {
+  const mock = await seededMock();
+  mock.setFields("watch_schedule", "recSch12", { next_due_epoch: NOW_EPOCH - 10, bucket: "HOT" });
+  mock.setView("watch_schedule", "v_hot", ["recSch03", "recSch04", "recSch12"]);
+  mock.setView("watch_schedule", "v_warm", ["recSch05", "recSch03"]); // 03 mid-move: listed once
+  mock.setView("watch_schedule", "v_cold", ["recSch07", "recSch08", "recSch09"]);
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, {
+      AIRTABLE_VIEWS: "v_hot,v_warm,v_cold", MAX_PER_TICK: "2",
+    }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /\[t1\] now=\d+ \| v_hot=3 v_warm=2 v_cold=3 due=5/);
+    assert.match(run.stdout, /\[t1\] plan budget=100req list=4 per_record=0 slots=2\n/);
+    // HOT is served strictly first: WARM and COLD only share what HOT leaves
+    assert.match(run.stdout, /\[t1\] picked\/due HOT=2\/2 WARM=0\/1 COLD=0\/2 \| order recSch03:HOT recSch12:HOT \| spent=4req\n/);
+    assert.equal((run.stdout.match(/REFRESH -> recSch03 /g) || []).length, 1);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: the request budget limits records per tick", async () => {
+  const mock = await seededMock();
+  try {
+    // 5 req/s * 2s = 10, shows + 1 list page, 5 per written record -> 1 slot
+    const run = await runScript("washer-demo.js", washerEnv(mock, {
+      DO_WRITE: "1", AIRTABLE_RPS: "5", TICK_SECONDS: "2", LOOP_SECONDS: "1",
+    }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /plan budget=10req list=2 per_record=5 slots=1\n/);
+    assert.match(run.stdout, /refreshed=1 failed=0 skipped=0 deferred=3/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: lease renewals count against the tick budget and defer the next record", async () => {
+  const mock = await seededMock();
+  mock.ringDelayMs = 3500; // ~3 renewals (get + patch each) while the first record refreshes
+  try {
+    // 5 req/s * 3s = 15: the estimate allows 2 records (2 list + 2*5), the renewals leave room for 1
+    const run = await runScript("washer-demo.js", washerEnv(mock, {
+      DO_WRITE: "1", AIRTABLE_RPS: "5", TICK_SECONDS: "3", LOOP_SECONDS: "1", LOCK_SECONDS: "3", LEASE_RENEW_SEC: "1",
+    }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /plan budget=15req list=2 per_record=5 slots=2\n/);
+    assert.match(run.stdout, /LEASE RENEW -> recSch03/);
+    assert.match(run.stdout, /\[t1\] picked\/due HOT=1\/1 WARM=0\/1 COLD=0\/2 \| order recSch03:HOT \| spent=1[1-9]req \(budget reached\)/);
+    assert.match(run.stdout, /refreshed=1 failed=0 skipped=0 deferred=3/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: a record leased by another runner is skipped at claim time", async () => {
+  const mock = await seededMock();
+  // listed as free, but another runner takes it between our list and our claim
+  mock.onAirtable = (r) => {
+    if (r.method !== "GET" || !r.path.endsWith("/recSch03")) return;
+    mock.setFields("watch_schedule", "recSch03", { lock_owner: "runner-b", lock_until_epoch: NOW_EPOCH + 45 });
+    mock.onAirtable = null;
+  };
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1", WORKER_ID: "runner-a", MAX_PER_TICK: "1" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /CLAIM SKIP -> recSch03 \| held by runner-b until \d+/);
+    assert.match(run.stdout, /refreshed=0 failed=0 skipped=1 deferred=3/);
+
+    const held = mock.record("watch_schedule", "recSch03").fields;
+    assert.equal(held.lock_owner, "runner-b");
+    assert.equal(held.latestStatus, undefined);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: two runners in parallel refresh each due record exactly once", async () => {
+  const mock = await seededMock();
+  try {
+    const env = (id) => washerEnv(mock, { DO_WRITE: "1", WORKER_ID: id, CLAIM_SETTLE_MS: "300" });
+    const [a, b] = await Promise.all([
+      runScript("washer-demo.js", env("runner-a")),
+      runScript("washer-demo.js", env("runner-b")),
+    ]);
+    assert.equal(a.code, 0, a.stdout + a.stderr);
+    assert.equal(b.code, 0, b.stdout + b.stderr);
+
+    assert.deepEqual(resultWrites(mock), { recSch03: 1, recSch05: 1, recSch07: 1 });
+    for (const id of ["recSch03", "recSch05", "recSch07", "recSch08"]) {
+      assert.equal(mock.record("watch_schedule", id).fields.lock_owner, undefined, id);
+    }
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: a long refresh renews its lease", async () => {
+  const mock = await seededMock();
+  mock.ringDelayMs = 2500;
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, {
+      DO_WRITE: "1", WORKER_ID: "runner-a", MAX_PER_TICK: "1", LOCK_SECONDS: "3", LEASE_RENEW_SEC: "1",
+    }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /LEASE RENEW -> recSch03 until=/);
+
+    const renewals = mock.patches("watch_schedule").filter(p => Object.keys(p.fields[0]).join() === "lock_until_epoch");
+    assert.ok(renewals.length >= 1);
+    assert.equal(mock.record("watch_schedule", "recSch03").fields.latestStatus, "Underway");
+    assert.equal(mock.record("watch_schedule", "recSch03").fields.lock_owner, undefined);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: a lease taken over mid-refresh drops the result", async () => {
+  const mock = await seededMock();
+  mock.ringDelayMs = 1500;
+  try {
+    const running = runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1", WORKER_ID: "runner-a", MAX_PER_TICK: "1" }));
+    await waitFor(() => mock.requests.some(r => r.ring));
+    mock.setFields("watch_schedule", "recSch03", { lock_owner: "runner-b", lock_until_epoch: NOW_EPOCH + 60 });
+
+    const run = await running;
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /LEASE LOST -> recSch03 \| result dropped/);
+    assert.match(run.stdout, /refreshed=0 failed=0 skipped=1/);
+
+    const f = mock.record("watch_schedule", "recSch03").fields;
+    assert.equal(f.lock_owner, "runner-b");
+    assert.equal(f.latestStatus, undefined);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: clock skew over MAX_CLOCK_SKEW_SEC makes the tick read-only", async () => {
+  const mock = await seededMock();
+  mock.setClock(new Date(Date.now() + 3600_000).toISOString());
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1", MAX_CLOCK_SKEW_SEC: "300" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /\[t1\] clock offset=3[56]\d\d\.\ds rtt=\d+ms/);
+    assert.match(run.stdout, /read-only tick: clock skew 3[56]\d\d\.\ds > MAX_CLOCK_SKEW_SEC=300/);
+    assert.match(run.stdout, /REFRESH -> recSch03 .*\(dry\)/);
+    assert.equal(mock.requests.filter(r => r.method === "PATCH").length, 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: a small skew still writes, on the server clock", async () => {
+  const mock = await seededMock();
+  mock.setClock(new Date(Date.now() + 5_000).toISOString());
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1", MAX_CLOCK_SKEW_SEC: "300" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    const serverEpoch = Math.floor(Date.parse(mock.clockIso) / 1000);
+    const refreshed = mock.record("watch_schedule", "recSch03").fields.refreshed_epoch;
+    assert.ok(Math.abs(refreshed - serverEpoch) <= 2, `${refreshed} vs ${serverEpoch}`);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: CLOCK_STRICT refuses writes without a server clock; lenient falls back to Date.now()", async () => {
+  const mock = await seededMock();
+  try {
+    const broken = { DO_WRITE: "1", SHOWTIME_URL: `${mock.url}/no-clock` };
+
+    const strict = await runScript("washer-demo.js", washerEnv(mock, { ...broken, CLOCK_STRICT: "1" }));
+    assert.equal(strict.code, 0, strict.stdout + strict.stderr);
+    assert.match(strict.stdout, /clock warn: http 404 -> Date.now\(\)/);
+    assert.match(strict.stdout, /read-only tick: strict clock: no server reading/);
+    assert.equal(mock.requests.filter(r => r.method === "PATCH").length, 0);
+
+    const lenient = await runScript("washer-demo.js", washerEnv(mock, broken));
+    assert.equal(lenient.code, 0, lenient.stdout + lenient.stderr);
+    assert.doesNotMatch(lenient.stdout, /read-only tick/);
+    assert.ok(mock.requests.filter(r => r.method === "PATCH").length > 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: the clock offset is cached between ticks", async () => {
+  const mock = await seededMock();
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { LOOP_SECONDS: "2", CLOCK_CACHE_SEC: "60" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /\[t2\] now=/);
+    assert.equal(mock.requests.filter(r => r.path === "/clock").length, 1);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: SIGTERM finishes the in-flight record, claims nothing new and prints a summary", async () => {
+  const mock = await seededMock();
+  mock.ringDelayMs = 800;
+  let child = null;
+  try {
+    const running = runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1", LOOP_SECONDS: "60" }), {
+      onSpawn: (c) => { child = c; },
+    });
+    await waitFor(() => mock.requests.some(r => r.ring));
+    child.kill("SIGTERM");
+
+    const run = await running;
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /washer-demo SIGTERM -> no new claims/);
+    assert.match(run.stdout, /washer-demo end \| reason=SIGTERM ticks=1 processed=1 refreshed=1 failed=0 skipped=0 avg_lag=3\d\.\ds max_lag=3\ds/);
+
+    assert.equal(mock.record("watch_schedule", "recSch03").fields.latestStatus, "Underway");
+    assert.equal(mock.record("watch_schedule", "recSch05").fields.lock_owner, undefined);
+    assert.equal(resultWrites(mock).recSch05, undefined);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: lag in the exit summary includes the time spent earlier in the tick", async () => {
+  const mock = await seededMock();
+  mock.ringDelayMs = 2500;
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1", MAX_PER_TICK: "1" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    const m = run.stdout.match(/refreshed=1 .* avg_lag=([\d.]+)s max_lag=(\d+)s/);
+    assert.ok(m, run.stdout);
+    assert.ok(Number(m[2]) >= 32, `max_lag=${m[2]}`); // due 30s before the tick + a 2.5s upstream fetch
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: past the shutdown grace the in-flight record is abandoned and its lease released", async () => {
+  const mock = await seededMock();
+  mock.ringDelayMs = 5000;
+  let child = null;
+  try {
+    const running = runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1", LOOP_SECONDS: "60", SHUTDOWN_GRACE_MS: "300" }), {
+      onSpawn: (c) => { child = c; },
+    });
+    await waitFor(() => mock.requests.some(r => r.ring));
+    assert.equal(mock.record("watch_schedule", "recSch03").fields.lock_owner !== undefined, true);
+    child.kill("SIGTERM");
+
+    const run = await running;
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /washer-demo grace over -> abandoning in-flight work, releasing 1 lease\(s\)/);
+    assert.match(run.stdout, /LEASE RELEASED -> recSch03 \| shutdown/);
+    assert.match(run.stdout, /washer-demo end \| reason=SIGTERM ticks=1 processed=0/);
+
+    const f = mock.record("watch_schedule", "recSch03").fields;
+    assert.equal(f.lock_owner, undefined);
+    assert.equal(f.lock_until_epoch, undefined);
+    assert.equal(f.latestStatus, undefined);
+    assert.equal(f.next_due_epoch, NOW_EPOCH - 30); // still due for the next runner
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: repeated failures back off exponentially, then quarantine", async () => {
+  const mock = await seededMock();
+  mock.setFields("watch_schedule", "recSch08", { fail_count: 2, last_error: "old" });
+  try {
+    const env = washerEnv(mock, { DO_WRITE: "1", QUARANTINE_AFTER: "4" });
+    const third = await runScript("washer-demo.js", env);
+    assert.equal(third.code, 0, third.stdout + third.stderr);
+    assert.match(third.stdout, /BACKOFF -> recSch08 fails=3 next_due=\d+/);
+    let f = mock.record("watch_schedule", "recSch08").fields;
+    assert.equal(f.fail_count, 3);
+    assert.equal(f.next_due_epoch, NOW_EPOCH + 240); // 60 * 2^2
+
+    mock.setFields("watch_schedule", "recSch08", { next_due_epoch: NOW_EPOCH - 1 });
+    const fourth = await runScript("washer-demo.js", env);
+    assert.match(fourth.stdout, /QUARANTINE -> recSch08 fails=4/);
+    assert.match(fourth.stdout, /quarantined=1$/m);
+    f = mock.record("watch_schedule", "recSch08").fields;
+    assert.equal(f.quarantined_epoch, NOW_EPOCH);
+    assert.equal(f.next_due_epoch, undefined);
+
+    // the tagger may make it due again; the washer still leaves it alone
+    mock.setFields("watch_schedule", "recSch08", { next_due_epoch: NOW_EPOCH - 1 });
+    const after = await runScript("washer-demo.js", env);
+    assert.match(after.stdout, /due=0 quarantined=1/);
+    assert.doesNotMatch(after.stdout, /recSch08/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: a claim PATCH that keeps failing still counts, backs off and is not retried every tick", async () => {
+  const mock = await seededMock();
+  const env = washerEnv(mock, { DO_WRITE: "1", AT_RETRY_ATTEMPTS: "2", AT_RETRY_BASE_MS: "0", LOOP_SECONDS: "3" });
+
+  // every PATCH on recSch03 answers 500: the claim fails, and so does the failure write
+  mock.onAirtable = (log) => {
+    if (log.method === "PATCH" && log.path.endsWith("/recSch03")) throw new Error("upstream 503");
+  };
+  try {
+    const run = await runScript("washer-demo.js", env);
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.ok((run.stdout.match(/^\[t\d+\] now=/gm) || []).length >= 2, run.stdout);
+    assert.equal((run.stdout.match(/REFRESH FAILED -> recSch03 /g) || []).length, 1);
+    assert.match(run.stdout, /BACKOFF \(local\) -> recSch03 fails=1 retry_at=\d+/);
+    assert.match(run.stdout, /\[t2\] now=\d+ \| .* backoff_local=1/);
+
+    // only the claim PATCH fails: the failure is written to the record with its backoff
+    let patches = 0;
+    mock.setFields("watch_schedule", "recSch03", { next_due_epoch: NOW_EPOCH - 30 });
+    mock.onAirtable = (log) => {
+      if (log.method === "PATCH" && log.path.endsWith("/recSch03") && ++patches <= 2) throw new Error("upstream 503");
+    };
+    const next = await runScript("washer-demo.js", washerEnv(mock, { DO_WRITE: "1", AT_RETRY_ATTEMPTS: "2", AT_RETRY_BASE_MS: "0" }));
+    assert.match(next.stdout, /BACKOFF -> recSch03 fails=1 next_due=\d+/);
+    const f = mock.record("watch_schedule", "recSch03").fields;
+    assert.equal(f.fail_count, 1);
+    assert.match(f.last_error, /Airtable patch failed \(500\)/);
+    assert.ok(f.next_due_epoch >= NOW_EPOCH + 60);
+    assert.equal(f.lock_owner, undefined);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer: dry-run failures back off in process instead of repeating every tick", async () => {
+  const mock = await seededMock();
+  try {
+    const run = await runScript("washer-demo.js", washerEnv(mock, { LOOP_SECONDS: "3" }));
+    assert.equal(run.code, 0, run.stdout + run.stderr);
+    assert.equal((run.stdout.match(/REFRESH FAILED -> recSch08 /g) || []).length, 1);
+    assert.match(run.stdout, /BACKOFF \(local\) -> recSch08 fails=1/);
+    assert.equal(mock.requests.filter(r => r.method === "PATCH").length, 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("washer quarantine: list and requeue", async () => {
+  const mock = await seededMock();
+  mock.setFields("watch_schedule", "recSch08", { quarantined_epoch: NOW_EPOCH - 600, fail_count: 5, last_error: "class group 9108 not in ring 9" });
+  mock.setFields("watch_schedule", "recSch10", { quarantined_epoch: NOW_EPOCH - 60, fail_count: 5, last_error: "no show_date" });
+  try {
+    const env = washerEnv(mock);
+    const list = await runScript("washer-demo.js", env, { args: ["quarantine", "list"] });
+    assert.equal(list.code, 0, list.stdout + list.stderr);
+    assert.match(list.stdout, /QUARANTINED recSch08 since=\d+ fails=5 \| class group 9108 not in ring 9\nQUARANTINED recSch10 /);
+    assert.match(list.stdout, /quarantine list \| table=watch_schedule n=2/);
+
+    const one = await runScript("washer-demo.js", env, { args: ["quarantine", "requeue", "recSch08", "recSch03"] });
+    assert.equal(one.code, 1);
+    assert.match(one.stdout, /REQUEUE SKIP -> recSch03 \| not quarantined/);
+    assert.match(one.stdout, /quarantine requeue \| requeued=1 skipped=1/);
+    const f = mock.record("watch_schedule", "recSch08").fields;
+    assert.equal(f.quarantined_epoch, undefined);
+    assert.equal(f.fail_count, undefined);
+    assert.equal(f.next_due_epoch, NOW_EPOCH);
+
+    const all = await runScript("washer-demo.js", env, { args: ["quarantine", "requeue", "--all"] });
+    assert.equal(all.code, 0, all.stdout + all.stderr);
+    assert.match(all.stdout, /requeued=1 skipped=0/);
+    assert.equal(mock.record("watch_schedule", "recSch10").fields.quarantined_epoch, undefined);
+
+    const bad = await runScript("washer-demo.js", env, { args: ["quarantine", "purge"] });
+    assert.equal(bad.code, 2);
+    assert.match(bad.stdout, /usage: node washer-demo.js quarantine/);
+  } finally {
+    await mock.close();
+  }
+});
@@ -1,27 +1,170 @@
 // washer-demo.js
 /**
- * washer-demo.js
+ * washer-demo.js — RingStatus refresh worker (the "washer")
  * - Runs for LOOP_SECONDS, ticks every TICK_SECONDS.
  * - Each tick:
- *    1) get server_now_epoch (SHOWTIME_URL -> epoch_ms) or Date.now()
- *    2) list Airtable records from a bucket view (HOT)
- *    3) identify "due + unlocked"
- *    4) log what would churn; optionally lock + reschedule if DO_WRITE=1
+ *    1) server now = Date.now() + the SHOWTIME_URL offset (re-measured every CLOCK_CACHE_SEC)
+ *    2) read each show's mode (shows.mode), list Airtable records from the bucket views
+ *       (AIRTABLE_VIEWS "hot,warm,cold", else AIRTABLE_VIEW_HOT)
+ *    3) identify "due + unlocked" and plan the tick (lib/schedule.js): slots from the Airtable
+ *       request budget (AIRTABLE_RPS * TICK_SECONDS, capped by MAX_PER_TICK). PRIORITY_LANES
+ *       (LIVE, HOT) are served strictly first; the other lanes share what is left by LANE_WEIGHTS.
+ *       Before each record the requests the tick has really spent (lists, claims and re-reads,
+ *       lease renewals, failure writes) are checked: once one more record would not fit, the rest
+ *       is deferred to the next tick
+ *    4) for each: claim a lease on it, fetch the upstream ring payload for its ring + show date (once
+ *       per tick), find its class group and write back latestStatus, completed/total trips and the
+ *       latest estimated/actual times, then next_due from the record's bucket and release the lease.
+ * - DO_WRITE=0 logs what would be written (ring payloads are still fetched; they are read-only;
+ *   no leases are taken).
+ *
+ * Leases (self-hosted and cron runners work the same view in parallel):
+ *  - claim:   re-read the record; skip it if another owner holds an unexpired lock or it is no
+ *             longer due; PATCH lock_owner=WORKER_ID + lock_until=now+LOCK_SECONDS; wait
+ *             CLAIM_SETTLE_MS; re-read. Only the runner whose id is still there proceeds.
+ *             (Airtable has no compare-and-set; the settle wait must exceed a runner's
+ *             read -> PATCH latency so the last writer is the only one that sees itself.)
+ *  - renew:   every LEASE_RENEW_SEC while the refresh runs, if we still own it.
+ *  - release: the result write clears lock_owner + lock_until in the same PATCH, after checking
+ *             we still own it; a lost lease drops the result (the new owner writes its own).
+ *
+ * Shutdown (SIGINT / SIGTERM, e.g. the Actions job hitting timeout-minutes or a cancelled run):
+ *  - stop claiming: no new tick, no new record in the current one
+ *  - the in-flight record gets SHUTDOWN_GRACE_MS to finish and release normally; after that (or on
+ *    a second signal) it is abandoned: every lease still held is released without a result, so
+ *    the record is due again at once for the next runner instead of sitting locked for LOCK_SECONDS
+ *  - exit summary: ticks, processed (refreshed + failed), skipped, average/max lag (server clock
+ *    when the record's result landed minus its next_due) and the stop reason
+ *
+ * Clock (SHOWTIME_URL, the same ring clock the tagger uses):
+ *  - offset = server time - local time at the request midpoint; cached between ticks and only
+ *    re-measured every CLOCK_CACHE_SEC. A failed read keeps the cached offset.
+ *  - skew = |offset|. Over MAX_CLOCK_SKEW_SEC (0 = off) the tick is read-only: a host clock that
+ *    far off is more likely a broken clock source than a real difference.
+ *  - CLOCK_STRICT=1 (like the tagger's getServerClockStrict): no server reading yet, or a cached
+ *    offset older than CLOCK_STALE_SEC -> read-only tick instead of falling back to Date.now().
+ *
+ * Record -> upstream (see lib/ring.js):
+ *  - ring:        FIELD_RING_ID, else FIELD_RING_NUMBER mapped via RING_IDS ("1:51,2:9,...")
+ *  - show date:   FIELD_SHOW_DATE (YYYY-MM-DD)
+ *  - class group: FIELD_CLASS_GROUP_ID matched against class_groups[].class_group_id
+ * Lookup fields arriving as arrays use their first value.
+ *
+ * Written fields (blank env name = don't write that one):
+ *  FIELD_STATUS, FIELD_COMPLETED, FIELD_TOTAL, FIELD_LATEST_START, FIELD_LATEST_END,
+ *  FIELD_ACTUAL_START, FIELD_REFRESHED (epoch of the refresh)
+ *
+ * next_due = now + interval for the record's bucket from the tagger policy (TAGGER_POLICY) under its
+ * show's mode. A group that is now Completed or Cancelled counts as DONE (no next_due).
+ * Mode: read once per tick from TABLE_SHOWS (VIEW_SHOWS) FIELD_MODE, the DAY/NIGHT/HOLDOVER the tagger
+ * derives and writes back; a record follows the show it links to (FIELD_SHOW_LINK; unlinked records
+ * follow the only show when there is one). HOLDOVER has no cadence, so next_due is cleared like the
+ * tagger does. A failed shows read keeps the last modes; a show without a mode yet counts as DAY.
+ * WASHER_MODE=DAY|NIGHT|HOLDOVER pins one mode instead (manual runs, tests).
+ * Failures (dead letters):
+ *  - a failed refresh bumps FIELD_FAIL_COUNT, stores FIELD_LAST_ERROR and backs off exponentially:
+ *    next_due = now + FAIL_RETRY_SEC * 2^(fails-1), capped at FAIL_BACKOFF_MAX_SEC
+ *  - at QUARANTINE_AFTER failures (0 = never) the record is quarantined: FIELD_QUARANTINED = now,
+ *    next_due cleared. Quarantined records are never claimed, even if the tagger sets next_due again.
+ *  - a successful refresh clears the count and error
+ *  - without a lease (the claim itself failed) the failure is written with a plain PATCH after a
+ *    re-read, unless another runner now holds the record. When nothing can be written (DO_WRITE=0,
+ *    or that PATCH fails too) the same backoff/quarantine is kept in process: the record is not
+ *    picked again until its local retry time, so a failing record never comes back every tick.
+ *  - node washer-demo.js quarantine list                    quarantined records (QUARANTINE_VIEW or whole table)
+ *    node washer-demo.js quarantine requeue <id..>|--all    clear quarantine + count, due now
  */
 
+const os = require("os");
+const crypto = require("crypto");
+const { loadPolicy, resolveRules, intervalFor } = require("./lib/policy");
+const { parseModeOverride } = require("./lib/mode");
+const { parseRingIds, upstreamHeaders, ringPayloadUrl, findClassGroup, groupSnapshot, isTerminalStatus } = require("./lib/ring");
+const { createAirtableClient } = require("./lib/airtable");
+const { parseLaneWeights, laneOf, tickSlots, budgetAllows, createFairPicker, formatLanes } = require("./lib/schedule");
+
 const AIRTABLE_TOKEN   = process.env.AIRTABLE_TOKEN || "";
 const BASE_ID          = process.env.AIRTABLE_BASE_ID || "";
 const TABLE            = process.env.AIRTABLE_TABLE || "";
 const VIEW_HOT         = process.env.AIRTABLE_VIEW_HOT || "";
+const VIEWS            = String(process.env.AIRTABLE_VIEWS || VIEW_HOT).split(",").map(s => s.trim()).filter(Boolean);
 const SHOWTIME_URL     = process.env.SHOWTIME_URL || "";
+const AIRTABLE_API_URL = (process.env.AIRTABLE_API_URL || "https://api.airtable.com").replace(/\/+$/, ""); // mock server in tests
+
+// Upstream ring API (same env names as the SMS worker)
+const RING_API_BASE    = process.env.RING_API_BASE || "https://sglapi.wellingtoninternational.com";
+const CUSTOMER_ID      = (process.env.CUSTOMER_ID || "15").trim();
+const SHOW_ID          = (process.env.SHOW_ID || "").trim();
+const SGL_TOKEN        = process.env.SGL_TOKEN || "";
+const SGL_COOKIE       = process.env.SGL_COOKIE || "";
+const RING_IDS         = parseRingIds(process.env.RING_IDS);
+const HTTP_TIMEOUT_MS  = Number(process.env.HTTP_TIMEOUT_MS || "15000");
 
 const FIELD_NEXT_DUE   = process.env.FIELD_NEXT_DUE || "next_due_epoch";
 const FIELD_LOCK_UNTIL = process.env.FIELD_LOCK_UNTIL || "lock_until_epoch";
+const FIELD_LOCK_OWNER = process.env.FIELD_LOCK_OWNER || "lock_owner";
+
+// Dead letters
+const FIELD_FAIL_COUNT   = process.env.FIELD_FAIL_COUNT || "fail_count";
+const FIELD_LAST_ERROR   = process.env.FIELD_LAST_ERROR || "last_error";
+const FIELD_QUARANTINED  = process.env.FIELD_QUARANTINED || "quarantined_epoch";
 const FIELD_BUCKET     = process.env.FIELD_BUCKET || "bucket";
 
+// Record -> ring payload keys
+const FIELD_RING_ID        = process.env.FIELD_RING_ID || "ring_id";
+const FIELD_RING_NUMBER    = process.env.FIELD_RING_NUMBER || "ring_number";
+const FIELD_SHOW_DATE      = process.env.FIELD_SHOW_DATE || "show_date";
+const FIELD_CLASS_GROUP_ID = process.env.FIELD_CLASS_GROUP_ID || "class_group_id";
+
+// Refreshed fields (?? so an explicit blank turns one off)
+const FIELD_STATUS       = process.env.FIELD_STATUS ?? "latestStatus";
+const FIELD_COMPLETED    = process.env.FIELD_COMPLETED ?? "completed_trips";
+const FIELD_TOTAL        = process.env.FIELD_TOTAL ?? "total_trips";
+const FIELD_LATEST_START = process.env.FIELD_LATEST_START ?? "latest_estimated_start_time";
+const FIELD_LATEST_END   = process.env.FIELD_LATEST_END ?? "latest_estimated_end_time";
+const FIELD_ACTUAL_START = process.env.FIELD_ACTUAL_START ?? "actual_start_time";
+const FIELD_REFRESHED    = process.env.FIELD_REFRESHED ?? "refreshed_epoch";
+
+const TAGGER_POLICY    = process.env.TAGGER_POLICY || ""; // blank -> config/tagger-policy.json
+const WASHER_MODE      = parseModeOverride(process.env.WASHER_MODE); // blank -> each show's mode, per tick
+
+// Show mode (written by the tagger; same names as tagger.js)
+const TABLE_SHOWS      = process.env.TABLE_SHOWS || "shows";
+const VIEW_SHOWS       = process.env.VIEW_SHOWS || "epoch";
+const FIELD_MODE       = process.env.FIELD_MODE || "mode";
+const FIELD_SHOW_LINK  = process.env.FIELD_SHOW_LINK || "show";
+const FALLBACK_MODE    = "DAY"; // show without a mode yet (tagger not run) or not readable
+
 const DO_WRITE         = (process.env.DO_WRITE || "0") === "1";
+
+const CLOCK_STRICT       = (process.env.CLOCK_STRICT || "0") === "1";
+const CLOCK_CACHE_SEC    = Number(process.env.CLOCK_CACHE_SEC || "60");
+const CLOCK_STALE_SEC    = Number(process.env.CLOCK_STALE_SEC || "300");
+const MAX_CLOCK_SKEW_SEC = Number(process.env.MAX_CLOCK_SKEW_SEC || "300");
 const LOOP_SECONDS     = Number(process.env.LOOP_SECONDS || "300");
 const TICK_SECONDS     = Number(process.env.TICK_SECONDS || "5");
+const LOCK_SECONDS     = Number(process.env.LOCK_SECONDS || "60");
+const LEASE_RENEW_SEC  = Math.max(1, Number(process.env.LEASE_RENEW_SEC || String(Math.floor(LOCK_SECONDS / 3))));
+const CLAIM_SETTLE_MS  = Number(process.env.CLAIM_SETTLE_MS || "750");
+const WORKER_ID        = (process.env.WORKER_ID || "").trim() ||
+  `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+const FAIL_RETRY_SEC   = Number(process.env.FAIL_RETRY_SEC || "60");
+const FAIL_BACKOFF_MAX_SEC = Number(process.env.FAIL_BACKOFF_MAX_SEC || "3600");
+const QUARANTINE_AFTER = Number(process.env.QUARANTINE_AFTER || "5");
+const QUARANTINE_VIEW  = process.env.QUARANTINE_VIEW || ""; // blank -> scan the whole table
+const MAX_PER_TICK     = Math.max(1, Number(process.env.MAX_PER_TICK || "10"));
+const SHUTDOWN_GRACE_MS = Number(process.env.SHUTDOWN_GRACE_MS || "5000");
+
+// Tick planning: Airtable allows 5 requests/s per base, shared by every runner on it
+const AIRTABLE_RPS     = Math.max(0.1, Number(process.env.AIRTABLE_RPS || "5"));
+const LANE_WEIGHTS     = parseLaneWeights(process.env.LANE_WEIGHTS);
+const PRIORITY_LANES   = String(process.env.PRIORITY_LANES || "LIVE,HOT").split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+const AT_RETRY_ATTEMPTS = Number(process.env.AT_RETRY_ATTEMPTS || "3");
+const AT_RETRY_BASE_MS  = Number(process.env.AT_RETRY_BASE_MS  || "400");
+const AT_RETRY_MAX_MS   = Number(process.env.AT_RETRY_MAX_MS   || "2000");
+// claim (get, patch, get) + release (get, patch); a dry tick makes no Airtable calls per record.
+// Only the planning estimate: renewals and failure writes count as they are actually spent.
+const REQUESTS_PER_RECORD = Number(process.env.REQUESTS_PER_RECORD || "5");
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
@@ -53,146 +196,694 @@ function pickEpochMsFromJson(j) {
   return null;
 }
 
-async function getServerNowMs() {
-  if (!SHOWTIME_URL) return Date.now();
+//////////////////////
+// Clock
+//////////////////////
+// offsetMs = server - local; null until the first good reading.
+let clock = { offsetMs: null, measuredAtMs: 0, rttMs: null };
+
+async function readServerClock() {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), HTTP_TIMEOUT_MS);
   try {
-    const res = await fetch(SHOWTIME_URL, { method: "GET" });
+    const sent = Date.now();
+    const res = await fetch(SHOWTIME_URL, { method: "GET", signal: ac.signal });
     const txt = await res.text();
+    const recv = Date.now();
+    if (!res.ok) throw new Error(`http ${res.status}`);
 
     // handle JSON or raw number
+    let ms = null;
     try {
-      const j = JSON.parse(txt);
-      const ms = pickEpochMsFromJson(j);
-      return ms ?? Date.now();
+      ms = pickEpochMsFromJson(JSON.parse(txt));
     } catch {
       const trimmed = txt.trim();
-      if (/^\d+$/.test(trimmed)) return Number(trimmed);
-      return Date.now();
+      if (/^\d+$/.test(trimmed)) ms = Number(trimmed);
+    }
+    if (!Number.isFinite(ms)) throw new Error("no epoch in response");
+
+    return { offsetMs: ms - (sent + recv) / 2, measuredAtMs: recv, rttMs: recv - sent };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+/**
+ * -> { nowMs, offsetMs, source: "server" | "cache" | "local", skewSec, readOnly: reason | null }
+ */
+async function tickClock(label) {
+  let source = "local";
+  if (SHOWTIME_URL) {
+    const ageSec = (Date.now() - clock.measuredAtMs) / 1000;
+    if (clock.offsetMs != null && ageSec < CLOCK_CACHE_SEC) {
+      source = "cache";
+    } else {
+      try {
+        clock = await readServerClock();
+        source = "server";
+        console.log(`[${label}] clock offset=${(clock.offsetMs / 1000).toFixed(1)}s rtt=${clock.rttMs}ms`);
+      } catch (e) {
+        source = clock.offsetMs != null ? "cache" : "local";
+        const fallback = source === "cache" ? `cached offset (${Math.round(ageSec)}s old)` : "Date.now()";
+        console.log(`clock warn: ${e?.name === "AbortError" ? "timeout" : String(e?.message || e)} -> ${fallback}`);
+      }
     }
-  } catch {
-    return Date.now();
   }
+
+  const offsetMs = source === "local" ? 0 : clock.offsetMs;
+  const skewSec = Math.abs(offsetMs) / 1000;
+  const ageSec = Math.round((Date.now() - clock.measuredAtMs) / 1000);
+
+  let readOnly = null;
+  if (CLOCK_STRICT && source === "local") readOnly = "strict clock: no server reading";
+  else if (CLOCK_STRICT && source === "cache" && ageSec > CLOCK_STALE_SEC) readOnly = `strict clock: cached offset ${ageSec}s old`;
+  else if (source !== "local" && MAX_CLOCK_SKEW_SEC > 0 && skewSec > MAX_CLOCK_SKEW_SEC) {
+    readOnly = `clock skew ${skewSec.toFixed(1)}s > MAX_CLOCK_SKEW_SEC=${MAX_CLOCK_SKEW_SEC}`;
+  }
+
+  return { nowMs: Date.now() + offsetMs, offsetMs, source, skewSec, readOnly };
 }
 
+// lib/airtable.js: timeouts, retries, and one AIRTABLE_RPS limiter shared by the loop and lease renewals.
+const airtable = createAirtableClient({
+  token: AIRTABLE_TOKEN,
+  baseId: BASE_ID,
+  apiUrl: AIRTABLE_API_URL,
+  timeoutMs: HTTP_TIMEOUT_MS,
+  retry: { attempts: AT_RETRY_ATTEMPTS, baseMs: AT_RETRY_BASE_MS, maxMs: AT_RETRY_MAX_MS },
+  rps: AIRTABLE_RPS,
+});
+
 async function airtableListByView(viewName) {
   if (!AIRTABLE_TOKEN || !BASE_ID || !TABLE || !viewName) return [];
-  const out = [];
-  let offset = null;
+  return airtable.list(TABLE, { view: viewName });
+}
+
+function airtablePatch(recordId, fields) {
+  return airtable.update(TABLE, recordId, fields);
+}
+
+function airtableGetRecord(recordId) {
+  return airtable.get(TABLE, recordId);
+}
+
+function n(v) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : null;
+}
+
+// Airtable lookups arrive as arrays; take the first value.
+function first(v) {
+  return Array.isArray(v) ? v[0] : v;
+}
+
+function linkedIds(v) {
+  if (Array.isArray(v)) return v.map(x => String(x?.id ?? x)).filter(Boolean);
+  const s = String(v ?? "").trim();
+  return s ? [s] : [];
+}
 
-  while (true) {
-    const url = new URL(`https://api.airtable.com/v0/${BASE_ID}/${encodeURIComponent(TABLE)}`);
-    url.searchParams.set("view", viewName);
-    url.searchParams.set("pageSize", "100");
-    if (offset) url.searchParams.set("offset", offset);
+function haveAirtableConfig() {
+  return Boolean(AIRTABLE_TOKEN && BASE_ID && TABLE && VIEWS.length);
+}
+
+//////////////////////
+// Leases
+//////////////////////
+// Server "now" on the tick's offset (leases outlive the tick's clock read).
+let tickOffsetMs = 0;
+
+function liveNowEpoch() {
+  return Math.floor((Date.now() + tickOffsetMs) / 1000);
+}
 
-    const res = await fetch(url.toString(), {
-      headers: { Authorization: `Bearer ${AIRTABLE_TOKEN}` }
+function lockOf(f) {
+  return { owner: String(f?.[FIELD_LOCK_OWNER] ?? "").trim(), until: n(f?.[FIELD_LOCK_UNTIL]) ?? 0 };
+}
+
+function heldByOther(f, nowEpoch) {
+  const l = lockOf(f);
+  return l.until > nowEpoch && l.owner !== WORKER_ID;
+}
+
+/**
+ * -> { ok: true, fields } (fresh fields, lease held) or { ok: false, reason }
+ */
+async function claimLease(recordId) {
+  const before = (await airtableGetRecord(recordId)).fields || {};
+  const now = liveNowEpoch();
+  if (heldByOther(before, now)) {
+    const l = lockOf(before);
+    return { ok: false, reason: `held by ${l.owner || "?"} until ${l.until}` };
+  }
+  if (isQuarantined(before)) return { ok: false, reason: "quarantined" };
+  const nextDue = n(before[FIELD_NEXT_DUE]);
+  if (nextDue == null || nextDue > now) return { ok: false, reason: `no longer due (next_due=${nextDue ?? "-"})` };
+
+  held.add(recordId);
+  await airtablePatch(recordId, { [FIELD_LOCK_OWNER]: WORKER_ID, [FIELD_LOCK_UNTIL]: now + LOCK_SECONDS });
+  if (CLAIM_SETTLE_MS > 0) await sleep(CLAIM_SETTLE_MS);
+
+  const after = (await airtableGetRecord(recordId)).fields || {};
+  const l = lockOf(after);
+  if (l.owner !== WORKER_ID) {
+    held.delete(recordId);
+    return { ok: false, reason: `lost to ${l.owner || "?"}` };
+  }
+  return { ok: true, fields: after };
+}
+
+async function stillOwned(recordId) {
+  const f = (await airtableGetRecord(recordId)).fields || {};
+  return lockOf(f).owner === WORKER_ID;
+}
+
+/**
+ * Keeps the lease alive while a refresh runs. lost() turns true once someone else holds it;
+ * stop() waits for an in-flight renewal so it can't land after the release.
+ */
+function holdLease(recordId) {
+  let lost = false;
+  let inFlight = Promise.resolve();
+
+  const timer = setInterval(() => {
+    inFlight = inFlight.then(async () => {
+      if (lost) return;
+      try {
+        if (!(await stillOwned(recordId))) {
+          lost = true;
+          console.log(`  LEASE LOST -> ${recordId} | taken over during refresh`);
+          return;
+        }
+        await airtablePatch(recordId, { [FIELD_LOCK_UNTIL]: liveNowEpoch() + LOCK_SECONDS });
+        console.log(`  LEASE RENEW -> ${recordId} until=${liveNowEpoch() + LOCK_SECONDS}`);
+      } catch (e) {
+        console.log(`  LEASE RENEW FAILED -> ${recordId} | ${String(e?.message || e).slice(0, 240)}`);
+      }
     });
+  }, LEASE_RENEW_SEC * 1000);
 
-    if (!res.ok) {
-      const body = await res.text();
-      throw new Error(`Airtable list failed (${res.status}): ${body}`);
-    }
+  return {
+    lost: () => lost,
+    stop: async () => {
+      clearInterval(timer);
+      await inFlight;
+    },
+  };
+}
 
-    const json = await res.json();
-    out.push(...(json.records || []));
-    offset = json.offset;
-    if (!offset) break;
+/**
+ * Final write + release in one PATCH, only while we still own the lease.
+ */
+async function releaseLease(recordId, fields) {
+  if (!(await stillOwned(recordId))) {
+    held.delete(recordId);
+    return false;
   }
+  await airtablePatch(recordId, { ...fields, [FIELD_LOCK_OWNER]: null, [FIELD_LOCK_UNTIL]: null });
+  held.delete(recordId);
+  return true;
+}
 
+//////////////////////
+// Dead letters
+//////////////////////
+function isQuarantined(f) {
+  return n(f?.[FIELD_QUARANTINED]) != null;
+}
+
+function backoffSec(fails) {
+  return Math.min(FAIL_BACKOFF_MAX_SEC, FAIL_RETRY_SEC * 2 ** Math.max(0, fails - 1));
+}
+
+/**
+ * Fields for a failed refresh: count + error, then backoff or quarantine.
+ */
+function failureFields(f, nowEpoch, msg) {
+  const fails = (n(f?.[FIELD_FAIL_COUNT]) ?? 0) + 1;
+  const out = { [FIELD_FAIL_COUNT]: fails, [FIELD_LAST_ERROR]: String(msg).slice(0, 500) };
+  if (QUARANTINE_AFTER > 0 && fails >= QUARANTINE_AFTER) {
+    out[FIELD_QUARANTINED] = nowEpoch;
+    out[FIELD_NEXT_DUE] = null;
+  } else {
+    out[FIELD_NEXT_DUE] = nowEpoch + backoffSec(fails);
+  }
   return out;
 }
 
-async function airtablePatch(recordId, fields) {
-  const url = `https://api.airtable.com/v0/${BASE_ID}/${encodeURIComponent(TABLE)}/${recordId}`;
-  const res = await fetch(url, {
-    method: "PATCH",
-    headers: {
-      Authorization: `Bearer ${AIRTABLE_TOKEN}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({ fields })
+/**
+ * Failure write without a lease (the claim PATCH or its re-read failed): re-read, then PATCH the
+ * failure fields unless another runner holds the record now. Clears our own lock if the claim
+ * PATCH did land. -> failure fields written, or null when the record belongs to someone else.
+ */
+async function recordFailureUnleased(recordId, nowEpoch, msg) {
+  const f = (await airtableGetRecord(recordId)).fields || {};
+  if (heldByOther(f, liveNowEpoch())) return null;
+  const ff = failureFields(f, nowEpoch, msg);
+  const unlock = lockOf(f).owner === WORKER_ID ? { [FIELD_LOCK_OWNER]: null, [FIELD_LOCK_UNTIL]: null } : {};
+  await airtablePatch(recordId, { ...ff, ...unlock });
+  held.delete(recordId);
+  return ff;
+}
+
+// Failures that could not be written to the record: id -> { fails, retryAt } (Infinity = quarantined).
+const localFails = new Map();
+
+function noteLocalFailure(recordId, nowEpoch) {
+  const fails = (localFails.get(recordId)?.fails ?? 0) + 1;
+  const quarantine = QUARANTINE_AFTER > 0 && fails >= QUARANTINE_AFTER;
+  const entry = { fails, retryAt: quarantine ? Infinity : nowEpoch + backoffSec(fails) };
+  localFails.set(recordId, entry);
+  return entry;
+}
+
+function backingOffLocally(recordId, nowEpoch) {
+  const lf = localFails.get(recordId);
+  return Boolean(lf && lf.retryAt > nowEpoch);
+}
+
+async function listQuarantined() {
+  const rows = await airtable.list(TABLE, { view: QUARANTINE_VIEW || null });
+  return rows.filter(r => isQuarantined(r.fields)).sort((a, b) => n(a.fields[FIELD_QUARANTINED]) - n(b.fields[FIELD_QUARANTINED]));
+}
+
+async function runQuarantine(args) {
+  const [sub, ...rest] = args;
+  if (!(AIRTABLE_TOKEN && BASE_ID && TABLE)) {
+    console.log(`quarantine: needs AIRTABLE_TOKEN, AIRTABLE_BASE_ID, AIRTABLE_TABLE`);
+    return 2;
+  }
+
+  if (sub === "list") {
+    const rows = await listQuarantined();
+    for (const r of rows) {
+      const f = r.fields;
+      console.log(`QUARANTINED ${r.id} since=${f[FIELD_QUARANTINED]} fails=${f[FIELD_FAIL_COUNT] ?? "?"} | ${f[FIELD_LAST_ERROR] ?? "-"}`);
+    }
+    console.log(`quarantine list | table=${TABLE} n=${rows.length}`);
+    return 0;
+  }
+
+  if (sub === "requeue" && rest.length) {
+    const all = rest.includes("--all");
+    const quarantined = await listQuarantined();
+    const ids = all ? quarantined.map(r => r.id) : rest;
+    const known = new Set(quarantined.map(r => r.id));
+    const missing = ids.filter(id => !known.has(id));
+    for (const id of missing) console.log(`REQUEUE SKIP -> ${id} | not quarantined`);
+
+    const nowEpoch = Math.floor((await tickClock("quarantine")).nowMs / 1000);
+    const updates = ids.filter(id => known.has(id)).map(id => ({
+      id,
+      fields: { [FIELD_QUARANTINED]: null, [FIELD_FAIL_COUNT]: null, [FIELD_LAST_ERROR]: null, [FIELD_NEXT_DUE]: nowEpoch },
+    }));
+    await airtable.batchUpdate(TABLE, updates);
+    for (const u of updates) console.log(`REQUEUE -> ${u.id} next_due=${nowEpoch}`);
+    console.log(`quarantine requeue | requeued=${updates.length} skipped=${missing.length}`);
+    return missing.length ? 1 : 0;
+  }
+
+  console.log(`usage: node washer-demo.js quarantine list | quarantine requeue <recordId...> | quarantine requeue --all`);
+  return 2;
+}
+
+//////////////////////
+// Shutdown
+//////////////////////
+const held = new Set(); // record ids we (may) hold a lease on, claim PATCH onwards
+const totals = { ticks: 0, refreshed: 0, failed: 0, skipped: 0, quarantined: 0, lagSum: 0, lagMax: 0 };
+let stopSignal = null;
+let wakeNap = null;
+let finished = false;
+
+// sleep that a stop signal cuts short
+function nap(ms) {
+  return new Promise((resolve) => {
+    const t = setTimeout(done, ms);
+    function done() {
+      clearTimeout(t);
+      wakeNap = null;
+      resolve();
+    }
+    wakeNap = done;
   });
+}
 
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`Airtable patch failed (${res.status}): ${body}`);
+async function releaseHeld() {
+  for (const id of [...held]) {
+    try {
+      if (await releaseLease(id, {})) console.log(`  LEASE RELEASED -> ${id} | shutdown`);
+    } catch (e) {
+      console.log(`  LEASE RELEASE FAILED -> ${id} | ${String(e?.message || e).slice(0, 240)}`);
+    }
   }
-  return res.json();
 }
 
-function n(v) {
-  const x = Number(v);
-  return Number.isFinite(x) ? x : null;
+function finish(reason) {
+  if (finished) return;
+  finished = true;
+  const processed = totals.refreshed + totals.failed;
+  const avgLag = totals.refreshed ? (totals.lagSum / totals.refreshed).toFixed(1) : "-";
+  console.log(
+    `washer-demo end | reason=${reason} ticks=${totals.ticks} processed=${processed} refreshed=${totals.refreshed}` +
+    ` failed=${totals.failed} skipped=${totals.skipped} avg_lag=${avgLag}s max_lag=${totals.lagMax}s quarantined=${totals.quarantined}`
+  );
 }
 
-function haveAirtableConfig() {
-  return Boolean(AIRTABLE_TOKEN && BASE_ID && TABLE && VIEW_HOT);
+async function abandon(why) {
+  if (finished) return;
+  console.log(`washer-demo ${why} -> abandoning in-flight work, releasing ${held.size} lease(s)`);
+  await releaseHeld();
+  finish(stopSignal);
+  process.exit(0);
 }
 
-(async () => {
+function onStopSignal(sig) {
+  if (stopSignal) return void abandon(`${sig} again`);
+  stopSignal = sig;
+  console.log(`washer-demo ${sig} -> no new claims; ${SHUTDOWN_GRACE_MS}ms grace for in-flight work`);
+  if (wakeNap) wakeNap();
+  setTimeout(() => abandon("grace over"), SHUTDOWN_GRACE_MS).unref();
+}
+
+process.on("SIGINT", onStopSignal);
+process.on("SIGTERM", onStopSignal);
+
+//////////////////////
+// Show modes
+//////////////////////
+// show id -> DAY|NIGHT|HOLDOVER from the last good read (kept when a read fails)
+let showModes = { byShow: new Map(), soleShowId: null };
+
+async function readShowModes(label) {
+  if (WASHER_MODE) return;
+  try {
+    const shows = await airtable.list(TABLE_SHOWS, { view: VIEW_SHOWS || null });
+    showModes = {
+      byShow: new Map(shows.map(s => [s.id, parseModeOverride(s.fields?.[FIELD_MODE])])),
+      soleShowId: shows.length === 1 ? shows[0].id : null,
+    };
+  } catch (e) {
+    const kept = showModes.byShow.size ? "last modes" : FALLBACK_MODE;
+    console.log(`[${label}] mode warn: ${TABLE_SHOWS} read failed ${String(e?.message || e).slice(0, 180)} -> ${kept}`);
+  }
+}
+
+function modeFor(f) {
+  if (WASHER_MODE) return WASHER_MODE;
+  const ids = linkedIds(f?.[FIELD_SHOW_LINK]);
+  const showId = ids.find(id => showModes.byShow.has(id)) || (ids.length ? null : showModes.soleShowId);
+  return (showId && showModes.byShow.get(showId)) || FALLBACK_MODE;
+}
+
+//////////////////////
+// Upstream ring payload
+//////////////////////
+async function fetchRingPayload(ringId, showDate) {
+  const url = ringPayloadUrl({ base: RING_API_BASE, ringId, showDate, customerId: CUSTOMER_ID, showId: SHOW_ID });
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), HTTP_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { headers: upstreamHeaders({ token: SGL_TOKEN, cookie: SGL_COOKIE }), signal: ac.signal });
+    const txt = await res.text();
+    if (!res.ok) throw new Error(`ring ${ringId} ${showDate} http ${res.status}`);
+    try {
+      return JSON.parse(txt);
+    } catch {
+      throw new Error(`ring ${ringId} ${showDate} non-json response`);
+    }
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// One fetch per ring + date per tick, however many records point at it.
+function ringPayloadCache() {
+  const cache = new Map();
+  return (ringId, showDate) => {
+    const key = `${ringId}|${showDate}`;
+    if (!cache.has(key)) cache.set(key, fetchRingPayload(ringId, showDate));
+    return cache.get(key);
+  };
+}
+
+function ringIdFor(f) {
+  const direct = n(first(f[FIELD_RING_ID]));
+  if (direct != null) return direct;
+  const num = n(first(f[FIELD_RING_NUMBER]));
+  return num != null ? (RING_IDS[num] ?? null) : null;
+}
+
+function showDateFor(f) {
+  const s = String(first(f[FIELD_SHOW_DATE]) ?? "").trim().slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) ? s : null;
+}
+
+/**
+ * Due record -> { fields, snap, bucket, mode } to write (status fields + next_due; the release adds the unlock).
+ * Throws with a short reason when the record can't be matched upstream.
+ */
+async function refreshRecord(d, nowEpoch, getPayload, rulesFor) {
+  const f = d.fields;
+  const ringId = ringIdFor(f);
+  const showDate = showDateFor(f);
+  const groupId = String(first(f[FIELD_CLASS_GROUP_ID]) ?? "").trim();
+  if (ringId == null) throw new Error(`no ring (${FIELD_RING_ID}/${FIELD_RING_NUMBER})`);
+  if (!showDate) throw new Error(`no ${FIELD_SHOW_DATE}`);
+  if (!groupId) throw new Error(`no ${FIELD_CLASS_GROUP_ID}`);
+
+  const payload = await getPayload(ringId, showDate);
+  const group = findClassGroup(payload, groupId);
+  if (!group) throw new Error(`class group ${groupId} not in ring ${ringId} ${showDate}`);
+
+  const snap = groupSnapshot(group);
+  const bucket = isTerminalStatus(snap.status) ? "DONE" : (String(d.bucket ?? "").trim() || "*");
+  const mode = modeFor(f);
+  const interval = (bucket === "DONE" || mode === "HOLDOVER") ? null : intervalFor(rulesFor(mode), bucket);
+
+  const fields = {};
+  if (FIELD_STATUS) fields[FIELD_STATUS] = snap.status;
+  if (FIELD_COMPLETED) fields[FIELD_COMPLETED] = snap.completed;
+  if (FIELD_TOTAL) fields[FIELD_TOTAL] = snap.total;
+  if (FIELD_LATEST_START) fields[FIELD_LATEST_START] = snap.estStart;
+  if (FIELD_LATEST_END) fields[FIELD_LATEST_END] = snap.estEnd;
+  if (FIELD_ACTUAL_START) fields[FIELD_ACTUAL_START] = snap.actualStart;
+  if (FIELD_REFRESHED) fields[FIELD_REFRESHED] = nowEpoch;
+  fields[FIELD_NEXT_DUE] = interval == null ? null : nowEpoch + interval;
+  if (n(f[FIELD_FAIL_COUNT]) || f[FIELD_LAST_ERROR]) {
+    fields[FIELD_FAIL_COUNT] = null;
+    fields[FIELD_LAST_ERROR] = null;
+  }
+
+  return { fields, snap, bucket, mode };
+}
+
+async function runLoop() {
   const start = Date.now();
   const endAt = start + LOOP_SECONDS * 1000;
   let tick = 0;
 
-  console.log(`washer-demo start | loop=${LOOP_SECONDS}s tick=${TICK_SECONDS}s do_write=${DO_WRITE}`);
-  if (!SHOWTIME_URL) console.log(`SHOWTIME_URL not set -> using Date.now()`);
+  const policy = loadPolicy(TAGGER_POLICY);
+  const rulesByMode = new Map();
+  const rulesFor = (mode) => {
+    if (!rulesByMode.has(mode)) rulesByMode.set(mode, resolveRules(policy, TABLE, mode));
+    return rulesByMode.get(mode);
+  };
+
+  const pickFair = createFairPicker(LANE_WEIGHTS, PRIORITY_LANES);
+
+  console.log(`washer-demo start | loop=${LOOP_SECONDS}s tick=${TICK_SECONDS}s do_write=${DO_WRITE} policy=${policy.version} mode=${WASHER_MODE || `${TABLE_SHOWS}.${FIELD_MODE} per tick`} worker=${WORKER_ID}`);
+  console.log(`washer-demo plan | views=${VIEWS.join(",") || "-"} rps=${AIRTABLE_RPS} weights=${Object.entries(LANE_WEIGHTS).map(([l, w]) => `${l}:${w}`).join(",")} priority=${PRIORITY_LANES.join(",")}`);
+  if (!SHOWTIME_URL) {
+    console.log(CLOCK_STRICT ? `SHOWTIME_URL not set + CLOCK_STRICT=1 -> every tick is read-only` : `SHOWTIME_URL not set -> using Date.now()`);
+  }
   if (!haveAirtableConfig()) {
     console.log(
-      `Airtable not fully configured -> will report hot=0 due=0 until secrets are set (AIRTABLE_TOKEN, AIRTABLE_BASE_ID, AIRTABLE_TABLE, AIRTABLE_VIEW_HOT).`
+      `Airtable not fully configured -> will report due=0 until secrets are set (AIRTABLE_TOKEN, AIRTABLE_BASE_ID, AIRTABLE_TABLE, AIRTABLE_VIEWS or AIRTABLE_VIEW_HOT).`
     );
   }
 
-  while (Date.now() < endAt) {
+  while (Date.now() < endAt && !stopSignal) {
     tick++;
+    totals.ticks++;
+
+    const clk = await tickClock(`t${tick}`);
+    const nowEpoch = Math.floor(clk.nowMs / 1000);
+    tickOffsetMs = clk.offsetMs;
 
-    const nowMs = await getServerNowMs();
-    const nowEpoch = Math.floor(nowMs / 1000);
+    const write = DO_WRITE && !clk.readOnly;
+    if (DO_WRITE && clk.readOnly) console.log(`[t${tick}] read-only tick: ${clk.readOnly}`);
 
-    let records = [];
+    // A record can sit in more than one view while the tagger moves it; first view wins.
+    const records = new Map();
+    const viewCounts = [];
+    const requestsAtStart = airtable.stats.requests;
     if (haveAirtableConfig()) {
+      await readShowModes(`t${tick}`);
       try {
-        records = await airtableListByView(VIEW_HOT);
+        for (const view of VIEWS) {
+          const rows = await airtableListByView(view);
+          viewCounts.push(`${view}=${rows.length}`);
+          for (const r of rows) if (!records.has(r.id)) records.set(r.id, r);
+        }
       } catch (e) {
         console.log(`[t${tick}] now=${nowEpoch} | Airtable read error: ${e.message}`);
-        await sleep(TICK_SECONDS * 1000);
+        await nap(TICK_SECONDS * 1000);
         continue;
       }
     }
+    const listRequests = airtable.stats.requests - requestsAtStart;
 
     const due = [];
-    for (const r of records) {
+    let quarantined = 0;
+    let backingOff = 0;
+    for (const r of records.values()) {
       const f = r.fields || {};
       const nextDue = n(f[FIELD_NEXT_DUE]);
-      const lockUntil = n(f[FIELD_LOCK_UNTIL]) ?? 0;
 
-      if (nextDue != null && nextDue <= nowEpoch && lockUntil <= nowEpoch) {
-        due.push({ id: r.id, nextDue, lockUntil, bucket: f[FIELD_BUCKET] });
+      if (isQuarantined(f)) {
+        quarantined++;
+        continue;
+      }
+      if (backingOffLocally(r.id, nowEpoch)) {
+        backingOff++;
+        continue;
+      }
+      if (nextDue != null && nextDue <= nowEpoch && !heldByOther(f, nowEpoch)) {
+        due.push({ id: r.id, nextDue, bucket: f[FIELD_BUCKET], lane: laneOf(f[FIELD_BUCKET], LANE_WEIGHTS), fields: f });
       }
     }
 
-    console.log(`[t${tick}] now=${nowEpoch} | hot=${records.length} due=${due.length}`);
+    console.log(`[t${tick}] now=${nowEpoch} | ${viewCounts.join(" ") || "views=0"} due=${due.length}${quarantined ? ` quarantined=${quarantined}` : ""}${backingOff ? ` backoff_local=${backingOff}` : ""}`);
+
+    const perRecord = write ? REQUESTS_PER_RECORD : 0;
+    const slots = tickSlots({
+      rps: AIRTABLE_RPS, tickSeconds: TICK_SECONDS, listRequests, perRecord, max: MAX_PER_TICK,
+    });
+    if (due.length) {
+      console.log(
+        `[t${tick}] plan budget=${Math.floor(AIRTABLE_RPS * TICK_SECONDS)}req list=${listRequests} per_record=${perRecord} slots=${slots}`
+      );
+    }
 
-    // Demonstrate churn behavior
-    for (const d of due.slice(0, 10)) {
-      console.log(`  CHURN -> ${d.id} bucket=${d.bucket ?? "?"} next_due=${d.nextDue} lock_until=${d.lockUntil}`);
+    const getPayload = ringPayloadCache();
+    const plan = pickFair.start(due);
+    let refreshed = 0;
+    let failed = 0;
+    let skipped = 0;
+    let overBudget = false;
+
+    while (!stopSignal && plan.picked.length < slots) {
+      const spent = airtable.stats.requests - requestsAtStart;
+      if (!budgetAllows({ rps: AIRTABLE_RPS, tickSeconds: TICK_SECONDS, spent, perRecord, taken: plan.picked.length })) {
+        overBudget = true;
+        break;
+      }
+      const d = plan.next();
+      if (!d) break;
+      let lease = null;
+      try {
+        if (write) {
+          const claim = await claimLease(d.id);
+          if (!claim.ok) {
+            skipped++;
+            console.log(`  CLAIM SKIP -> ${d.id} | ${claim.reason}`);
+            continue;
+          }
+          d.fields = claim.fields;
+          lease = holdLease(d.id);
+        }
 
-      if (DO_WRITE) {
-        const newLockUntil = nowEpoch + 60; // lock 60s
-        const newNextDue   = nowEpoch + 20; // demo reschedule soon so you can watch repeats
+        const res = await refreshRecord(d, nowEpoch, getPayload, rulesFor);
+        const s = res.snap;
+        console.log(
+          `  REFRESH -> ${d.id} status=${s.status} trips=${s.completed ?? "?"}/${s.total ?? "?"} start=${s.estStart ?? "-"}` +
+          ` bucket=${res.bucket} next_due=${res.fields[FIELD_NEXT_DUE] ?? "-"} mode=${res.mode}${write ? "" : " (dry)"}`
+        );
+
+        if (lease) {
+          await lease.stop();
+          if (lease.lost() || !(await releaseLease(d.id, res.fields))) {
+            skipped++;
+            console.log(`  LEASE LOST -> ${d.id} | result dropped`);
+            continue;
+          }
+        }
+        refreshed++;
+        localFails.delete(d.id);
+        // server clock when the result landed, not the tick start: claims, settle waits and
+        // upstream fetches earlier in the tick all delay this record
+        const lag = Math.max(0, liveNowEpoch() - d.nextDue);
+        totals.lagSum += lag;
+        totals.lagMax = Math.max(totals.lagMax, lag);
+      } catch (e) {
+        failed++;
+        const msg = String(e?.message || e);
+        console.log(`  REFRESH FAILED -> ${d.id} | ${msg.slice(0, 240)}`);
+        // written = failure fields now on the record; elsewhere = another runner owns the record
+        let written = null;
+        let elsewhere = false;
         try {
-          await airtablePatch(d.id, {
-            [FIELD_LOCK_UNTIL]: newLockUntil,
-            [FIELD_NEXT_DUE]: newNextDue
-          });
-        } catch (e) {
-          console.log(`  PATCH FAILED -> ${d.id} | ${e.message}`);
+          if (lease) {
+            await lease.stop();
+            const ff = failureFields(d.fields, nowEpoch, msg);
+            if (await releaseLease(d.id, ff)) written = ff;
+            else elsewhere = true;
+          } else if (write) {
+            written = await recordFailureUnleased(d.id, nowEpoch, msg);
+            elsewhere = !written;
+          }
+        } catch (err) {
+          console.log(`  PATCH FAILED -> ${d.id} | ${err.message}`);
+        }
+
+        if (written) {
+          localFails.delete(d.id);
+          if (written[FIELD_QUARANTINED] != null) {
+            totals.quarantined++;
+            console.log(`  QUARANTINE -> ${d.id} fails=${written[FIELD_FAIL_COUNT]}`);
+          } else {
+            console.log(`  BACKOFF -> ${d.id} fails=${written[FIELD_FAIL_COUNT]} next_due=${written[FIELD_NEXT_DUE]}`);
+          }
+        } else if (!elsewhere) {
+          const lf = noteLocalFailure(d.id, nowEpoch);
+          if (lf.retryAt === Infinity) {
+            totals.quarantined++;
+            console.log(`  QUARANTINE (local) -> ${d.id} fails=${lf.fails} | not picked again by this run`);
+          } else {
+            console.log(`  BACKOFF (local) -> ${d.id} fails=${lf.fails} retry_at=${lf.retryAt}`);
+          }
         }
       }
     }
 
-    await sleep(TICK_SECONDS * 1000);
+    totals.refreshed += refreshed;
+    totals.failed += failed;
+    totals.skipped += skipped;
+    if (due.length) {
+      console.log(
+        `[t${tick}] picked/due ${formatLanes(plan.byLane, LANE_WEIGHTS)} | order ${plan.picked.map(d => `${d.id}:${d.lane}`).join(" ") || "-"}` +
+        ` | spent=${airtable.stats.requests - requestsAtStart}req${overBudget ? " (budget reached)" : ""}`
+      );
+      console.log(
+        `[t${tick}] refreshed=${refreshed} failed=${failed} skipped=${skipped} deferred=${due.length - refreshed - failed - skipped}`
+      );
+    }
+
+    if (!stopSignal) await nap(TICK_SECONDS * 1000);
   }
 
-  console.log(`washer-demo end`);
+  finish(stopSignal || "done");
+}
+
+(async () => {
+  const args = process.argv.slice(2);
+  if (args[0] === "quarantine") {
+    process.exitCode = await runQuarantine(args.slice(1)).catch((e) => {
+      console.log(`quarantine: ${String(e?.message || e)}`);
+      return 1;
+    });
+    return;
+  }
+  await runLoop();
 })();